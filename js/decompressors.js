@@ -0,0 +1,2031 @@
+/**
+ * 纯JavaScript流式解压器：BZIP2、XZ和Zstandard
+ *
+ * @author ArsnYeon
+ * @website https://yasuo.zip/
+ * @source https://github.com/arsnyeon/online-unzip-tool
+ * @license MIT License
+ *
+ * 浏览器原生的DecompressionStream只支持gzip和deflate，其余格式在这里自行解码。
+ * 每个解压器都是异步生成器：输入压缩数据块，逐块输出解压后的数据，
+ * 只需要在内存中保留当前数据块和格式要求的字典窗口。
+ * 首尾相连的多个流/帧（pbzip2、xz -T、zstd -T等的输出）会依次解压。
+ *
+ * 另外提供7z使用的LZMA解码器和BCJ（x86）过滤器（见decodeLzma、decodeBcjX86）。
+ *
+ * 限制：
+ * 1. XZ只支持LZMA2过滤器（xz默认设置），校验支持CRC32和CRC64，SHA-256校验值跳过不校验
+ * 2. Zstandard不支持外部字典
+ * 3. 不支持bzip2 0.9.0之前的随机化数据块
+ */
+
+// 解压器：压缩方式 -> 异步生成器函数
+const STREAM_DECODERS = {
+    bzip2: decodeBzip2,
+    xz: decodeXz,
+    zstd: decodeZstd
+};
+
+/* ---------- 通用工具 ---------- */
+
+/**
+ * 创建按需读取的输入缓冲
+ * 解码器同步读取bytes[pos]，在处理每个结构之前用fill/require保证数据已经读入
+ * @param {AsyncIterable<Uint8Array>} chunks - 压缩数据块
+ * @returns {Object} bytes、pos，以及fill(size)、require(size)、skip(size)
+ */
+function createByteInput(chunks) {
+    const iterator = chunks[Symbol.asyncIterator]();
+    let done = false;
+
+    const input = {
+        bytes: new Uint8Array(0),
+        pos: 0,
+        // 尽量保证pos之后有size字节，返回实际可读的字节数（数据已结束时可能不足）
+        async fill(size) {
+            while (input.bytes.length - input.pos < size && !done) {
+                const next = await iterator.next();
+                if (next.done) {
+                    done = true;
+                    break;
+                }
+                const rest = input.bytes.subarray(input.pos);
+                if (rest.length === 0) {
+                    input.bytes = next.value;
+                } else {
+                    const merged = new Uint8Array(rest.length + next.value.length);
+                    merged.set(rest);
+                    merged.set(next.value, rest.length);
+                    input.bytes = merged;
+                }
+                input.pos = 0;
+            }
+            return input.bytes.length - input.pos;
+        },
+        // 必须有size字节，否则说明文件被截断
+        async require(size) {
+            if (await input.fill(size) < size) throw new Error('压缩数据不完整');
+        },
+        async skip(size) {
+            while (size > 0) {
+                const available = await input.fill(1);
+                if (available === 0) throw new Error('压缩数据不完整');
+                const count = Math.min(size, available);
+                input.pos += count;
+                size -= count;
+            }
+        }
+    };
+    return input;
+}
+
+/**
+ * 创建解压输出窗口（LZ77字典）
+ * 匹配从最近输出的数据中复制，因此需要保留最近windowSize字节；
+ * 缓冲区随输出按需扩大，小文件不会按声明的窗口大小分配内存
+ * @param {number} windowSize - 最大回溯距离
+ * @returns {Object} 写入、复制匹配和取出输出的方法
+ */
+function createOutputWindow(windowSize) {
+    let buffer = new Uint8Array(Math.max(1, Math.min(windowSize, 64 * 1024)));
+    let pos = 0;       // 下一个写入位置
+    let flushed = 0;   // 已经取出输出的位置
+    const pending = [];
+
+    // 缓冲区写满时：未达到窗口大小就扩大，否则取出输出后从头循环写入
+    const makeRoom = () => {
+        if (buffer.length < windowSize) {
+            const larger = new Uint8Array(Math.min(buffer.length * 2, windowSize));
+            larger.set(buffer);
+            buffer = larger;
+        } else {
+            if (pos > flushed) pending.push(buffer.slice(flushed, pos));
+            pos = 0;
+            flushed = 0;
+        }
+    };
+
+    const outputWindow = {
+        // 自上次重置以来写入的字节数（匹配距离不能超过它）
+        total: 0,
+        reset() {
+            outputWindow.total = 0;
+        },
+        putByte(byte) {
+            if (pos === buffer.length) makeRoom();
+            buffer[pos++] = byte;
+            outputWindow.total++;
+        },
+        // 取回distance字节之前的字节（distance从1开始）
+        getByte(distance) {
+            const index = pos - distance;
+            return buffer[index < 0 ? index + buffer.length : index];
+        },
+        // 写入data[start, end)；较短的数据逐字节复制，避免创建子数组
+        write(data, start = 0, end = data.length) {
+            outputWindow.total += end - start;
+            if (end - start < 32 && buffer.length - pos >= end - start) {
+                while (start < end) buffer[pos++] = data[start++];
+                return;
+            }
+            while (start < end) {
+                if (pos === buffer.length) makeRoom();
+                const count = Math.min(end - start, buffer.length - pos);
+                buffer.set(data.subarray(start, start + count), pos);
+                pos += count;
+                start += count;
+            }
+        },
+        // 从distance字节之前复制length字节，允许与正在写入的数据重叠（重复最近的内容）
+        copyMatch(distance, length) {
+            outputWindow.total += length;
+            while (length > 0) {
+                if (pos === buffer.length) makeRoom();
+                let source = pos - distance;
+                if (source < 0) source += buffer.length;
+                // 每轮复制到源或目标到达缓冲区末尾为止
+                const count = Math.min(length, buffer.length - pos, buffer.length - source);
+                if (distance >= count && count > 32) {
+                    buffer.copyWithin(pos, source, source + count);
+                    pos += count;
+                } else {
+                    const data = buffer;
+                    let to = pos;
+                    const end = to + count;
+                    while (to < end) data[to++] = data[source++];
+                    pos = end;
+                }
+                length -= count;
+            }
+        },
+        // 取出上次之后新写入的数据
+        takeOutput() {
+            if (pos > flushed) {
+                pending.push(buffer.slice(flushed, pos));
+                flushed = pos;
+            }
+            return pending.splice(0);
+        }
+    };
+    return outputWindow;
+}
+
+/**
+ * 读取小端序32位无符号整数
+ * @param {Uint8Array} bytes - 数据
+ * @param {number} offset - 起始位置
+ * @returns {number} 整数值
+ */
+function readUint32LE(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+/* ---------- BZIP2 ---------- */
+
+// BZIP2使用的CRC32（多项式0x04C11DB7，高位在前，与ZIP的CRC32不同）
+const BZIP2_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i << 24;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 0x80000000) ? ((c << 1) ^ 0x04C11DB7) : (c << 1);
+        }
+        table[i] = c >>> 0;
+    }
+    return table;
+})();
+
+// 块开始（π）和流结束（√π）的48位魔数，按两个24位读取比较
+const BZIP2_BLOCK_MAGIC = [0x314159, 0x265359];
+const BZIP2_END_MAGIC = [0x177245, 0x385090];
+
+// 选择器数量上限（bzip2 1.0.8起多余的选择器会被忽略）
+const BZIP2_MAX_SELECTORS = 18002;
+
+/**
+ * 流式解压BZIP2数据
+ * 每个数据块独立解码，解码前把整块压缩数据读入缓冲
+ * @param {AsyncIterable<Uint8Array>} chunks - BZIP2压缩的数据块
+ * @returns {AsyncGenerator<Uint8Array>} 解压后的数据块
+ */
+async function* decodeBzip2(chunks) {
+    const input = createByteInput(chunks);
+    const bits = createBzip2BitReader(input);
+    let streamCount = 0;
+
+    while (true) {
+        // 流头部："BZh"加上块大小等级'1'~'9'
+        const available = await input.fill(4);
+        const { bytes, pos } = input;
+        const isStream = available >= 4 && bytes[pos] === 0x42 && bytes[pos + 1] === 0x5A &&
+            bytes[pos + 2] === 0x68 && bytes[pos + 3] >= 0x31 && bytes[pos + 3] <= 0x39;
+        if (!isStream) {
+            // 与bzip2命令一致，忽略最后一个流之后的多余数据
+            if (streamCount > 0) return;
+            throw new Error('不是有效的BZIP2文件');
+        }
+        const blockSize = (bytes[pos + 3] - 0x30) * 100000;
+        input.pos += 4;
+
+        // 一个块压缩后最多约为块大小的2.5倍（每个符号最长20位）再加上码表
+        const maxBlockBytes = blockSize * 2.5 + 32 * 1024;
+        const tt = new Uint32Array(blockSize);
+        let combinedCrc = 0;
+
+        while (true) {
+            await input.fill(maxBlockBytes);
+            const magic = [bits.read(24), bits.read(24)];
+
+            if (magic[0] === BZIP2_END_MAGIC[0] && magic[1] === BZIP2_END_MAGIC[1]) {
+                const storedCrc = ((bits.read(16) << 16) | bits.read(16)) >>> 0;
+                if (storedCrc !== combinedCrc) throw new Error('BZIP2校验失败');
+                bits.alignToByte();
+                break;
+            }
+            if (magic[0] !== BZIP2_BLOCK_MAGIC[0] || magic[1] !== BZIP2_BLOCK_MAGIC[1]) {
+                throw new Error('BZIP2数据块损坏');
+            }
+
+            const blockCrc = ((bits.read(16) << 16) | bits.read(16)) >>> 0;
+            const { output, crc } = decodeBzip2Block(bits, tt, blockSize);
+            if (crc !== blockCrc) throw new Error('BZIP2校验失败');
+            combinedCrc = (((combinedCrc << 1) | (combinedCrc >>> 31)) ^ blockCrc) >>> 0;
+            yield* output;
+        }
+        streamCount++;
+    }
+}
+
+/**
+ * 创建高位在前的位读取器
+ * @param {Object} input - createByteInput创建的输入缓冲
+ * @returns {Object} read(count)（最多24位）、alignToByte()
+ */
+function createBzip2BitReader(input) {
+    let buffer = 0;
+    let count = 0;
+
+    return {
+        read(bitCount) {
+            while (count < bitCount) {
+                if (input.pos >= input.bytes.length) throw new Error('压缩数据不完整');
+                buffer = ((buffer << 8) | input.bytes[input.pos++]) >>> 0;
+                count += 8;
+            }
+            count -= bitCount;
+            const value = (buffer >>> count) & ((1 << bitCount) - 1);
+            buffer &= (1 << count) - 1;
+            return value;
+        },
+        // 流结束后下一个流从整字节开始
+        alignToByte() {
+            buffer = 0;
+            count = 0;
+        }
+    };
+}
+
+/**
+ * 解码一个BZIP2数据块：哈夫曼 → MTF/RLE2 → 逆BWT → RLE1
+ * @param {Object} bits - 位读取器
+ * @param {Uint32Array} tt - 逆BWT使用的工作数组（长度为块大小）
+ * @param {number} blockSize - 块大小上限
+ * @returns {{output: Uint8Array[], crc: number}} 解压后的数据和块CRC
+ */
+function decodeBzip2Block(bits, tt, blockSize) {
+    if (bits.read(1)) throw new Error('不支持旧版BZIP2的随机化数据块');
+    const origPtr = bits.read(24);
+
+    // 块中用到的字节：16组，每组16个字节值
+    const seqToUnseq = [];
+    const usedGroups = bits.read(16);
+    for (let i = 0; i < 16; i++) {
+        if (!(usedGroups & (0x8000 >> i))) continue;
+        const used = bits.read(16);
+        for (let j = 0; j < 16; j++) {
+            if (used & (0x8000 >> j)) seqToUnseq.push(i * 16 + j);
+        }
+    }
+    if (seqToUnseq.length === 0) throw new Error('BZIP2数据块损坏');
+    // 符号表：RUNA、RUNB、MTF位置1~n-1，以及块结束符
+    const alphaSize = seqToUnseq.length + 2;
+
+    // 哈夫曼表的数量和选择器（每50个符号换一张表，选择器经过MTF编码）
+    const groupCount = bits.read(3);
+    const selectorCount = bits.read(15);
+    if (groupCount < 2 || groupCount > 6 || selectorCount === 0) throw new Error('BZIP2数据块损坏');
+
+    const groupOrder = Array.from({ length: groupCount }, (_, i) => i);
+    const selectors = new Uint8Array(Math.min(selectorCount, BZIP2_MAX_SELECTORS));
+    for (let i = 0; i < selectorCount; i++) {
+        let index = 0;
+        while (bits.read(1)) {
+            if (++index >= groupCount) throw new Error('BZIP2数据块损坏');
+        }
+        const group = groupOrder[index];
+        groupOrder.splice(index, 1);
+        groupOrder.unshift(group);
+        if (i < selectors.length) selectors[i] = group;
+    }
+
+    // 每张表的码长（以差分方式存储）
+    const tables = [];
+    for (let t = 0; t < groupCount; t++) {
+        const lengths = new Uint8Array(alphaSize);
+        let length = bits.read(5);
+        for (let i = 0; i < alphaSize; i++) {
+            while (true) {
+                if (length < 1 || length > 20) throw new Error('BZIP2数据块损坏');
+                if (!bits.read(1)) break;
+                length += bits.read(1) ? -1 : 1;
+            }
+            lengths[i] = length;
+        }
+        tables.push(createBzip2HuffmanTable(lengths));
+    }
+
+    // 哈夫曼解码，同时还原MTF和RUNA/RUNB表示的重复
+    const mtf = Uint8Array.from({ length: 256 }, (_, i) => i);
+    const counts = new Uint32Array(256);
+    const endOfBlock = alphaSize - 1;
+    let count = 0;
+    let run = 0;
+    let runWeight = 1;
+    let selectorIndex = 0;
+    let groupRemaining = 0;
+    let table = null;
+
+    while (true) {
+        if (groupRemaining === 0) {
+            if (selectorIndex >= selectors.length) throw new Error('BZIP2数据块损坏');
+            table = tables[selectors[selectorIndex++]];
+            groupRemaining = 50;
+        }
+        groupRemaining--;
+
+        let length = table.minLength;
+        let code = bits.read(length);
+        while (code > table.limit[length]) {
+            if (++length > table.maxLength) throw new Error('BZIP2数据块损坏');
+            code = (code << 1) | bits.read(1);
+        }
+        const symbol = table.symbols[code + table.base[length]];
+
+        // RUNA/RUNB：以双射二进制表示重复MTF首位字节的次数
+        if (symbol <= 1) {
+            run += (symbol + 1) * runWeight;
+            runWeight <<= 1;
+            if (run > blockSize) throw new Error('BZIP2数据块损坏');
+            continue;
+        }
+        if (run > 0) {
+            if (count + run > blockSize) throw new Error('BZIP2数据块损坏');
+            const byte = seqToUnseq[mtf[0]];
+            counts[byte] += run;
+            tt.fill(byte, count, count + run);
+            count += run;
+            run = 0;
+            runWeight = 1;
+        }
+        if (symbol === endOfBlock) break;
+
+        // MTF：取出位置symbol-1的字节并移到最前
+        const index = symbol - 1;
+        const value = mtf[index];
+        mtf.copyWithin(1, 0, index);
+        mtf[0] = value;
+
+        if (count >= blockSize) throw new Error('BZIP2数据块损坏');
+        const byte = seqToUnseq[value];
+        counts[byte]++;
+        tt[count++] = byte;
+    }
+    if (origPtr >= count) throw new Error('BZIP2数据块损坏');
+
+    // 逆BWT：tt低8位是字节，高24位存放下一个字节的位置
+    const starts = new Uint32Array(256);
+    for (let i = 0, sum = 0; i < 256; i++) {
+        starts[i] = sum;
+        sum += counts[i];
+    }
+    for (let i = 0; i < count; i++) {
+        tt[starts[tt[i] & 0xFF]++] |= i << 8;
+    }
+
+    // 还原RLE1（连续4个相同字节后跟一个重复次数）并计算CRC
+    const output = [];
+    let out = new Uint8Array(count);
+    let outPos = 0;
+    let crc = 0xFFFFFFFF;
+    const put = (byte) => {
+        if (outPos === out.length) {
+            output.push(out);
+            out = new Uint8Array(count);
+            outPos = 0;
+        }
+        out[outPos++] = byte;
+        crc = (crc << 8) ^ BZIP2_CRC_TABLE[((crc >>> 24) ^ byte) & 0xFF];
+    };
+
+    let next = tt[origPtr] >>> 8;
+    let previous = -1;
+    let repeat = 0;
+    for (let i = 0; i < count; i++) {
+        const entry = tt[next];
+        const byte = entry & 0xFF;
+        next = entry >>> 8;
+
+        if (repeat === 4) {
+            for (let j = 0; j < byte; j++) put(previous);
+            previous = -1;
+            repeat = 0;
+            continue;
+        }
+        if (byte === previous) {
+            repeat++;
+        } else {
+            previous = byte;
+            repeat = 1;
+        }
+        put(byte);
+    }
+    output.push(out.subarray(0, outPos));
+
+    return { output, crc: ~crc >>> 0 };
+}
+
+/**
+ * 根据码长创建范式哈夫曼解码表
+ * @param {Uint8Array} lengths - 每个符号的码长
+ * @returns {Object} minLength、maxLength，以及每种码长的最大码值limit和符号下标偏移base
+ */
+function createBzip2HuffmanTable(lengths) {
+    let minLength = 32;
+    let maxLength = 0;
+    for (const length of lengths) {
+        minLength = Math.min(minLength, length);
+        maxLength = Math.max(maxLength, length);
+    }
+
+    const symbols = [];
+    const limit = new Int32Array(maxLength + 1);
+    const base = new Int32Array(maxLength + 1);
+    let code = 0;
+    for (let length = minLength; length <= maxLength; length++) {
+        base[length] = symbols.length - code;
+        lengths.forEach((symbolLength, symbol) => {
+            if (symbolLength === length) symbols.push(symbol);
+        });
+        code += symbols.length - (base[length] + code);
+        limit[length] = code - 1;
+        code <<= 1;
+    }
+
+    return { minLength, maxLength, limit, base, symbols };
+}
+
+/* ---------- LZMA / LZMA2 ---------- */
+
+// 概率模型在数组中的位置
+const LZMA_IS_MATCH = 0;            // 状态×位置状态：192
+const LZMA_IS_REP = 192;            // 12
+const LZMA_IS_REP_G0 = 204;         // 12
+const LZMA_IS_REP_G1 = 216;         // 12
+const LZMA_IS_REP_G2 = 228;         // 12
+const LZMA_IS_REP0_LONG = 240;      // 192
+const LZMA_POS_SLOT = 432;          // 4组×64：256
+const LZMA_SPEC_POS = 688;          // 114
+const LZMA_ALIGN = 802;             // 16
+const LZMA_LEN = 818;               // 长度解码器：514
+const LZMA_REP_LEN = 1332;          // 重复匹配的长度解码器：514
+const LZMA_LITERAL = 1846;          // 字面量：0x300 × 2^(lc+lp)
+
+// 长度解码器内部的位置：选择位、低/中长度（按位置状态各8个）、高长度
+const LZMA_LEN_CHOICE2 = 1;
+const LZMA_LEN_LOW = 2;
+const LZMA_LEN_MID = 130;
+const LZMA_LEN_HIGH = 258;
+
+/**
+ * 创建LZMA解码器（供LZMA2和7z的LZMA使用）
+ * 字典、状态和概率模型可以分别重置，以配合LZMA2的数据块
+ * @param {number} dictSize - 字典大小
+ * @returns {Object} dictionary（输出窗口）、resetDictionary()、resetState()、setProperties(byte)、begin(...)、decode(...)
+ */
+function createLzmaDecoder(dictSize) {
+    const dictionary = createOutputWindow(Math.max(dictSize, 4096));
+    let lc = 0;
+    let lpMask = 0;
+    let pbMask = 0;
+    let probs = null;
+    let state = 0;
+    let rep0 = 0;
+    let rep1 = 0;
+    let rep2 = 0;
+    let rep3 = 0;
+    // 上一次decode因输出已满而没复制完的匹配长度
+    let pendingLength = 0;
+
+    // 区间解码器
+    let bytes = null;
+    let inPos = 0;
+    let inEnd = 0;
+    let range = 0;
+    let code = 0;
+
+    const normalize = () => {
+        if (range < 0x1000000) {
+            if (inPos >= inEnd) throw new Error('LZMA数据损坏');
+            range = (range * 256) >>> 0;
+            code = ((code * 256) + bytes[inPos++]) >>> 0;
+        }
+    };
+
+    const decodeBit = (index) => {
+        normalize();
+        const prob = probs[index];
+        const bound = (range >>> 11) * prob;
+        if (code < bound) {
+            range = bound;
+            probs[index] = prob + ((2048 - prob) >> 5);
+            return 0;
+        }
+        range -= bound;
+        code -= bound;
+        probs[index] = prob - (prob >> 5);
+        return 1;
+    };
+
+    const decodeBitTree = (base, bitCount) => {
+        let m = 1;
+        for (let i = 0; i < bitCount; i++) m = (m << 1) | decodeBit(base + m);
+        return m - (1 << bitCount);
+    };
+
+    const decodeReverseBitTree = (base, bitCount) => {
+        let m = 1;
+        let result = 0;
+        for (let i = 0; i < bitCount; i++) {
+            const bit = decodeBit(base + m);
+            m = (m << 1) | bit;
+            result |= bit << i;
+        }
+        return result;
+    };
+
+    const decodeDirectBits = (bitCount) => {
+        let result = 0;
+        for (let i = 0; i < bitCount; i++) {
+            normalize();
+            range >>>= 1;
+            let bit = 0;
+            if (code >= range) {
+                code -= range;
+                bit = 1;
+            }
+            result = result * 2 + bit;
+        }
+        return result;
+    };
+
+    // 返回值为长度减2
+    const decodeLength = (base, posState) => {
+        if (!decodeBit(base)) return decodeBitTree(base + LZMA_LEN_LOW + posState * 8, 3);
+        if (!decodeBit(base + LZMA_LEN_CHOICE2)) return 8 + decodeBitTree(base + LZMA_LEN_MID + posState * 8, 3);
+        return 16 + decodeBitTree(base + LZMA_LEN_HIGH, 8);
+    };
+
+    // 返回值为距离减1，0xFFFFFFFF表示结束标记
+    const decodeDistance = (length) => {
+        const posSlot = decodeBitTree(LZMA_POS_SLOT + (Math.min(length, 3) << 6), 6);
+        if (posSlot < 4) return posSlot;
+
+        const directBits = (posSlot >> 1) - 1;
+        const distance = ((2 | (posSlot & 1)) << directBits) >>> 0;
+        if (posSlot < 14) {
+            return distance + decodeReverseBitTree(LZMA_SPEC_POS + distance - posSlot - 1, directBits);
+        }
+        return distance + decodeDirectBits(directBits - 4) * 16 + decodeReverseBitTree(LZMA_ALIGN, 4);
+    };
+
+    const decodeLiteral = () => {
+        const previous = dictionary.total > 0 ? dictionary.getByte(1) : 0;
+        const base = LZMA_LITERAL + 0x300 * (((dictionary.total & lpMask) << lc) + (previous >> (8 - lc)));
+        let symbol = 1;
+
+        // 匹配之后的字面量参考rep0位置的字节，直到出现不同的位
+        if (state >= 7) {
+            let matchByte = dictionary.getByte(rep0 + 1);
+            while (symbol < 0x100) {
+                const matchBit = (matchByte >> 7) & 1;
+                matchByte <<= 1;
+                const bit = decodeBit(base + ((1 + matchBit) << 8) + symbol);
+                symbol = (symbol << 1) | bit;
+                if (matchBit !== bit) break;
+            }
+        }
+        while (symbol < 0x100) symbol = (symbol << 1) | decodeBit(base + symbol);
+        dictionary.putByte(symbol & 0xFF);
+    };
+
+    const copyMatch = (length, outEnd) => {
+        const count = Math.min(length, outEnd - dictionary.total);
+        dictionary.copyMatch(rep0 + 1, count);
+        pendingLength = length - count;
+    };
+
+    const decoder = {
+        dictionary,
+        get pendingLength() {
+            return pendingLength;
+        },
+        resetDictionary() {
+            dictionary.reset();
+        },
+        resetState() {
+            probs.fill(1024);
+            state = 0;
+            rep0 = rep1 = rep2 = rep3 = 0;
+            pendingLength = 0;
+        },
+        // 属性字节：(pb × 5 + lp) × 9 + lc
+        setProperties(properties) {
+            if (properties >= 225) throw new Error('LZMA属性无效');
+            lc = properties % 9;
+            const lp = Math.floor(properties / 9) % 5;
+            const pb = Math.floor(properties / 45);
+            lpMask = (1 << lp) - 1;
+            pbMask = (1 << pb) - 1;
+            probs = new Uint16Array(LZMA_LITERAL + (0x300 << (lc + lp)));
+            decoder.resetState();
+        },
+        /**
+         * 开始一段区间编码的数据：读取区间解码器的5字节初始化数据
+         * @param {Uint8Array} data - 输入数据
+         * @param {number} start - 压缩数据起点
+         * @returns {number} 初始化数据之后的位置
+         */
+        begin(data, start) {
+            if (data.length - start < 5 || data[start] !== 0) throw new Error('LZMA数据损坏');
+            range = 0xFFFFFFFF;
+            code = ((data[start + 1] << 24) | (data[start + 2] << 16) | (data[start + 3] << 8) | data[start + 4]) >>> 0;
+            return start + 5;
+        },
+        /**
+         * 继续解码区间编码的数据
+         * @param {Uint8Array} data - 输入数据
+         * @param {number} position - 输入的当前位置
+         * @param {number} end - 可读数据的终点
+         * @param {number} outSize - 本次最多输出的字节数
+         * @param {number} [inputLimit] - 输入位置超过此处时在下一个符号之前暂停（流式输入时留出余量）
+         * @returns {{position: number, endMarker: boolean}} 读到的输入位置、是否遇到结束标记
+         */
+        decode(data, position, end, outSize, inputLimit = end) {
+            bytes = data;
+            inPos = position;
+            inEnd = end;
+
+            const outEnd = dictionary.total + outSize;
+            if (pendingLength > 0) copyMatch(pendingLength, outEnd);
+
+            while (dictionary.total < outEnd && inPos <= inputLimit) {
+                const posState = dictionary.total & pbMask;
+
+                if (!decodeBit(LZMA_IS_MATCH + (state << 4) + posState)) {
+                    decodeLiteral();
+                    state = state < 4 ? 0 : (state < 10 ? state - 3 : state - 6);
+                    continue;
+                }
+
+                let length;
+                if (decodeBit(LZMA_IS_REP + state)) {
+                    if (dictionary.total === 0) throw new Error('LZMA数据损坏');
+                    if (!decodeBit(LZMA_IS_REP_G0 + state)) {
+                        // 短重复：只复制rep0处的一个字节
+                        if (!decodeBit(LZMA_IS_REP0_LONG + (state << 4) + posState)) {
+                            if (rep0 >= dictionary.total) throw new Error('LZMA数据损坏');
+                            state = state < 7 ? 9 : 11;
+                            dictionary.putByte(dictionary.getByte(rep0 + 1));
+                            continue;
+                        }
+                    } else {
+                        let distance;
+                        if (!decodeBit(LZMA_IS_REP_G1 + state)) {
+                            distance = rep1;
+                        } else {
+                            if (!decodeBit(LZMA_IS_REP_G2 + state)) {
+                                distance = rep2;
+                            } else {
+                                distance = rep3;
+                                rep3 = rep2;
+                            }
+                            rep2 = rep1;
+                        }
+                        rep1 = rep0;
+                        rep0 = distance;
+                    }
+                    length = decodeLength(LZMA_REP_LEN, posState);
+                    state = state < 7 ? 8 : 11;
+                } else {
+                    rep3 = rep2;
+                    rep2 = rep1;
+                    rep1 = rep0;
+                    length = decodeLength(LZMA_LEN, posState);
+                    state = state < 7 ? 7 : 10;
+                    rep0 = decodeDistance(length);
+                    if (rep0 === 0xFFFFFFFF) {
+                        normalize();
+                        return { position: inPos, endMarker: true };
+                    }
+                }
+
+                if (rep0 >= dictionary.total || rep0 >= dictSize) throw new Error('LZMA数据损坏');
+                copyMatch(length + 2, outEnd);
+            }
+
+            normalize();
+            return { position: inPos, endMarker: false };
+        },
+        // 数据块结束时区间解码器的值应当为0
+        get finished() {
+            return code === 0;
+        }
+    };
+    return decoder;
+}
+
+/**
+ * 根据LZMA2的字典属性字节计算字典大小
+ * @param {number} properties - 属性字节（0~40）
+ * @returns {number} 字典大小
+ */
+function getLzma2DictSize(properties) {
+    if (properties > 40) throw new Error('LZMA2字典大小无效');
+    if (properties === 40) return 0xFFFFFFFF;
+    return (2 | (properties & 1)) * Math.pow(2, Math.floor(properties / 2) + 11);
+}
+
+/**
+ * 流式解码LZMA2数据
+ * LZMA2由多个数据块组成，每块的压缩和解压大小都写在块头中，可以逐块读入解码
+ * @param {Object} input - createByteInput创建的输入缓冲
+ * @param {number} dictSize - 字典大小
+ * @returns {AsyncGenerator<Uint8Array, number>} 解压后的数据块，返回值为压缩数据的字节数
+ */
+async function* decodeLzma2(input, dictSize) {
+    const lzma = createLzmaDecoder(dictSize);
+    let compressedSize = 0;
+    let needDictReset = true;
+    let needProperties = true;
+
+    while (true) {
+        await input.require(1);
+        const control = input.bytes[input.pos++];
+        compressedSize++;
+        if (control === 0x00) break;
+
+        // 0x01：重置字典的未压缩块，0x02：不重置字典的未压缩块
+        if (control === 0x01 || control === 0x02) {
+            if (control === 0x01) {
+                lzma.resetDictionary();
+                needDictReset = false;
+                needProperties = true;
+            } else if (needDictReset) {
+                throw new Error('LZMA2数据损坏');
+            }
+            await input.require(2);
+            const size = ((input.bytes[input.pos] << 8) | input.bytes[input.pos + 1]) + 1;
+            await input.require(2 + size);
+            lzma.dictionary.write(input.bytes, input.pos + 2, input.pos + 2 + size);
+            input.pos += 2 + size;
+            compressedSize += 2 + size;
+        } else if (control >= 0x80) {
+            // LZMA块：bit5~6表示重置级别（1状态、2状态和属性、3状态、属性和字典）
+            await input.require(5);
+            const { bytes, pos } = input;
+            const unpackedSize = ((control & 0x1F) << 16) + ((bytes[pos] << 8) | bytes[pos + 1]) + 1;
+            const packedSize = ((bytes[pos + 2] << 8) | bytes[pos + 3]) + 1;
+            const reset = (control >> 5) & 3;
+            input.pos += 4;
+            compressedSize += 4;
+
+            if (reset === 3) {
+                lzma.resetDictionary();
+                needDictReset = false;
+            } else if (needDictReset) {
+                throw new Error('LZMA2数据损坏');
+            }
+            if (reset >= 2) {
+                const properties = input.bytes[input.pos++];
+                compressedSize++;
+                // LZMA2要求lc + lp不超过4
+                if (properties % 9 + Math.floor(properties / 9) % 5 > 4) throw new Error('LZMA2数据损坏');
+                lzma.setProperties(properties);
+                needProperties = false;
+            } else if (needProperties) {
+                throw new Error('LZMA2数据损坏');
+            } else if (reset === 1) {
+                lzma.resetState();
+            }
+
+            await input.require(packedSize);
+            const end = input.pos + packedSize;
+            if (packedSize < 5) throw new Error('LZMA2数据损坏');
+            const start = lzma.begin(input.bytes, input.pos);
+            const { position, endMarker } = lzma.decode(input.bytes, start, end, unpackedSize);
+            if (endMarker || position !== end || !lzma.finished || lzma.pendingLength > 0) {
+                throw new Error('LZMA2数据损坏');
+            }
+            input.pos = end;
+            compressedSize += packedSize;
+        } else {
+            throw new Error('LZMA2数据损坏');
+        }
+
+        yield* lzma.dictionary.takeOutput();
+    }
+
+    return compressedSize;
+}
+
+// 流式解码LZMA时每次读入的输入量和输出量
+const LZMA_STREAM_INPUT_SIZE = 64 * 1024;
+const LZMA_STREAM_OUTPUT_SIZE = 1024 * 1024;
+// 解码一个符号最多读取约20字节输入，输入未结束时需留出余量，避免在符号中间用完数据
+const LZMA_INPUT_MARGIN = 32;
+
+/**
+ * 流式解码LZMA数据（7z使用，属性和字典大小保存在7z头部，不含LZMA文件头）
+ * 整段数据只有一个区间编码流，按解压大小结束；末尾的结束标记可有可无
+ * @param {AsyncIterable<Uint8Array>} chunks - 压缩数据块
+ * @param {Uint8Array} properties - 5字节：属性字节和小端序的字典大小
+ * @param {number} unpackSize - 解压后的字节数
+ * @returns {AsyncGenerator<Uint8Array>} 解压后的数据块
+ */
+async function* decodeLzma(chunks, properties, unpackSize) {
+    if (properties.length < 5) throw new Error('LZMA属性无效');
+    const lzma = createLzmaDecoder(readUint32LE(properties, 1));
+    lzma.setProperties(properties[0]);
+
+    const input = createByteInput(chunks);
+    await input.require(5);
+    input.pos = lzma.begin(input.bytes, input.pos);
+
+    let remaining = unpackSize;
+    while (remaining > 0) {
+        const available = await input.fill(LZMA_STREAM_INPUT_SIZE);
+        if (available === 0) throw new Error('压缩数据不完整');
+        const end = input.pos + available;
+        // 可读数据不足一次读入量，说明输入已经结束，可以解码到最后一个字节
+        const inputLimit = available < LZMA_STREAM_INPUT_SIZE ? end : end - LZMA_INPUT_MARGIN;
+
+        const before = lzma.dictionary.total;
+        const { position, endMarker } = lzma.decode(
+            input.bytes, input.pos, end, Math.min(remaining, LZMA_STREAM_OUTPUT_SIZE), inputLimit
+        );
+        input.pos = position;
+        remaining -= lzma.dictionary.total - before;
+        if (endMarker && remaining > 0) throw new Error('LZMA数据损坏');
+
+        yield* lzma.dictionary.takeOutput();
+    }
+}
+
+/* ---------- BCJ（x86） ---------- */
+
+// BCJ过滤器把x86的CALL/JMP（E8/E9）指令中的相对地址转换成绝对地址以提高压缩率，解压时再转换回来
+const BCJ_MASK_ALLOWED = [true, true, true, false, true, false, false, false];
+const BCJ_MASK_BIT_NUMBER = [0, 1, 2, 2, 3, 3, 3, 3];
+
+/**
+ * 流式还原BCJ（x86）过滤器
+ * 一条指令占5字节，每块末尾不足5字节的数据留到与下一块合并后再处理
+ * @param {AsyncIterable<Uint8Array>} chunks - 过滤后的数据块
+ * @returns {AsyncGenerator<Uint8Array>} 还原后的数据块
+ */
+async function* decodeBcjX86(chunks) {
+    let rest = new Uint8Array(0);
+    let position = 0;       // rest[0]在整个数据中的位置
+    let previousMask = 0;
+    let previousPosition = -5;
+
+    const isMsbByte = byte => byte === 0 || byte === 0xFF;
+
+    for await (const chunk of chunks) {
+        let buffer = chunk;
+        if (rest.length > 0) {
+            buffer = new Uint8Array(rest.length + chunk.length);
+            buffer.set(rest);
+            buffer.set(chunk, rest.length);
+        }
+
+        let i = 0;
+        const limit = buffer.length - 5;
+        if (position - previousPosition > 5) previousPosition = position - 5;
+        while (i <= limit) {
+            if (buffer[i] !== 0xE8 && buffer[i] !== 0xE9) {
+                i++;
+                continue;
+            }
+
+            const offset = position + i - previousPosition;
+            previousPosition = position + i;
+            if (offset > 5) {
+                previousMask = 0;
+            } else {
+                for (let k = 0; k < offset; k++) previousMask = (previousMask & 0x77) << 1;
+            }
+
+            let byte = buffer[i + 4];
+            if (isMsbByte(byte) && BCJ_MASK_ALLOWED[(previousMask >> 1) & 7] && (previousMask >> 1) < 0x10) {
+                let source = ((byte << 24) | (buffer[i + 3] << 16) | (buffer[i + 2] << 8) | buffer[i + 1]) >>> 0;
+                let destination;
+                while (true) {
+                    destination = (source - (position + i + 5)) >>> 0;
+                    if (previousMask === 0) break;
+                    const bitNumber = BCJ_MASK_BIT_NUMBER[previousMask >> 1];
+                    byte = (destination >>> (24 - bitNumber * 8)) & 0xFF;
+                    if (!isMsbByte(byte)) break;
+                    source = (destination ^ (Math.pow(2, 32 - bitNumber * 8) - 1)) >>> 0;
+                }
+                buffer[i + 4] = (destination >>> 24) & 1 ? 0xFF : 0;
+                buffer[i + 3] = destination >>> 16;
+                buffer[i + 2] = destination >>> 8;
+                buffer[i + 1] = destination;
+                i += 5;
+                previousMask = 0;
+            } else {
+                i++;
+                previousMask |= 1;
+                if (isMsbByte(byte)) previousMask |= 0x10;
+            }
+        }
+
+        if (i > 0) yield buffer.subarray(0, i);
+        rest = buffer.slice(i);
+        position += i;
+    }
+
+    if (rest.length > 0) yield rest;
+}
+
+/* ---------- XZ ---------- */
+
+const XZ_HEADER_MAGIC = [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00];
+const XZ_FOOTER_MAGIC = [0x59, 0x5A]; // "YZ"
+
+// 校验类型对应的校验值长度（类型0为无校验）
+const XZ_CHECK_SIZES = [0, 4, 4, 4, 8, 8, 8, 16, 16, 16, 32, 32, 32, 64, 64, 64];
+const XZ_CHECK_CRC32 = 1;
+const XZ_CHECK_CRC64 = 4;
+
+const XZ_FILTER_LZMA2 = 0x21;
+
+// CRC64（ECMA-182，反射多项式0xC96C5795D7870F42），按高低32位分别存放
+const CRC64_TABLE = (() => {
+    const low = new Uint32Array(256);
+    const high = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let lo = i;
+        let hi = 0;
+        for (let k = 0; k < 8; k++) {
+            const carry = lo & 1;
+            lo = ((lo >>> 1) | (hi << 31)) >>> 0;
+            hi >>>= 1;
+            if (carry) {
+                lo = (lo ^ 0xD7870F42) >>> 0;
+                hi = (hi ^ 0xC96C5795) >>> 0;
+            }
+        }
+        low[i] = lo;
+        high[i] = hi;
+    }
+    return { low, high };
+})();
+
+/**
+ * 计算CRC64校验值
+ * @param {Uint8Array} data - 数据
+ * @param {number[]} [crc=[0, 0]] - 上一段数据的CRC64（低32位、高32位）
+ * @returns {number[]} 新的CRC64（低32位、高32位）
+ */
+function crc64(data, crc = [0, 0]) {
+    let lo = ~crc[0];
+    let hi = ~crc[1];
+    for (let i = 0; i < data.length; i++) {
+        const index = (lo ^ data[i]) & 0xFF;
+        lo = CRC64_TABLE.low[index] ^ ((lo >>> 8) | (hi << 24));
+        hi = CRC64_TABLE.high[index] ^ (hi >>> 8);
+    }
+    return [~lo >>> 0, ~hi >>> 0];
+}
+
+/**
+ * 流式解压XZ数据
+ * @param {AsyncIterable<Uint8Array>} chunks - XZ压缩的数据块
+ * @returns {AsyncGenerator<Uint8Array>} 解压后的数据块
+ */
+async function* decodeXz(chunks) {
+    const input = createByteInput(chunks);
+
+    do {
+        yield* decodeXzStream(input);
+
+        // 流之后可以有长度为4的倍数的零填充
+        let padding = 0;
+        while (await input.fill(1) > 0 && input.bytes[input.pos] === 0) {
+            input.pos++;
+            padding++;
+        }
+        if (padding % 4 !== 0) throw new Error('XZ数据损坏');
+    } while (await input.fill(1) > 0);
+}
+
+/**
+ * 解压一个XZ流：流头、若干块、索引和流尾
+ * @param {Object} input - createByteInput创建的输入缓冲
+ * @returns {AsyncGenerator<Uint8Array>} 解压后的数据块
+ */
+async function* decodeXzStream(input) {
+    await input.require(12);
+    const header = input.bytes.slice(input.pos, input.pos + 12);
+    input.pos += 12;
+    if (!XZ_HEADER_MAGIC.every((byte, i) => header[i] === byte)) throw new Error('不是有效的XZ文件');
+    if (crc32(header.subarray(6, 8)) !== readUint32LE(header, 8)) throw new Error('XZ数据损坏');
+    if (header[6] !== 0 || header[7] > 0x0F) throw new Error('不支持的XZ流选项');
+    const checkType = header[7];
+
+    // 每个块的未填充大小和解压大小，用于与索引核对
+    const records = [];
+    while (true) {
+        await input.require(1);
+        // 索引以0x00开头，块头的第一个字节（头部大小）不会是0
+        if (input.bytes[input.pos] === 0) break;
+        records.push(yield* decodeXzBlock(input, checkType));
+    }
+
+    const indexSize = await readXzIndex(input, records);
+
+    await input.require(12);
+    const footer = input.bytes.subarray(input.pos, input.pos + 12);
+    const backwardSize = (readUint32LE(footer, 4) + 1) * 4;
+    if (crc32(footer.subarray(4, 10)) !== readUint32LE(footer, 0) ||
+        backwardSize !== indexSize ||
+        footer[8] !== header[6] || footer[9] !== header[7] ||
+        footer[10] !== XZ_FOOTER_MAGIC[0] || footer[11] !== XZ_FOOTER_MAGIC[1]) {
+        throw new Error('XZ数据损坏');
+    }
+    input.pos += 12;
+}
+
+/**
+ * 解压一个XZ块
+ * @param {Object} input - createByteInput创建的输入缓冲
+ * @param {number} checkType - 流头中的校验类型
+ * @returns {AsyncGenerator<Uint8Array, Object>} 解压后的数据块，返回值为{unpaddedSize, uncompressedSize}
+ */
+async function* decodeXzBlock(input, checkType) {
+    // 块头：大小、标志、可选的压缩/解压大小、过滤器列表、填充和CRC32
+    const headerSize = (input.bytes[input.pos] + 1) * 4;
+    await input.require(headerSize);
+    const header = input.bytes.slice(input.pos, input.pos + headerSize);
+    input.pos += headerSize;
+    if (crc32(header.subarray(0, headerSize - 4)) !== readUint32LE(header, headerSize - 4)) {
+        throw new Error('XZ数据损坏');
+    }
+
+    const flags = header[1];
+    if (flags & 0x3C) throw new Error('不支持的XZ块选项');
+    const reader = { bytes: header, pos: 2, end: headerSize - 4 };
+    const declaredCompressedSize = (flags & 0x40) ? readXzVli(reader) : -1;
+    const declaredUncompressedSize = (flags & 0x80) ? readXzVli(reader) : -1;
+
+    let dictSize = 0;
+    const filterCount = (flags & 0x03) + 1;
+    for (let i = 0; i < filterCount; i++) {
+        const filterId = readXzVli(reader);
+        const propertiesSize = readXzVli(reader);
+        if (filterCount > 1 || filterId !== XZ_FILTER_LZMA2 || propertiesSize !== 1 || reader.pos >= reader.end) {
+            throw new Error('不支持的XZ过滤器，目前只支持LZMA2');
+        }
+        dictSize = getLzma2DictSize(header[reader.pos++]);
+    }
+    if (header.subarray(reader.pos, reader.end).some(byte => byte !== 0)) throw new Error('XZ数据损坏');
+
+    // 解压数据并计算校验值
+    let check = checkType === XZ_CHECK_CRC64 ? [0, 0] : 0;
+    let uncompressedSize = 0;
+    const decoder = decodeLzma2(input, dictSize);
+    let compressedSize;
+    while (true) {
+        const { value, done } = await decoder.next();
+        if (done) {
+            compressedSize = value;
+            break;
+        }
+        if (checkType === XZ_CHECK_CRC32) check = crc32(value, check);
+        if (checkType === XZ_CHECK_CRC64) check = crc64(value, check);
+        uncompressedSize += value.length;
+        yield value;
+    }
+
+    if ((declaredCompressedSize >= 0 && declaredCompressedSize !== compressedSize) ||
+        (declaredUncompressedSize >= 0 && declaredUncompressedSize !== uncompressedSize)) {
+        throw new Error('XZ数据损坏');
+    }
+
+    // 块填充到4字节边界，之后是校验值
+    const padding = (4 - compressedSize % 4) % 4;
+    const checkSize = XZ_CHECK_SIZES[checkType];
+    await input.require(padding + checkSize);
+    if (input.bytes.subarray(input.pos, input.pos + padding).some(byte => byte !== 0)) throw new Error('XZ数据损坏');
+    input.pos += padding;
+
+    const stored = input.bytes.subarray(input.pos, input.pos + checkSize);
+    if ((checkType === XZ_CHECK_CRC32 && readUint32LE(stored, 0) !== check) ||
+        (checkType === XZ_CHECK_CRC64 && (readUint32LE(stored, 0) !== check[0] || readUint32LE(stored, 4) !== check[1]))) {
+        throw new Error('XZ校验失败');
+    }
+    input.pos += checkSize;
+
+    return { unpaddedSize: headerSize + compressedSize + checkSize, uncompressedSize };
+}
+
+/**
+ * 读取并核对XZ索引
+ * 索引的大小可以由已解压的块算出，读入后逐项与块的实际大小比较
+ * @param {Object} input - createByteInput创建的输入缓冲
+ * @param {Object[]} records - 已解压的块的大小
+ * @returns {Promise<number>} 索引的字节数（用于与流尾核对）
+ */
+async function readXzIndex(input, records) {
+    const vliSize = (value) => {
+        let size = 1;
+        while (value >= 0x80) {
+            value = Math.floor(value / 128);
+            size++;
+        }
+        return size;
+    };
+    let size = 1 + vliSize(records.length);
+    for (const { unpaddedSize, uncompressedSize } of records) {
+        size += vliSize(unpaddedSize) + vliSize(uncompressedSize);
+    }
+    size += (4 - size % 4) % 4 + 4;
+
+    await input.require(size);
+    const reader = { bytes: input.bytes, pos: input.pos + 1, end: input.pos + size - 4 };
+    const mismatch = readXzVli(reader) !== records.length ||
+        records.some(record => readXzVli(reader) !== record.unpaddedSize || readXzVli(reader) !== record.uncompressedSize) ||
+        input.bytes.subarray(reader.pos, reader.end).some(byte => byte !== 0) ||
+        crc32(input.bytes.subarray(input.pos, reader.end)) !== readUint32LE(input.bytes, reader.end);
+    if (mismatch) throw new Error('XZ索引与数据不符');
+
+    input.pos += size;
+    return size;
+}
+
+/**
+ * 读取XZ的变长整数（每字节7位，最高位表示后面还有字节）
+ * @param {Object} reader - {bytes, pos, end}，读取后pos后移
+ * @returns {number} 整数值
+ */
+function readXzVli(reader) {
+    let value = 0;
+    for (let i = 0; i < 9; i++) {
+        if (reader.pos >= reader.end) throw new Error('XZ数据损坏');
+        const byte = reader.bytes[reader.pos++];
+        value += (byte & 0x7F) * Math.pow(2, 7 * i);
+        if (!(byte & 0x80)) return value;
+    }
+    throw new Error('XZ数据损坏');
+}
+
+/* ---------- Zstandard ---------- */
+
+const ZSTD_MAGIC = 0xFD2FB528;
+// 可跳过帧的魔数为0x184D2A50~0x184D2A5F
+const ZSTD_SKIPPABLE_MAGIC = 0x184D2A50;
+const ZSTD_MAX_BLOCK_SIZE = 128 * 1024;
+// 窗口超过2GB时无法在浏览器中分配
+const ZSTD_MAX_WINDOW_SIZE = 2 * 1024 * 1024 * 1024;
+
+// 字面量长度代码对应的基础值和额外位数
+const ZSTD_LITERAL_LENGTH_BASE = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536
+];
+const ZSTD_LITERAL_LENGTH_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16
+];
+
+// 匹配长度代码对应的基础值和额外位数
+const ZSTD_MATCH_LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
+    35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051, 4099, 8195, 16387, 32771, 65539
+];
+const ZSTD_MATCH_LENGTH_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16
+];
+
+// 序列各字段：符号上限、FSE精度上限和预定义分布（-1表示“小于1”的概率）
+const ZSTD_SEQUENCE_FIELDS = {
+    literalLength: {
+        maxSymbol: 35,
+        maxAccuracyLog: 9,
+        predefined: createFseTable([
+            4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1,
+            -1, -1, -1, -1
+        ], 6)
+    },
+    offset: {
+        maxSymbol: 31,
+        maxAccuracyLog: 8,
+        predefined: createFseTable([
+            1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1
+        ], 5)
+    },
+    matchLength: {
+        maxSymbol: 52,
+        maxAccuracyLog: 9,
+        predefined: createFseTable([
+            1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+            1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1, -1
+        ], 6)
+    }
+};
+
+/**
+ * 流式解压Zstandard数据
+ * @param {AsyncIterable<Uint8Array>} chunks - Zstandard压缩的数据块
+ * @returns {AsyncGenerator<Uint8Array>} 解压后的数据块
+ */
+async function* decodeZstd(chunks) {
+    const input = createByteInput(chunks);
+
+    while (await input.fill(1) > 0) {
+        await input.require(4);
+        const magic = readUint32LE(input.bytes, input.pos);
+        input.pos += 4;
+
+        if (magic === ZSTD_MAGIC) {
+            yield* decodeZstdFrame(input);
+        } else if ((magic & 0xFFFFFFF0) >>> 0 === ZSTD_SKIPPABLE_MAGIC) {
+            // 可跳过帧：4字节长度加上用户数据
+            await input.require(4);
+            const size = readUint32LE(input.bytes, input.pos);
+            input.pos += 4;
+            await input.skip(size);
+        } else {
+            throw new Error('不是有效的Zstandard文件');
+        }
+    }
+}
+
+/**
+ * 解压一个Zstandard帧（魔数之后的部分）
+ * @param {Object} input - createByteInput创建的输入缓冲
+ * @returns {AsyncGenerator<Uint8Array>} 解压后的数据块
+ */
+async function* decodeZstdFrame(input) {
+    await input.require(1);
+    const descriptor = input.bytes[input.pos];
+    const contentSizeFlag = descriptor >> 6;
+    const singleSegment = (descriptor >> 5) & 1;
+    const hasChecksum = (descriptor >> 2) & 1;
+    const dictIdSize = [0, 1, 2, 4][descriptor & 3];
+    const contentSizeBytes = [singleSegment, 2, 4, 8][contentSizeFlag];
+    if (descriptor & 0x08) throw new Error('Zstandard数据损坏');
+
+    const headerSize = 1 + (singleSegment ? 0 : 1) + dictIdSize + contentSizeBytes;
+    await input.require(headerSize);
+    const header = input.bytes.subarray(input.pos, input.pos + headerSize);
+    input.pos += headerSize;
+    let offset = 1;
+
+    let windowSize = 0;
+    if (!singleSegment) {
+        const exponent = header[offset] >> 3;
+        const mantissa = header[offset] & 7;
+        const windowBase = Math.pow(2, 10 + exponent);
+        windowSize = windowBase + windowBase / 8 * mantissa;
+        offset++;
+    }
+
+    let dictId = 0;
+    for (let i = 0; i < dictIdSize; i++) dictId += header[offset++] * Math.pow(2, 8 * i);
+    if (dictId !== 0) throw new Error('不支持使用外部字典压缩的Zstandard文件');
+
+    let contentSize = -1;
+    if (contentSizeBytes > 0) {
+        contentSize = 0;
+        for (let i = 0; i < contentSizeBytes; i++) contentSize += header[offset++] * Math.pow(2, 8 * i);
+        if (contentSizeBytes === 2) contentSize += 256;
+    }
+    // 单段模式下窗口就是整个内容
+    if (singleSegment) windowSize = contentSize;
+    if (windowSize > ZSTD_MAX_WINDOW_SIZE) throw new Error('Zstandard窗口过大');
+
+    const hash = hasChecksum ? createXxh64() : null;
+
+    // 帧内各块共享窗口、哈夫曼表、序列FSE表和重复偏移
+    const frame = {
+        output: createOutputWindow(windowSize),
+        windowSize,
+        huffmanTable: null,
+        sequenceTables: {},
+        repeatOffsets: [1, 4, 8]
+    };
+
+    while (true) {
+        await input.require(3);
+        const blockHeader = input.bytes[input.pos] | (input.bytes[input.pos + 1] << 8) | (input.bytes[input.pos + 2] << 16);
+        const lastBlock = blockHeader & 1;
+        const blockType = (blockHeader >> 1) & 3;
+        const blockSize = blockHeader >> 3;
+        input.pos += 3;
+        if (blockSize > ZSTD_MAX_BLOCK_SIZE) throw new Error('Zstandard数据损坏');
+
+        if (blockType === 0) {
+            // 原始块
+            await input.require(blockSize);
+            frame.output.write(input.bytes, input.pos, input.pos + blockSize);
+            input.pos += blockSize;
+        } else if (blockType === 1) {
+            // RLE块：一个字节重复blockSize次
+            await input.require(1);
+            frame.output.write(new Uint8Array(blockSize).fill(input.bytes[input.pos]));
+            input.pos++;
+        } else if (blockType === 2) {
+            await input.require(blockSize);
+            decodeZstdBlock(input.bytes, input.pos, input.pos + blockSize, frame);
+            input.pos += blockSize;
+        } else {
+            throw new Error('Zstandard数据损坏');
+        }
+
+        for (const chunk of frame.output.takeOutput()) {
+            if (hash) hash.update(chunk);
+            yield chunk;
+        }
+        if (lastBlock) break;
+    }
+
+    if (contentSize >= 0 && frame.output.total !== contentSize) throw new Error('Zstandard数据损坏');
+    // 内容校验和是整个帧内容XXH64的低32位
+    if (hash) {
+        await input.require(4);
+        if (readUint32LE(input.bytes, input.pos) !== hash.digest()) throw new Error('Zstandard校验失败');
+        input.pos += 4;
+    }
+}
+
+/**
+ * 解码一个压缩块：字面量部分和序列部分
+ * @param {Uint8Array} bytes - 输入数据
+ * @param {number} start - 块内容起点
+ * @param {number} end - 块内容终点
+ * @param {Object} frame - 帧状态
+ */
+function decodeZstdBlock(bytes, start, end, frame) {
+    const { literals, size } = decodeZstdLiterals(bytes, start, end, frame);
+    let position = start + size;
+    const { output } = frame;
+
+    // 序列数量
+    if (position >= end) throw new Error('Zstandard数据损坏');
+    let sequenceCount = bytes[position++];
+    if (sequenceCount === 255) {
+        sequenceCount = bytes[position] + (bytes[position + 1] << 8) + 0x7F00;
+        position += 2;
+    } else if (sequenceCount >= 128) {
+        sequenceCount = ((sequenceCount - 128) << 8) + bytes[position++];
+    }
+    if (sequenceCount === 0) {
+        output.write(literals);
+        return;
+    }
+
+    // 三个字段的编码方式（各2位）及其FSE表
+    const modes = bytes[position++];
+    if (position > end || (modes & 3)) throw new Error('Zstandard数据损坏');
+    const tables = {};
+    [['literalLength', 6], ['offset', 4], ['matchLength', 2]].forEach(([field, shift]) => {
+        const { table, size: tableSize } = readZstdSequenceTable(
+            (modes >> shift) & 3, bytes, position, end, ZSTD_SEQUENCE_FIELDS[field], frame.sequenceTables[field]
+        );
+        tables[field] = frame.sequenceTables[field] = table;
+        position += tableSize;
+    });
+
+    // 序列比特流：从末尾向前读，先初始化三个状态
+    const reader = createBackwardBitReader(bytes, position, end);
+    const { literalLength: llTable, offset: ofTable, matchLength: mlTable } = tables;
+    let llState = reader.read(llTable.accuracyLog);
+    let ofState = reader.read(ofTable.accuracyLog);
+    let mlState = reader.read(mlTable.accuracyLog);
+    const reps = frame.repeatOffsets;
+    let literalPos = 0;
+
+    for (let i = 0; i < sequenceCount; i++) {
+        const ofCode = ofTable.symbols[ofState];
+        const mlCode = mlTable.symbols[mlState];
+        const llCode = llTable.symbols[llState];
+
+        // 额外位的读取顺序：偏移、匹配长度、字面量长度
+        const offsetValue = Math.pow(2, ofCode) + reader.read(ofCode);
+        const matchLength = ZSTD_MATCH_LENGTH_BASE[mlCode] + reader.read(ZSTD_MATCH_LENGTH_BITS[mlCode]);
+        const literalLength = ZSTD_LITERAL_LENGTH_BASE[llCode] + reader.read(ZSTD_LITERAL_LENGTH_BITS[llCode]);
+
+        if (i < sequenceCount - 1) {
+            llState = llTable.baselines[llState] + reader.read(llTable.bitCounts[llState]);
+            mlState = mlTable.baselines[mlState] + reader.read(mlTable.bitCounts[mlState]);
+            ofState = ofTable.baselines[ofState] + reader.read(ofTable.bitCounts[ofState]);
+        }
+
+        // 1~3表示使用重复偏移（字面量长度为0时整体后移一位），大于3时为新偏移
+        let offset;
+        if (offsetValue > 3) {
+            offset = offsetValue - 3;
+            reps[2] = reps[1];
+            reps[1] = reps[0];
+            reps[0] = offset;
+        } else {
+            const index = offsetValue - 1 + (literalLength === 0 ? 1 : 0);
+            if (index === 0) {
+                offset = reps[0];
+            } else {
+                offset = index < 3 ? reps[index] : reps[0] - 1;
+                if (offset === 0) throw new Error('Zstandard数据损坏');
+                if (index !== 1) reps[2] = reps[1];
+                reps[1] = reps[0];
+                reps[0] = offset;
+            }
+        }
+
+        if (literalPos + literalLength > literals.length) throw new Error('Zstandard数据损坏');
+        output.write(literals, literalPos, literalPos + literalLength);
+        literalPos += literalLength;
+
+        if (offset > output.total || (frame.windowSize > 0 && offset > frame.windowSize)) {
+            throw new Error('Zstandard数据损坏');
+        }
+        output.copyMatch(offset, matchLength);
+    }
+
+    if (reader.remaining !== 0) throw new Error('Zstandard数据损坏');
+    output.write(literals, literalPos);
+}
+
+/**
+ * 解码块的字面量部分
+ * @param {Uint8Array} bytes - 输入数据
+ * @param {number} start - 字面量部分起点
+ * @param {number} end - 块内容终点
+ * @param {Object} frame - 帧状态（保存哈夫曼表供后续块复用）
+ * @returns {{literals: Uint8Array, size: number}} 字面量和该部分占用的字节数
+ */
+function decodeZstdLiterals(bytes, start, end, frame) {
+    const first = bytes[start];
+    const type = first & 3;
+    const sizeFormat = (first >> 2) & 3;
+
+    // 0：原始字面量，1：RLE字面量
+    if (type <= 1) {
+        let headerSize;
+        let regeneratedSize;
+        if (sizeFormat === 1) {
+            headerSize = 2;
+            regeneratedSize = (first >> 4) + (bytes[start + 1] << 4);
+        } else if (sizeFormat === 3) {
+            headerSize = 3;
+            regeneratedSize = (first >> 4) + (bytes[start + 1] << 4) + (bytes[start + 2] << 12);
+        } else {
+            headerSize = 1;
+            regeneratedSize = first >> 3;
+        }
+
+        const contentStart = start + headerSize;
+        if (type === 0) {
+            if (contentStart + regeneratedSize > end) throw new Error('Zstandard数据损坏');
+            return { literals: bytes.subarray(contentStart, contentStart + regeneratedSize), size: headerSize + regeneratedSize };
+        }
+        if (contentStart >= end) throw new Error('Zstandard数据损坏');
+        return { literals: new Uint8Array(regeneratedSize).fill(bytes[contentStart]), size: headerSize + 1 };
+    }
+
+    // 2：哈夫曼压缩，3：沿用上一块的哈夫曼表
+    let headerSize;
+    let regeneratedSize;
+    let compressedSize;
+    const [b1, b2, b3, b4] = [bytes[start + 1], bytes[start + 2], bytes[start + 3], bytes[start + 4]];
+    if (sizeFormat <= 1) {
+        headerSize = 3;
+        regeneratedSize = (first >> 4) | ((b1 & 0x3F) << 4);
+        compressedSize = (b1 >> 6) | (b2 << 2);
+    } else if (sizeFormat === 2) {
+        headerSize = 4;
+        regeneratedSize = (first >> 4) | (b1 << 4) | ((b2 & 0x03) << 12);
+        compressedSize = (b2 >> 2) | (b3 << 6);
+    } else {
+        headerSize = 5;
+        regeneratedSize = (first >> 4) | (b1 << 4) | ((b2 & 0x3F) << 12);
+        compressedSize = (b2 >> 6) | (b3 << 2) | (b4 << 10);
+    }
+
+    let position = start + headerSize;
+    const streamsEnd = position + compressedSize;
+    if (streamsEnd > end || regeneratedSize > ZSTD_MAX_BLOCK_SIZE) throw new Error('Zstandard数据损坏');
+
+    if (type === 2) {
+        const { table, size } = readZstdHuffmanTable(bytes, position, streamsEnd);
+        frame.huffmanTable = table;
+        position += size;
+    } else if (!frame.huffmanTable) {
+        throw new Error('Zstandard数据损坏');
+    }
+
+    const literals = new Uint8Array(regeneratedSize);
+    if (sizeFormat === 0) {
+        decodeZstdHuffmanStream(frame.huffmanTable, bytes, position, streamsEnd, literals, 0, regeneratedSize);
+    } else {
+        // 4个流：开头的跳转表给出前3个流的长度
+        if (position + 6 > streamsEnd) throw new Error('Zstandard数据损坏');
+        const streamSizes = [0, 2, 4].map(i => bytes[position + i] | (bytes[position + i + 1] << 8));
+        position += 6;
+        const segmentSize = Math.ceil(regeneratedSize / 4);
+        let outPos = 0;
+        for (let i = 0; i < 4; i++) {
+            const streamEnd = i < 3 ? position + streamSizes[i] : streamsEnd;
+            const count = i < 3 ? segmentSize : regeneratedSize - 3 * segmentSize;
+            if (streamEnd > streamsEnd || count < 0) throw new Error('Zstandard数据损坏');
+            decodeZstdHuffmanStream(frame.huffmanTable, bytes, position, streamEnd, literals, outPos, count);
+            position = streamEnd;
+            outPos += count;
+        }
+    }
+
+    return { literals, size: streamsEnd - start };
+}
+
+/**
+ * 读取哈夫曼表描述（各符号的权重）并创建解码表
+ * @param {Uint8Array} bytes - 输入数据
+ * @param {number} start - 描述起点
+ * @param {number} end - 描述所在区域的终点
+ * @returns {{table: Object, size: number}} 解码表（maxBits、symbols、bitCounts）和描述的字节数
+ */
+function readZstdHuffmanTable(bytes, start, end) {
+    const headerByte = bytes[start];
+    const weights = [];
+    let size;
+
+    if (headerByte < 128) {
+        // 权重经过FSE压缩，用两个交替的状态解码
+        size = 1 + headerByte;
+        if (start + size > end) throw new Error('Zstandard数据损坏');
+        const { table, size: descriptionSize } = readFseTableDescription(bytes, start + 1, start + size, 255, 6);
+        const reader = createBackwardBitReader(bytes, start + 1 + descriptionSize, start + size);
+        const states = [reader.read(table.accuracyLog), reader.read(table.accuracyLog)];
+
+        for (let current = 0; ; current ^= 1) {
+            const state = states[current];
+            weights.push(table.symbols[state]);
+            states[current] = table.baselines[state] + reader.read(table.bitCounts[state]);
+            // 比特流读完时，另一个状态还有最后一个符号
+            if (reader.remaining < 0) {
+                weights.push(table.symbols[states[current ^ 1]]);
+                break;
+            }
+            if (weights.length > 255) throw new Error('Zstandard数据损坏');
+        }
+    } else {
+        // 权重直接以4位存放
+        const count = headerByte - 127;
+        size = 1 + Math.ceil(count / 2);
+        if (start + size > end) throw new Error('Zstandard数据损坏');
+        for (let i = 0; i < count; i++) {
+            const byte = bytes[start + 1 + (i >> 1)];
+            weights.push(i % 2 === 0 ? byte >> 4 : byte & 0x0F);
+        }
+    }
+
+    // 最后一个符号的权重不存储，由总和补齐到2的幂得出
+    let total = 0;
+    for (const weight of weights) {
+        if (weight > 11) throw new Error('Zstandard数据损坏');
+        if (weight > 0) total += 1 << (weight - 1);
+    }
+    if (total === 0 || weights.length > 255) throw new Error('Zstandard数据损坏');
+    const maxBits = 32 - Math.clz32(total);
+    const rest = (1 << maxBits) - total;
+    if (maxBits > 11 || (rest & (rest - 1)) !== 0) throw new Error('Zstandard数据损坏');
+    weights.push(32 - Math.clz32(rest));
+
+    // 权重小的符号排在前面，权重为w的符号占2^(w-1)个表项
+    const tableSize = 1 << maxBits;
+    const symbols = new Uint8Array(tableSize);
+    const bitCounts = new Uint8Array(tableSize);
+    let position = 0;
+    for (let weight = 1; weight <= maxBits; weight++) {
+        weights.forEach((symbolWeight, symbol) => {
+            if (symbolWeight !== weight) return;
+            const length = 1 << (weight - 1);
+            symbols.fill(symbol, position, position + length);
+            bitCounts.fill(maxBits + 1 - weight, position, position + length);
+            position += length;
+        });
+    }
+
+    return { table: { maxBits, symbols, bitCounts }, size };
+}
+
+/**
+ * 解码一个哈夫曼字面量流
+ * @param {Object} table - 哈夫曼解码表
+ * @param {Uint8Array} bytes - 输入数据
+ * @param {number} start - 流起点
+ * @param {number} end - 流终点
+ * @param {Uint8Array} output - 输出的字面量
+ * @param {number} offset - 输出起点
+ * @param {number} count - 符号数量
+ */
+function decodeZstdHuffmanStream(table, bytes, start, end, output, offset, count) {
+    const { maxBits, symbols, bitCounts } = table;
+    const reader = createBackwardBitReader(bytes, start, end);
+    for (let i = offset; i < offset + count; i++) {
+        const index = reader.peek(maxBits);
+        output[i] = symbols[index];
+        reader.consume(bitCounts[index]);
+    }
+    if (reader.remaining !== 0) throw new Error('Zstandard数据损坏');
+}
+
+/**
+ * 读取序列字段的FSE表
+ * @param {number} mode - 0预定义、1 RLE、2 FSE压缩、3沿用上一块
+ * @param {Uint8Array} bytes - 输入数据
+ * @param {number} position - 表描述起点
+ * @param {number} end - 块内容终点
+ * @param {Object} field - ZSTD_SEQUENCE_FIELDS中的字段定义
+ * @param {Object} [previous] - 上一块使用的表
+ * @returns {{table: Object, size: number}} FSE表和表描述的字节数
+ */
+function readZstdSequenceTable(mode, bytes, position, end, field, previous) {
+    switch (mode) {
+        case 0:
+            return { table: field.predefined, size: 0 };
+        case 1: {
+            if (position >= end || bytes[position] > field.maxSymbol) throw new Error('Zstandard数据损坏');
+            const table = {
+                accuracyLog: 0,
+                symbols: Uint8Array.of(bytes[position]),
+                bitCounts: Uint8Array.of(0),
+                baselines: Uint16Array.of(0)
+            };
+            return { table, size: 1 };
+        }
+        case 2:
+            return readFseTableDescription(bytes, position, end, field.maxSymbol, field.maxAccuracyLog);
+        default:
+            if (!previous) throw new Error('Zstandard数据损坏');
+            return { table: previous, size: 0 };
+    }
+}
+
+/**
+ * 读取FSE表描述（归一化的符号概率）并创建解码表
+ * 描述使用从前向后、低位在前的比特流
+ * @param {Uint8Array} bytes - 输入数据
+ * @param {number} start - 描述起点
+ * @param {number} end - 可读区域终点
+ * @param {number} maxSymbol - 最大符号值
+ * @param {number} maxAccuracyLog - 最大精度
+ * @returns {{table: Object, size: number}} FSE表和描述的字节数
+ */
+function readFseTableDescription(bytes, start, end, maxSymbol, maxAccuracyLog) {
+    let bitPos = 0;
+    const peek = (bitCount) => {
+        const index = start + (bitPos >> 3);
+        if (index >= end) throw new Error('Zstandard数据损坏');
+        const word = bytes[index] | (bytes[index + 1] << 8) | (bytes[index + 2] << 16);
+        return (word >>> (bitPos & 7)) & ((1 << bitCount) - 1);
+    };
+
+    const accuracyLog = peek(4) + 5;
+    bitPos += 4;
+    if (accuracyLog > maxAccuracyLog) throw new Error('Zstandard数据损坏');
+
+    const distribution = [];
+    let remaining = (1 << accuracyLog) + 1;
+    let threshold = 1 << accuracyLog;
+    let bitCount = accuracyLog + 1;
+
+    while (remaining > 1) {
+        if (distribution.length > maxSymbol) throw new Error('Zstandard数据损坏');
+
+        // 取值范围较小时可以少用一位
+        const max = 2 * threshold - 1 - remaining;
+        let value = peek(bitCount - 1);
+        if (value < max) {
+            bitPos += bitCount - 1;
+        } else {
+            value = peek(bitCount);
+            if (value >= threshold) value -= max;
+            bitPos += bitCount;
+        }
+
+        const count = value - 1;
+        remaining -= Math.abs(count);
+        if (remaining < 1) throw new Error('Zstandard数据损坏');
+        distribution.push(count);
+
+        // 概率为0的符号后面跟着2位的重复标志，表示还有几个连续的0（3表示继续读取）
+        if (count === 0) {
+            let repeat;
+            do {
+                repeat = peek(2);
+                bitPos += 2;
+                for (let i = 0; i < repeat; i++) distribution.push(0);
+            } while (repeat === 3);
+        }
+
+        while (remaining < threshold) {
+            bitCount--;
+            threshold >>= 1;
+        }
+    }
+
+    const size = (bitPos + 7) >> 3;
+    if (distribution.length > maxSymbol + 1 || start + size > end) throw new Error('Zstandard数据损坏');
+    return { table: createFseTable(distribution, accuracyLog), size };
+}
+
+/**
+ * 根据归一化的符号概率创建FSE解码表
+ * @param {number[]} distribution - 每个符号的概率（-1表示小于1）
+ * @param {number} accuracyLog - 精度（表大小为2^accuracyLog）
+ * @returns {Object} accuracyLog，以及每个状态的symbols、bitCounts、baselines
+ */
+function createFseTable(distribution, accuracyLog) {
+    const size = 1 << accuracyLog;
+    const symbols = new Uint8Array(size);
+    const bitCounts = new Uint8Array(size);
+    const baselines = new Uint16Array(size);
+    const next = new Uint16Array(distribution.length);
+
+    // 概率小于1的符号放在表的末尾
+    let highThreshold = size - 1;
+    distribution.forEach((count, symbol) => {
+        if (count === -1) {
+            symbols[highThreshold--] = symbol;
+            next[symbol] = 1;
+        } else {
+            next[symbol] = count;
+        }
+    });
+
+    // 其余符号按固定步长分散到表中
+    const step = (size >> 1) + (size >> 3) + 3;
+    let position = 0;
+    distribution.forEach((count, symbol) => {
+        for (let i = 0; i < count; i++) {
+            symbols[position] = symbol;
+            do {
+                position = (position + step) & (size - 1);
+            } while (position > highThreshold);
+        }
+    });
+    if (position !== 0) throw new Error('Zstandard数据损坏');
+
+    for (let i = 0; i < size; i++) {
+        const state = next[symbols[i]]++;
+        const bits = accuracyLog - (31 - Math.clz32(state));
+        bitCounts[i] = bits;
+        baselines[i] = (state << bits) - size;
+    }
+
+    return { accuracyLog, symbols, bitCounts, baselines };
+}
+
+/**
+ * 创建从末尾向前读取的比特流读取器
+ * 最后一个字节的最高位1是结束标记，之前的位按从高到低的顺序读取；
+ * 读过起点的部分按0处理（用于判断流是否恰好读完）
+ * @param {Uint8Array} bytes - 输入数据
+ * @param {number} start - 流起点
+ * @param {number} end - 流终点
+ * @returns {Object} read(count)、peek(count)、consume(count)和剩余位数remaining
+ */
+function createBackwardBitReader(bytes, start, end) {
+    if (end <= start || bytes[end - 1] === 0) throw new Error('Zstandard数据损坏');
+    let position = (end - start - 1) * 8 + (31 - Math.clz32(bytes[end - 1]));
+
+    // 取出[position - count, position)这些位
+    const peek = (count) => {
+        if (count === 0) return 0;
+        const low = position - count;
+        if (low >= 0 && count <= 24) {
+            const index = start + (low >> 3);
+            const word = bytes[index] | (bytes[index + 1] << 8) | (bytes[index + 2] << 16) | (bytes[index + 3] << 24);
+            return (word >>> (low & 7)) & ((1 << count) - 1);
+        }
+        let value = 0;
+        for (let bit = Math.max(0, -low); bit < count; ) {
+            const offset = (low + bit) & 7;
+            const take = Math.min(8 - offset, count - bit);
+            value += ((bytes[start + ((low + bit) >> 3)] >> offset) & ((1 << take) - 1)) * Math.pow(2, bit);
+            bit += take;
+        }
+        return value;
+    };
+
+    return {
+        peek,
+        read(count) {
+            const value = peek(count);
+            position -= count;
+            return value;
+        },
+        consume(count) {
+            position -= count;
+        },
+        get remaining() {
+            return position;
+        }
+    };
+}
+
+// XXH64的5个常数（高32位、低32位）
+const XXH64_PRIMES = [
+    [0x9E3779B1, 0x85EBCA87],
+    [0xC2B2AE3D, 0x27D4EB4F],
+    [0x165667B1, 0x9E3779F9],
+    [0x85EBCA77, 0xC2B2AE63],
+    [0x27D4EB2F, 0x165667C5]
+];
+
+/**
+ * 创建XXH64哈希计算器（种子为0），用于校验Zstandard帧内容
+ * 64位整数用高低两个32位整数表示，乘法拆成16位分段计算以保证精度
+ * @returns {Object} update(data)、digest()（返回哈希的低32位）
+ */
+function createXxh64() {
+    const [P1, P2, P3, P4, P5] = XXH64_PRIMES;
+    // 每次运算的结果（高32位、低32位）；存放在类型化数组中，避免大整数装箱
+    const result = new Uint32Array(2);
+
+    const add = (aHi, aLo, bHi, bLo) => {
+        const low = aLo + bLo;
+        result[1] = low;
+        result[0] = aHi + bHi + (low > 0xFFFFFFFF ? 1 : 0);
+    };
+
+    // 每一步的中间结果都小于2^32，可以用整数运算
+    const multiply = (aHi, aLo, bHi, bLo) => {
+        const a0 = aLo & 0xFFFF, a1 = aLo >>> 16, a2 = aHi & 0xFFFF, a3 = aHi >>> 16;
+        const b0 = bLo & 0xFFFF, b1 = bLo >>> 16, b2 = bHi & 0xFFFF, b3 = bHi >>> 16;
+        let c0 = a0 * b0;
+        let c1 = c0 >>> 16;
+        c0 &= 0xFFFF;
+        c1 += a1 * b0;
+        let c2 = c1 >>> 16;
+        c1 &= 0xFFFF;
+        c1 += a0 * b1;
+        c2 += c1 >>> 16;
+        c1 &= 0xFFFF;
+        c2 += a2 * b0;
+        let c3 = c2 >>> 16;
+        c2 &= 0xFFFF;
+        c2 += a1 * b1;
+        c3 += c2 >>> 16;
+        c2 &= 0xFFFF;
+        c2 += a0 * b2;
+        c3 += c2 >>> 16;
+        c2 &= 0xFFFF;
+        c3 = (c3 + Math.imul(a3, b0) + Math.imul(a2, b1) + Math.imul(a1, b2) + Math.imul(a0, b3)) & 0xFFFF;
+        result[1] = (c1 << 16) | c0;
+        result[0] = (c3 << 16) | c2;
+    };
+
+    // 循环左移（0 < bits < 32）
+    const rotate = (aHi, aLo, bits) => {
+        result[0] = (aHi << bits) | (aLo >>> (32 - bits));
+        result[1] = (aLo << bits) | (aHi >>> (32 - bits));
+    };
+
+    // acc = rotl(acc + input × P2, 31) × P1
+    const round = (accHi, accLo, inHi, inLo) => {
+        multiply(inHi, inLo, P2[0], P2[1]);
+        add(accHi, accLo, result[0], result[1]);
+        rotate(result[0], result[1], 31);
+        multiply(result[0], result[1], P1[0], P1[1]);
+    };
+
+    // 4个累加器：P1 + P2、P2、0、-P1
+    const lanes = new Uint32Array(8);
+    add(P1[0], P1[1], P2[0], P2[1]);
+    lanes[0] = result[0];
+    lanes[1] = result[1];
+    lanes[2] = P2[0];
+    lanes[3] = P2[1];
+    add(~P1[0] >>> 0, ~P1[1] >>> 0, 0, 1);
+    lanes[6] = result[0];
+    lanes[7] = result[1];
+
+    // 不足32字节的数据先暂存，凑满一组再计算
+    const pending = new Uint8Array(32);
+    let pendingLength = 0;
+    let total = 0;
+
+    const processStripe = (data, offset) => {
+        for (let i = 0; i < 4; i++) {
+            const position = offset + i * 8;
+            round(lanes[i * 2], lanes[i * 2 + 1], readUint32LE(data, position + 4), readUint32LE(data, position));
+            lanes[i * 2] = result[0];
+            lanes[i * 2 + 1] = result[1];
+        }
+    };
+
+    return {
+        update(data) {
+            total += data.length;
+            let offset = 0;
+            if (pendingLength > 0) {
+                const count = Math.min(32 - pendingLength, data.length);
+                pending.set(data.subarray(0, count), pendingLength);
+                pendingLength += count;
+                offset = count;
+                if (pendingLength < 32) return;
+                processStripe(pending, 0);
+                pendingLength = 0;
+            }
+            for (; offset + 32 <= data.length; offset += 32) processStripe(data, offset);
+            pending.set(data.subarray(offset), 0);
+            pendingLength = data.length - offset;
+        },
+        digest() {
+            let hHi;
+            let hLo;
+            if (total >= 32) {
+                rotate(lanes[0], lanes[1], 1);
+                hHi = result[0];
+                hLo = result[1];
+                [[2, 7], [4, 12], [6, 18]].forEach(([index, bits]) => {
+                    rotate(lanes[index], lanes[index + 1], bits);
+                    add(hHi, hLo, result[0], result[1]);
+                    hHi = result[0];
+                    hLo = result[1];
+                });
+                // 合并每个累加器：h = (h ^ round(0, v)) × P1 + P4
+                for (let i = 0; i < 8; i += 2) {
+                    round(0, 0, lanes[i], lanes[i + 1]);
+                    multiply((hHi ^ result[0]) >>> 0, (hLo ^ result[1]) >>> 0, P1[0], P1[1]);
+                    add(result[0], result[1], P4[0], P4[1]);
+                    hHi = result[0];
+                    hLo = result[1];
+                }
+            } else {
+                hHi = P5[0];
+                hLo = P5[1];
+            }
+            add(hHi, hLo, Math.floor(total / 0x100000000), total >>> 0);
+            hHi = result[0];
+            hLo = result[1];
+
+            // 剩余的8字节、4字节和单字节
+            let offset = 0;
+            for (; offset + 8 <= pendingLength; offset += 8) {
+                round(0, 0, readUint32LE(pending, offset + 4), readUint32LE(pending, offset));
+                rotate((hHi ^ result[0]) >>> 0, (hLo ^ result[1]) >>> 0, 27);
+                multiply(result[0], result[1], P1[0], P1[1]);
+                add(result[0], result[1], P4[0], P4[1]);
+                hHi = result[0];
+                hLo = result[1];
+            }
+            if (offset + 4 <= pendingLength) {
+                multiply(0, readUint32LE(pending, offset), P1[0], P1[1]);
+                rotate((hHi ^ result[0]) >>> 0, (hLo ^ result[1]) >>> 0, 23);
+                multiply(result[0], result[1], P2[0], P2[1]);
+                add(result[0], result[1], P3[0], P3[1]);
+                hHi = result[0];
+                hLo = result[1];
+                offset += 4;
+            }
+            for (; offset < pendingLength; offset++) {
+                multiply(0, pending[offset], P5[0], P5[1]);
+                rotate((hHi ^ result[0]) >>> 0, (hLo ^ result[1]) >>> 0, 11);
+                multiply(result[0], result[1], P1[0], P1[1]);
+                hHi = result[0];
+                hLo = result[1];
+            }
+
+            // 最终混合：h ^= h >> 33; h *= P2; h ^= h >> 29; h *= P3; h ^= h >> 32
+            multiply(hHi, (hLo ^ (hHi >>> 1)) >>> 0, P2[0], P2[1]);
+            multiply((result[0] ^ (result[0] >>> 29)) >>> 0, (result[1] ^ ((result[1] >>> 29) | (result[0] << 3))) >>> 0, P3[0], P3[1]);
+            return (result[1] ^ result[0]) >>> 0;
+        }
+    };
+}
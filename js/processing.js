@@ -0,0 +1,3131 @@
+/**
+ * 文件处理核心：格式检测、解压、压缩和图片压缩
+ *
+ * @author ArsnYeon
+ * @website https://yasuo.zip/
+ * @source https://github.com/arsnyeon/online-unzip-tool
+ * @license MIT License
+ *
+ * 本文件不依赖页面DOM，既可以在Web Worker（js/worker.js）中运行，
+ * 也可以在不支持Worker的环境下直接在主线程运行。
+ * 处理函数通过context与调用方通信：
+ * - context.files：解压结果（以路径为键的文件对象）
+ * - context.onProgress(percent)：报告进度
+ * - context.requestPassword(message)：请求用户输入密码
+ * - context.recovery：ZIP中损坏的条目的处理方式（'abort'、'skip'或'salvage'）
+ * 处理失败时抛出带code和details的错误（见createArchiveError），code为ERROR_CODES中的类型
+ */
+
+// 支持解压的格式（复合格式需排在单一格式之前，保证优先匹配）
+// signatures为文件头魔数：offset为起始位置，bytes为需要匹配的字节
+const ARCHIVE_FORMATS = [
+    { format: 'tar.gz', label: 'TAR.GZ', extensions: ['.tar.gz', '.tgz'] },
+    { format: 'tar.bz2', label: 'TAR.BZ2', extensions: ['.tar.bz2', '.tbz2', '.tbz'] },
+    { format: 'tar.xz', label: 'TAR.XZ', extensions: ['.tar.xz', '.txz'] },
+    { format: 'tar.zst', label: 'TAR.ZST', extensions: ['.tar.zst', '.tzst'] },
+    {
+        format: 'zip',
+        label: 'ZIP',
+        extensions: ['.zip'],
+        signatures: [
+            { offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] }, // 普通ZIP（含docx/jar/apk等）
+            { offset: 0, bytes: [0x50, 0x4B, 0x05, 0x06] }, // 空ZIP
+            { offset: 0, bytes: [0x50, 0x4B, 0x07, 0x08] }  // 分卷标记的ZIP
+        ]
+    },
+    { format: '7z', label: '7Z', extensions: ['.7z'], signatures: [{ offset: 0, bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] }] },
+    { format: 'gz', label: 'GZ', extensions: ['.gz'], signatures: [{ offset: 0, bytes: [0x1F, 0x8B] }] },
+    { format: 'bz2', label: 'BZ2', extensions: ['.bz2'], signatures: [{ offset: 0, bytes: [0x42, 0x5A, 0x68] }] }, // "BZh"
+    { format: 'xz', label: 'XZ', extensions: ['.xz'], signatures: [{ offset: 0, bytes: [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00] }] },
+    { format: 'zst', label: 'ZST', extensions: ['.zst'], signatures: [{ offset: 0, bytes: [0x28, 0xB5, 0x2F, 0xFD] }] },
+    { format: 'tar', label: 'TAR', extensions: ['.tar'], signatures: [{ offset: 257, bytes: [0x75, 0x73, 0x74, 0x61, 0x72] }] } // "ustar"
+];
+
+// 单文件压缩格式：流式解压方式（见decompressChunks），以及内部是TAR时对应的格式
+const COMPRESSED_FILE_FORMATS = {
+    gz: { compression: 'gzip', tarFormat: 'tar.gz' },
+    bz2: { compression: 'bzip2', tarFormat: 'tar.bz2' },
+    xz: { compression: 'xz', tarFormat: 'tar.xz' },
+    zst: { compression: 'zstd', tarFormat: 'tar.zst' }
+};
+
+// 压缩过的TAR：先用对应方式流式解压外层，再交给TAR解析器
+const COMPRESSED_TAR_FORMATS = {
+    'tar.gz': 'gzip',
+    'tar.bz2': 'bzip2',
+    'tar.xz': 'xz',
+    'tar.zst': 'zstd'
+};
+
+// 条目类型及显示名称
+const ENTRY_KIND_LABELS = {
+    file: '文件',
+    directory: '文件夹',
+    symlink: '符号链接',
+    hardlink: '硬链接',
+    'character-device': '字符设备',
+    'block-device': '块设备',
+    fifo: '命名管道'
+};
+
+// UNIX文件模式的类型位（mode & 0o170000）对应的条目类型
+const UNIX_ENTRY_KINDS = {
+    0o100000: 'file',
+    0o040000: 'directory',
+    0o120000: 'symlink',
+    0o020000: 'character-device',
+    0o060000: 'block-device',
+    0o010000: 'fifo'
+};
+
+// TAR头部类型标志（156字节）对应的条目类型，未列出的类型按POSIX规定视为普通文件
+const TAR_ENTRY_KINDS = {
+    0: 'file', // 旧格式的'\0'
+    48: 'file', // '0'
+    49: 'hardlink', // '1'
+    50: 'symlink', // '2'
+    51: 'character-device', // '3'
+    52: 'block-device', // '4'
+    53: 'directory', // '5'
+    54: 'fifo', // '6'
+    55: 'file', // '7' 连续文件
+    68: 'directory' // 'D' GNU目录清单
+};
+
+// TAR扩展头类型：GNU长文件名'L'、长链接名'K'，pax扩展头'x'和全局扩展头'g'
+const TAR_EXTENSION_TYPES = [76, 75, 120, 103];
+
+// 检测格式时读取的文件头长度（需覆盖TAR头部的512字节）
+const SNIFF_HEADER_SIZE = 512;
+
+// 流式解压时每次从文件读取的块大小
+const STREAM_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// 超过此大小的ZIP不交给JSZip（会把整个文件读入内存），改为逐条目流式解压
+const ZIP_STREAMING_THRESHOLD = 256 * 1024 * 1024;
+
+// 7z头部中的属性标识
+const SEVEN_ZIP_ID = {
+    END: 0x00,
+    HEADER: 0x01,
+    ARCHIVE_PROPERTIES: 0x02,
+    ADDITIONAL_STREAMS_INFO: 0x03,
+    MAIN_STREAMS_INFO: 0x04,
+    FILES_INFO: 0x05,
+    PACK_INFO: 0x06,
+    UNPACK_INFO: 0x07,
+    SUBSTREAMS_INFO: 0x08,
+    SIZE: 0x09,
+    CRC: 0x0A,
+    FOLDER: 0x0B,
+    CODERS_UNPACK_SIZE: 0x0C,
+    NUM_UNPACK_STREAM: 0x0D,
+    EMPTY_STREAM: 0x0E,
+    EMPTY_FILE: 0x0F,
+    ANTI: 0x10,
+    NAME: 0x11,
+    MTIME: 0x14,
+    WIN_ATTRIBUTES: 0x15,
+    ENCODED_HEADER: 0x17
+};
+
+// 7z压缩方法：方法ID（十六进制）-> 名称和流式解码函数(chunks, properties, unpackSize)，decode为null表示暂不支持
+const SEVEN_ZIP_METHODS = {
+    '00': { name: 'Copy', decode: chunks => chunks },
+    '21': { name: 'LZMA2', decode: (chunks, properties) => decodeLzma2(createByteInput(chunks), getLzma2DictSize(properties[0])) },
+    '030101': { name: 'LZMA', decode: (chunks, properties, unpackSize) => decodeLzma(chunks, properties, unpackSize) },
+    '03030103': { name: 'BCJ', decode: chunks => decodeBcjX86(chunks) },
+    '040108': { name: 'Deflate', decode: chunks => decompressChunks(chunks, 'deflate-raw') },
+    '040202': { name: 'BZip2', decode: chunks => decodeBzip2(chunks) },
+    '0303011b': { name: 'BCJ2', decode: null },
+    '030401': { name: 'PPMd', decode: null },
+    '06f10701': { name: 'AES', decode: null }
+};
+
+// 压缩时可选的ZIP加密方式
+const ZIP_ENCRYPTION_METHODS = {
+    aes256: { label: 'AES-256', aesStrength: 3 },
+    zipcrypto: { label: 'ZipCrypto', aesStrength: 0 }
+};
+
+// 错误类型：code -> 说明
+const ERROR_CODES = {
+    UNSUPPORTED_FORMAT: '不支持的格式',
+    UNSUPPORTED_METHOD: '不支持的压缩方法',
+    ENCRYPTED: '不支持的加密',
+    PASSWORD_CANCELLED: '已取消输入密码',
+    BAD_CHECKSUM: '校验失败',
+    SIZE_MISMATCH: '大小不符',
+    TRUNCATED: '文件不完整',
+    BAD_HEADER: '头部损坏',
+    CORRUPT_DATA: '数据损坏',
+    NO_ENTRIES: '没有找到文件',
+    PARTIAL_FAILURE: '部分文件处理失败',
+    WRITE_FAILED: '写入失败',
+    UNKNOWN: '未知错误'
+};
+
+// 解码器（decompressors.js、zip-crypto.js）和第三方库抛出的是普通Error，按错误信息归类
+const ERROR_MESSAGE_PATTERNS = [
+    { pattern: /校验失败|认证失败|CRC32 mismatch|data check/i, code: 'BAD_CHECKSUM' },
+    { pattern: /不完整|截断|unexpected end|end of data|truncated/i, code: 'TRUNCATED' },
+    { pattern: /不支持|unsupported|compression method/i, code: 'UNSUPPORTED_METHOD' },
+    { pattern: /不是有效的|header|central directory|signature/i, code: 'BAD_HEADER' },
+    { pattern: /损坏|无效|invalid|corrupt/i, code: 'CORRUPT_DATA' }
+];
+
+/**
+ * 创建处理错误
+ * @param {string} code - ERROR_CODES中的错误类型
+ * @param {string} message - 显示给用户的错误信息
+ * @param {Object} [details] - 定位信息，如path（条目路径）、offset（文件中的位置）、method、cause（原始错误信息），
+ *                             需要能传回主线程，只能放字符串、数字等简单值
+ * @returns {Error} 带code和details的错误
+ */
+function createArchiveError(code, message, details = {}) {
+    return Object.assign(new Error(message), { code, details });
+}
+
+/**
+ * 把任意错误转换为带错误类型的处理错误，已有类型的错误原样返回
+ * 第三方库的英文错误信息不直接显示，放在details.cause中
+ * @param {Error} error - 原始错误
+ * @param {string} [fallbackCode='UNKNOWN'] - 无法归类时使用的错误类型
+ * @param {Object} [details] - 补充的定位信息
+ * @returns {Error} 处理错误
+ */
+function toArchiveError(error, fallbackCode = 'UNKNOWN', details = {}) {
+    if (error && error.code && ERROR_CODES[error.code]) {
+        return Object.assign(error, { details: { ...details, ...error.details } });
+    }
+    
+    const message = String(error && error.message || error);
+    const match = ERROR_MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(message));
+    const code = match ? match.code : fallbackCode;
+    const readable = /[\u4e00-\u9fa5]/.test(message);
+    return createArchiveError(code, readable ? message : ERROR_CODES[code], { ...details, cause: message });
+}
+
+/**
+ * 把CRC32格式化为8位十六进制
+ * @param {number} crc - CRC32
+ * @returns {string} 如'0A1B2C3D'
+ */
+function formatCrc32(crc) {
+    return crc.toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * 在错误信息前加上概括（如"ZIP解压失败"），保留错误类型和定位信息
+ * @param {Error} error - 原始错误
+ * @param {string} summary - 概括
+ * @returns {Error} 处理错误
+ */
+function wrapArchiveError(error, summary) {
+    const archiveError = toArchiveError(error);
+    // 用户主动取消时不需要概括
+    if (archiveError.code === 'PASSWORD_CANCELLED') return archiveError;
+    return createArchiveError(archiveError.code, `${summary}：${archiveError.message}`, archiveError.details);
+}
+
+/**
+ * 智能检测文本编码并解码
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} 解码后的字符串
+ */
+function smartDecodeFileName(bytes) {
+    return detectTextEncoding(bytes).text;
+}
+
+/**
+ * 检测文本编码并解码
+ * @param {Uint8Array} bytes - 字节数组
+ * @param {boolean} [truncated=false] - 数据是否被截断（截断处可能落在多字节字符中间）
+ * @returns {{encoding: string, text: string}} 检测到的编码（TextDecoder可用的名称）和解码结果
+ */
+function detectTextEncoding(bytes, truncated = false) {
+    const decode = (encoding, options) => new TextDecoder(encoding, options).decode(bytes, { stream: truncated });
+    
+    // 带BOM的文本直接按BOM确定编码
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { encoding: 'utf-8', text: decode('utf-8') };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { encoding: 'utf-16le', text: decode('utf-16le') };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { encoding: 'utf-16be', text: decode('utf-16be') };
+    }
+    
+    // 检查是否为ASCII（最常见且最安全）
+    let isAscii = true;
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] > 127) {
+            isAscii = false;
+            break;
+        }
+    }
+    if (isAscii) {
+        return { encoding: 'utf-8', text: decode('ascii') };
+    }
+    
+    // 尝试UTF-8（现代标准）
+    try {
+        return { encoding: 'utf-8', text: decode('utf-8', { fatal: true }) };
+    } catch (e) {
+        // UTF-8失败，继续尝试其他编码
+    }
+    
+    // 检测可能的中文编码
+    const encodings = ['gbk', 'big5', 'shift_jis'];
+    for (const encoding of encodings) {
+        try {
+            const decoded = decode(encoding);
+            // 简单的启发式检查：如果解码结果不包含太多替换字符，认为是正确的
+            const replacementCount = (decoded.match(/\uFFFD/g) || []).length;
+            if (replacementCount / decoded.length < 0.1) { // 替换字符少于10%
+                return { encoding, text: decoded };
+            }
+        } catch (e) {
+            continue;
+        }
+    }
+    
+    // 所有编码都失败，使用latin1作为最后的fallback
+    return { encoding: 'windows-1252', text: decode('latin1') };
+}
+
+/**
+ * 根据文件名获取压缩格式
+ * @param {string} fileName - 文件名
+ * @returns {string|null} 格式标识（如'zip'、'tar.gz'），不支持时返回null
+ */
+function getArchiveFormat(fileName) {
+    const lowerName = fileName.toLowerCase();
+    const match = ARCHIVE_FORMATS.find(({ extensions }) => extensions.some(ext => lowerName.endsWith(ext)));
+    return match ? match.format : null;
+}
+
+/**
+ * 获取格式的显示名称
+ * @param {string} format - 格式标识
+ * @returns {string} 显示名称（如'TAR.GZ'）
+ */
+function getFormatLabel(format) {
+    const match = ARCHIVE_FORMATS.find(item => item.format === format);
+    return match ? match.label : format.toUpperCase();
+}
+
+/**
+ * 检测压缩文件的实际格式
+ * 优先根据文件头魔数判断，识别不出时再根据扩展名判断
+ * @param {Blob} file - 要检测的文件
+ * @returns {Promise<string|null>} 格式标识，无法识别时返回null
+ */
+async function detectArchiveFormat(file) {
+    const header = new Uint8Array(await file.slice(0, SNIFF_HEADER_SIZE).arrayBuffer());
+    let format = sniffArchiveFormat(header);
+    
+    // 压缩文件内部可能是TAR，需要解压开头一小段才能确定
+    const compressed = COMPRESSED_FILE_FORMATS[format];
+    if (compressed && await isCompressedTar(file, compressed.compression)) {
+        format = compressed.tarFormat;
+    }
+    
+    return format || (file.name ? getArchiveFormat(file.name) : null);
+}
+
+/**
+ * 根据文件头魔数识别格式
+ * @param {Uint8Array} header - 文件开头的字节
+ * @returns {string|null} 格式标识，无法识别时返回null
+ */
+function sniffArchiveFormat(header) {
+    const match = ARCHIVE_FORMATS.find(({ signatures = [] }) => signatures.some(({ offset, bytes }) =>
+        bytes.every((byte, i) => header[offset + i] === byte)
+    ));
+    if (match) return match.format;
+    
+    return isTarHeader(header) ? 'tar' : null;
+}
+
+/**
+ * 判断是否为TAR头部
+ * 旧式（V7）TAR没有ustar魔数，只能通过头部校验和判断
+ * @param {Uint8Array} header - 512字节的头部
+ * @returns {boolean} 是否为TAR头部
+ */
+function isTarHeader(header) {
+    if (header.length < 512) return false;
+    
+    const storedChecksum = parseInt(String.fromCharCode(...header.subarray(148, 156)).replace(/\0/g, ' ').trim(), 8);
+    if (isNaN(storedChecksum)) return false;
+    
+    // 计算校验和时，校验和字段本身按8个空格计算；一些旧的实现把字节当作有符号数求和
+    let checksum = 0;
+    let signedChecksum = 0;
+    for (let i = 0; i < 512; i++) {
+        const byte = (i >= 148 && i < 156) ? 32 : header[i];
+        checksum += byte;
+        signedChecksum += byte > 127 ? byte - 256 : byte;
+    }
+    return checksum === storedChecksum || signedChecksum === storedChecksum;
+}
+
+/**
+ * 判断压缩文件解压后是否为TAR归档
+ * @param {Blob} file - 压缩文件
+ * @param {string} compression - 压缩方式（见COMPRESSED_FILE_FORMATS）
+ * @returns {Promise<boolean>} 是否为压缩过的TAR
+ */
+async function isCompressedTar(file, compression) {
+    if (compression === 'gzip') return isGzippedTar(file);
+    
+    // 纯JS解压器逐块输出，拿到第一个512字节的块后停止解压
+    const decoder = STREAM_DECODERS[compression](readFileChunks(file));
+    try {
+        return isTarHeader(await createChunkReader(decoder).read(512));
+    } catch (error) {
+        return false;
+    } finally {
+        decoder.return();
+    }
+}
+
+/**
+ * 判断GZIP文件解压后是否为TAR归档
+ * @param {Blob} file - GZIP文件
+ * @returns {Promise<boolean>} 是否为.tar.gz
+ */
+async function isGzippedTar(file) {
+    if (typeof pako === 'undefined') return false;
+    
+    // 只解压开头部分，拿到第一个512字节的块即可判断
+    let firstBlock = null;
+    const inflator = new pako.Inflate({ chunkSize: 512 });
+    inflator.onData = chunk => { firstBlock = firstBlock || chunk; };
+    inflator.push(new Uint8Array(await file.slice(0, 64 * 1024).arrayBuffer()), false);
+    
+    return !inflator.err && !!firstBlock && isTarHeader(firstBlock);
+}
+
+/**
+ * 去掉压缩格式扩展名（包括.tar.gz等复合扩展名）
+ * @param {string} fileName - 文件名
+ * @returns {string} 不含压缩扩展名的文件名
+ */
+function getArchiveBaseName(fileName) {
+    const lowerName = fileName.toLowerCase();
+    for (const { extensions } of ARCHIVE_FORMATS) {
+        const ext = extensions.find(ext => lowerName.endsWith(ext));
+        if (ext) return fileName.slice(0, -ext.length);
+    }
+    return fileName.replace(/\.[^/.]+$/, '');
+}
+
+/**
+ * 根据格式解压文件
+ * @param {File} file - 要解压的文件
+ * @param {string} format - detectArchiveFormat返回的格式
+ * @param {Object} context - 处理上下文（files、onProgress、requestPassword）
+ */
+async function extractArchiveFiles(file, format, context) {
+    switch (format) {
+        case 'zip':
+            await extractZip(file, context);
+            break;
+        case 'tar':
+            await extractTar(file, context);
+            break;
+        case '7z':
+            await extractSevenZip(file, context);
+            break;
+        default:
+            if (COMPRESSED_FILE_FORMATS[format]) {
+                await extractCompressedFile(file, format, context);
+            } else if (COMPRESSED_TAR_FORMATS[format]) {
+                await extractCompressedTar(file, COMPRESSED_TAR_FORMATS[format], context);
+            } else {
+                throw createArchiveError('UNSUPPORTED_FORMAT', '不支持的文件格式', { format });
+            }
+    }
+}
+
+/**
+ * 解压ZIP文件
+ * context.recovery为'skip'或'salvage'时，损坏的条目不会中断解压（见addDamagedZipEntry），
+ * 中央目录缺失或损坏时扫描本地文件头重建条目列表
+ * @param {File} file - 要解压的ZIP文件
+ * @param {Object} context - 处理上下文（files、onProgress、requestPassword、recovery）
+ */
+async function extractZip(file, context) {
+    try {
+        let directoryError = null;
+        let entries = await readZipDirectory(file).catch(error => {
+            console.warn('读取ZIP中央目录失败:', error);
+            directoryError = error;
+            return null;
+        });
+        if (!entries && context.recovery !== 'abort') {
+            entries = await scanZipLocalHeaders(file);
+            if (entries.length === 0) {
+                throw createArchiveError('NO_ENTRIES', '未找到任何ZIP条目');
+            }
+            await extractZipEntries(file, entries, context);
+        } else if (entries && (entries.some(entry => entry.encrypted) || file.size > ZIP_STREAMING_THRESHOLD)) {
+            // 含加密条目的ZIP由JSZip无法处理，大文件JSZip需要整体读入内存，改用自带的解析流程
+            await extractZipEntries(file, entries, context);
+        } else {
+            try {
+                await extractZipWithJSZip(file, context);
+            } catch (error) {
+                // JSZip的错误信息不说明是哪个条目，中央目录也读不出时以中央目录的错误为准
+                if (!entries) throw directoryError;
+                // JSZip遇到一个损坏的条目就整体失败，改为逐条目解压，跳过或恢复损坏的条目，
+                // 不允许恢复时也能得到具体是哪个条目出错
+                console.warn('ZIP解压失败，改为逐条目解压:', error);
+                Object.keys(context.files).forEach(path => delete context.files[path]);
+                await extractZipEntries(file, entries, context);
+            }
+        }
+        
+        if (entries) recordZipEntryMethods(context.files, entries);
+    } catch (error) {
+        console.error('ZIP解压失败:', error);
+        throw wrapArchiveError(error, 'ZIP解压失败');
+    }
+}
+
+/**
+ * 记录ZIP条目的压缩方式和加密方式，编辑后重新保存时沿用
+ * WinZip AES加密的条目真实的压缩方法保存在扩展字段中
+ * @param {Object} files - 解压得到的条目（以路径为键）
+ * @param {Array<Object>} entries - ZIP条目
+ */
+function recordZipEntryMethods(files, entries) {
+    for (const entry of entries) {
+        const extracted = files[entry.path];
+        if (!extracted || extracted.dir) continue;
+        const method = entry.aes ? entry.aes.method : entry.method;
+        extracted.compression = method === 0 ? 'store' : method === 8 ? 'deflate' : null;
+        // 重新加密时AES-128/192也按AES-256写入
+        extracted.encryption = entry.encrypted ? (entry.aes ? 'aes256' : 'zipcrypto') : null;
+    }
+}
+
+/**
+ * 使用JSZip解压ZIP文件
+ * @param {File} file - 要解压的ZIP文件
+ * @param {Object} context - 处理上下文（files、onProgress）
+ */
+async function extractZipWithJSZip(file, context) {
+    const zip = new JSZip();
+    
+    // 读取zip文件，使用智能编码检测；校验CRC，损坏的条目不会被静默解压出错误的内容
+    const zipData = await zip.loadAsync(file, {
+        decodeFileName: smartDecodeFileName,
+        checkCRC32: true
+    });
+    
+    const totalFiles = Object.keys(zipData.files).length;
+    let processedFiles = 0;
+    
+    // 遍历所有文件
+    for (const [path, zipEntry] of Object.entries(zipData.files)) {
+        // JSZip按UTC解读DOS时间，而DOS时间实际是本地时间，需要换算回来
+        const date = zipEntry.date;
+        const lastModified = new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+            date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()).getTime();
+        
+        // 目录只记录结构（保留空文件夹）
+        if (zipEntry.dir) {
+            context.files[path] = createDirectoryEntry(path, {
+                mode: zipEntry.unixPermissions === null ? null : zipEntry.unixPermissions & 0o7777,
+                lastModified
+            });
+            processedFiles++;
+            context.onProgress(Math.floor((processedFiles / totalFiles) * 100));
+            continue;
+        }
+        
+        // 获取文件内容
+        const content = await zipEntry.async('blob');
+        
+        // 存储提取的文件
+        context.files[path] = await createZipFileEntry(path, content, zipEntry.unixPermissions, lastModified);
+        
+        // 更新进度
+        processedFiles++;
+        context.onProgress(Math.floor((processedFiles / totalFiles) * 100));
+    }
+}
+
+/**
+ * 逐条目解压ZIP文件
+ * 未加密的条目分块流式解压；加密条目（ZipCrypto和WinZip AES）需要整条读入后解密，
+ * 密码错误时会重新弹出输入框，无需重新上传文件
+ * @param {File} file - 要解压的ZIP文件
+ * @param {Array<Object>} entries - readZipDirectory读取或scanZipLocalHeaders重建的条目
+ * @param {Object} context - 处理上下文（files、onProgress、requestPassword、recovery）
+ */
+async function extractZipEntries(file, entries, context) {
+    let processedBytes = 0;
+    let password = null;
+    let passwordVerified = false;
+    let promptMessage = '该压缩包已加密，请输入解压密码';
+    
+    for (const entry of entries) {
+        // 只有UNIX系统创建的条目在外部属性高16位保存文件模式
+        const unixMode = (entry.versionMadeBy >>> 8) === 3 ? entry.externalAttributes >>> 16 : null;
+        const lastModified = dosDateTimeToTimestamp(entry.dosDate, entry.dosTime);
+        const metadata = { mode: unixMode === null ? null : unixMode & 0o7777, lastModified };
+        
+        if (entry.dir) {
+            context.files[entry.path] = createDirectoryEntry(entry.path, metadata);
+        } else if (!entry.encrypted) {
+            const onProgress = percent => context.onProgress(
+                Math.floor(((processedBytes + entry.compressedSize * percent / 100) / file.size) * 100)
+            );
+            const writer = createBlobWriter(getMimeType(entry.path));
+            try {
+                await inflateZipEntryData(file, entry, chunk => writer.write(chunk), onProgress);
+                context.files[entry.path] = await createZipFileEntry(entry.path, writer.close(), unixMode, lastModified);
+            } catch (error) {
+                addDamagedZipEntry(context, entry, error, writer.close(), metadata);
+            }
+        } else {
+            try {
+                const rawData = await readZipEntryData(file, entry);
+                let content = null;
+                
+                // 密码错误时重新询问，直到解密成功或用户取消
+                while (content === null) {
+                    if (password === null) {
+                        password = await context.requestPassword(promptMessage);
+                        if (password === null) {
+                            throw createArchiveError('PASSWORD_CANCELLED', '已取消输入密码');
+                        }
+                    }
+                    
+                    content = await unpackZipEntry(entry, rawData, password);
+                    // ZipCrypto无法区分密码错误和数据损坏，已经解密过其他条目的密码失败时按损坏处理
+                    if (content === null && passwordVerified && context.recovery !== 'abort') {
+                        throw createArchiveError('BAD_CHECKSUM', `文件 ${entry.path} 解密后校验失败`, { path: entry.path });
+                    }
+                    if (content === null) {
+                        password = null;
+                        promptMessage = `密码错误，请重新输入\n（${entry.path}）`;
+                    }
+                }
+                passwordVerified = true;
+                
+                context.files[entry.path] = await createZipFileEntry(entry.path, new Blob([content]), unixMode, lastModified);
+            } catch (error) {
+                if (error.code === 'PASSWORD_CANCELLED') throw error;
+                addDamagedZipEntry(context, entry, error, null, metadata);
+            }
+        }
+        
+        // 更新进度（按已处理的压缩数据量计算）
+        processedBytes += entry.compressedSize;
+        context.onProgress(Math.floor((processedBytes / file.size) * 100));
+    }
+}
+
+/**
+ * 记录损坏的ZIP条目
+ * context.recovery为'skip'时只在列表中保留条目（没有内容），为'salvage'时保留损坏前已解压出的部分内容，
+ * 为'abort'时直接抛出错误
+ * @param {Object} context - 处理上下文
+ * @param {Object} entry - ZIP条目
+ * @param {Error} error - 解压时的错误
+ * @param {Blob|null} partialContent - 已解压出的内容
+ * @param {Object} metadata - 条目元数据
+ */
+function addDamagedZipEntry(context, entry, error, partialContent, metadata) {
+    const archiveError = toArchiveError(error, 'CORRUPT_DATA', { path: entry.path });
+    if (context.recovery === 'abort') throw archiveError;
+    
+    console.warn(`ZIP条目 ${entry.path} 已损坏:`, error);
+    const content = context.recovery === 'salvage' && partialContent && partialContent.size ? partialContent : null;
+    context.files[entry.path] = createFileEntry(entry.path, content, {
+        ...metadata,
+        damaged: { code: archiveError.code, message: archiveError.message }
+    });
+}
+
+/**
+ * 流式解压未加密的ZIP条目，并校验解压后的大小和CRC32
+ * 出错前已解压的数据块都已交给onChunk，可用于恢复损坏条目的部分内容
+ * @param {Blob} file - ZIP文件
+ * @param {Object} entry - ZIP条目（crc和size为null时不校验）
+ * @param {Function} onChunk - 接收解压后的数据块
+ * @param {Function} [onProgress] - 进度回调（0-100）
+ */
+async function inflateZipEntryData(file, entry, onChunk, onProgress) {
+    const dataStart = await getZipEntryDataOffset(file, entry);
+    const chunks = readFileChunks(file, onProgress, dataStart, dataStart + entry.compressedSize);
+    
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of inflateZipEntryChunks(entry.method, chunks)) {
+        crc = crc32(chunk, crc);
+        size += chunk.length;
+        onChunk(chunk);
+    }
+    
+    if (entry.size !== null && size !== entry.size) {
+        throw createArchiveError('SIZE_MISMATCH', `文件 ${entry.path} 大小不符（应为${entry.size}字节，实际${size}字节）`, {
+            path: entry.path,
+            expected: entry.size,
+            actual: size
+        });
+    }
+    if (entry.crc !== null && crc !== entry.crc) {
+        throw createArchiveError('BAD_CHECKSUM', `文件 ${entry.path} CRC校验失败`, {
+            path: entry.path,
+            expected: formatCrc32(entry.crc),
+            actual: formatCrc32(crc)
+        });
+    }
+}
+
+/**
+ * 测试ZIP文件的完整性：逐条目解压并校验CRC32，不保留解压后的内容
+ * 加密条目需要密码才能校验，不做测试
+ * @param {File} file - ZIP文件
+ * @param {Object} context - 处理上下文（onProgress）
+ * @returns {Promise<{rebuilt: boolean, entries: Array<Object>}>} rebuilt表示中央目录损坏、条目列表由本地文件头重建；
+ *          entries为每个文件的{ path, size, crc, status, code, message }，status为'ok'、'failed'或'skipped'，
+ *          code为失败时的错误类型
+ */
+async function testZip(file, context) {
+    let rebuilt = false;
+    let entries = await readZipDirectory(file).catch(error => {
+        console.warn('读取ZIP中央目录失败:', error);
+        return null;
+    });
+    if (!entries) {
+        entries = await scanZipLocalHeaders(file);
+        rebuilt = true;
+    }
+    
+    const results = [];
+    let processedBytes = 0;
+    for (const entry of entries) {
+        if (entry.dir) continue;
+        
+        const result = { path: entry.path, size: entry.size, crc: entry.crc, status: 'ok', code: null, message: '' };
+        if (entry.encrypted) {
+            result.status = 'skipped';
+            result.message = '已加密，未校验';
+        } else {
+            const onProgress = percent => context.onProgress(
+                Math.floor(((processedBytes + entry.compressedSize * percent / 100) / file.size) * 100)
+            );
+            try {
+                await inflateZipEntryData(file, entry, () => {}, onProgress);
+            } catch (error) {
+                const archiveError = toArchiveError(error, 'CORRUPT_DATA', { path: entry.path });
+                Object.assign(result, { status: 'failed', code: archiveError.code, message: archiveError.message });
+            }
+        }
+        results.push(result);
+        
+        processedBytes += entry.compressedSize;
+        context.onProgress(Math.floor((processedBytes / file.size) * 100));
+    }
+    
+    return { rebuilt, entries: results };
+}
+
+/**
+ * 创建ZIP文件条目（7z同样在属性中保存UNIX文件模式，也使用此函数）
+ * UNIX系统创建的ZIP在外部属性中保存文件类型和权限，符号链接的内容即链接目标
+ * @param {string} path - 文件路径
+ * @param {Blob} content - 解压后的内容
+ * @param {number|null} unixMode - UNIX文件模式，未保存时为null
+ * @param {number} lastModified - 修改时间（毫秒时间戳）
+ * @returns {Promise<Object>} 文件条目
+ */
+async function createZipFileEntry(path, content, unixMode, lastModified) {
+    const metadata = {
+        kind: unixMode ? getUnixEntryKind(unixMode) : 'file',
+        mode: unixMode ? unixMode & 0o7777 : null,
+        lastModified
+    };
+    
+    if (metadata.kind === 'symlink') {
+        metadata.linkTarget = await content.text();
+        return createFileEntry(path, null, metadata);
+    }
+    return createFileEntry(path, content, metadata);
+}
+
+/**
+ * 将DOS日期和时间（本地时间）转换为时间戳
+ * @param {number} date - DOS日期
+ * @param {number} time - DOS时间
+ * @returns {number} 毫秒时间戳
+ */
+function dosDateTimeToTimestamp(date, time) {
+    return new Date(
+        (date >>> 9) + 1980, ((date >>> 5) & 0x0F) - 1, date & 0x1F,
+        time >>> 11, (time >>> 5) & 0x3F, (time & 0x1F) * 2
+    ).getTime();
+}
+
+/**
+ * 解密并解压单个ZIP条目
+ * @param {Object} entry - ZIP条目
+ * @param {Uint8Array} rawData - 条目的原始数据
+ * @param {string|null} password - 解压密码
+ * @returns {Promise<Uint8Array|null>} 文件内容，密码错误时返回null
+ */
+async function unpackZipEntry(entry, rawData, password) {
+    if (!entry.encrypted) {
+        return inflateZipEntry(entry.method, rawData);
+    }
+    
+    const passwordBytes = encodePassword(password);
+    
+    if (entry.aes) {
+        const compressed = await decryptWinZipAes(rawData, passwordBytes, entry.aes.strength);
+        if (compressed === null) return null;
+        
+        const content = inflateZipEntry(entry.aes.method, compressed);
+        // AE-2格式不保存CRC，完整性由认证码保证
+        if (entry.aes.version === 1 && crc32(content) !== entry.crc) {
+            throw createArchiveError('BAD_CHECKSUM', `文件 ${entry.path} CRC校验失败`, { path: entry.path });
+        }
+        return content;
+    }
+    
+    // 使用数据描述符时，校验字节取修改时间的高位字节
+    const checkByte = (entry.flags & 0x08) ? (entry.dosTime >>> 8) & 0xFF : entry.crc >>> 24;
+    const compressed = decryptZipCrypto(rawData, passwordBytes, checkByte);
+    if (compressed === null) return null;
+    
+    // ZipCrypto的校验字节只有1/256的区分度，解压失败或CRC不符同样视为密码错误
+    try {
+        const content = inflateZipEntry(entry.method, compressed);
+        return crc32(content) === entry.crc ? content : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 按压缩方法解压ZIP条目数据
+ * @param {number} method - 压缩方法（0=存储，8=DEFLATE）
+ * @param {Uint8Array} data - 压缩数据
+ * @returns {Uint8Array} 解压后的数据
+ */
+function inflateZipEntry(method, data) {
+    switch (method) {
+        case 0:
+            return data;
+        case 8:
+            return pako.inflateRaw(data);
+        default:
+            throw createArchiveError('UNSUPPORTED_METHOD', `不支持的压缩方法（${method}）`, { method });
+    }
+}
+
+/**
+ * 按压缩方法流式解压ZIP条目数据
+ * @param {number} method - 压缩方法（0=存储，8=DEFLATE）
+ * @param {AsyncIterable<Uint8Array>} chunks - 压缩数据块
+ * @returns {AsyncIterable<Uint8Array>} 解压后的数据块
+ */
+function inflateZipEntryChunks(method, chunks) {
+    switch (method) {
+        case 0:
+            return chunks;
+        case 8:
+            return decompressChunks(chunks, 'deflate-raw');
+        default:
+            throw createArchiveError('UNSUPPORTED_METHOD', `不支持的压缩方法（${method}）`, { method });
+    }
+}
+
+/**
+ * 在ZIP文件末尾查找中央目录结束记录
+ * @param {Blob} file - ZIP文件
+ * @returns {Promise<{tail: DataView, tailStart: number, eocdOffset: number}>} 文件末尾的数据、其在文件中的位置和结束记录在其中的偏移量
+ */
+async function readZipEndOfCentralDirectory(file) {
+    // 目录结束记录至少22字节，后面最多跟65535字节的注释
+    const tailSize = Math.min(file.size, 22 + 0xFFFF);
+    const tailStart = file.size - tailSize;
+    const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+    
+    for (let i = tailSize - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054B50) {
+            return { tail, tailStart, eocdOffset: i };
+        }
+    }
+    throw createArchiveError('BAD_HEADER', '未找到ZIP中央目录');
+}
+
+/**
+ * 读取ZIP压缩包注释，编辑后重新保存时沿用
+ * @param {Blob} file - ZIP文件
+ * @returns {Promise<string>} 注释，没有时为空字符串
+ */
+async function readZipComment(file) {
+    const { tail, eocdOffset } = await readZipEndOfCentralDirectory(file);
+    const commentLength = Math.min(tail.getUint16(eocdOffset + 20, true), tail.byteLength - eocdOffset - 22);
+    const commentBytes = new Uint8Array(tail.buffer, tail.byteOffset + eocdOffset + 22, commentLength);
+    return commentLength ? detectTextEncoding(commentBytes).text : '';
+}
+
+/**
+ * 读取ZIP中央目录
+ * @param {Blob} file - ZIP文件
+ * @returns {Promise<Array<Object>>} 条目列表
+ */
+async function readZipDirectory(file) {
+    const { tail, tailStart, eocdOffset } = await readZipEndOfCentralDirectory(file);
+    
+    let entryCount = tail.getUint16(eocdOffset + 10, true);
+    let directorySize = tail.getUint32(eocdOffset + 12, true);
+    let directoryOffset = tail.getUint32(eocdOffset + 16, true);
+    // 自解压文件等在ZIP前面附加了数据，偏移量需要整体修正
+    let prefixSize = tailStart + eocdOffset - directoryOffset - directorySize;
+    
+    // ZIP64格式的数量和偏移量存放在ZIP64目录结束记录中
+    const locatorOffset = eocdOffset - 20;
+    if (locatorOffset >= 0 && tail.getUint32(locatorOffset, true) === 0x07064B50) {
+        const zip64EocdOffset = Number(tail.getBigUint64(locatorOffset + 8, true));
+        const zip64Eocd = new DataView(await file.slice(zip64EocdOffset, zip64EocdOffset + 56).arrayBuffer());
+        if (zip64Eocd.byteLength === 56 && zip64Eocd.getUint32(0, true) === 0x06064B50) {
+            entryCount = Number(zip64Eocd.getBigUint64(32, true));
+            directorySize = Number(zip64Eocd.getBigUint64(40, true));
+            directoryOffset = Number(zip64Eocd.getBigUint64(48, true));
+            prefixSize = 0;
+        }
+    }
+    
+    directoryOffset += prefixSize;
+    const directory = new Uint8Array(await file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const view = new DataView(directory.buffer);
+    const entries = [];
+    let offset = 0;
+    
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > directory.length || view.getUint32(offset, true) !== 0x02014B50) {
+            throw createArchiveError('BAD_HEADER', `ZIP中央目录在位置${directoryOffset + offset}处已损坏`, {
+                offset: directoryOffset + offset
+            });
+        }
+        
+        const flags = view.getUint16(offset + 8, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const nameBytes = directory.subarray(offset + 46, offset + 46 + nameLength);
+        // 第11位标记文件名为UTF-8编码，否则智能检测编码
+        const path = (flags & 0x0800) ? new TextDecoder('utf-8').decode(nameBytes) : smartDecodeFileName(nameBytes);
+        
+        const entry = {
+            path: path,
+            dir: path.endsWith('/'),
+            flags: flags,
+            encrypted: (flags & 0x01) !== 0,
+            versionMadeBy: view.getUint16(offset + 4, true),
+            method: view.getUint16(offset + 10, true),
+            dosTime: view.getUint16(offset + 12, true),
+            dosDate: view.getUint16(offset + 14, true),
+            crc: view.getUint32(offset + 16, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            size: view.getUint32(offset + 24, true),
+            externalAttributes: view.getUint32(offset + 38, true),
+            localHeaderOffset: view.getUint32(offset + 42, true),
+            aes: null
+        };
+        
+        readZipExtraFields(entry, view, offset + 46 + nameLength, extraLength);
+        entry.localHeaderOffset += prefixSize;
+        entries.push(entry);
+        
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    
+    return entries;
+}
+
+/**
+ * 扫描本地文件头重建ZIP条目列表（中央目录缺失或损坏时使用）
+ * 本地文件头不含外部属性，重建的条目没有UNIX权限；使用数据描述符的条目在本地文件头中没有大小，
+ * 需要向后查找数据描述符来确定数据的结束位置
+ * @param {Blob} file - ZIP文件
+ * @returns {Promise<Array<Object>>} 条目列表，字段同readZipDirectory，无法确定的crc和size为null
+ */
+async function scanZipLocalHeaders(file) {
+    const entries = [];
+    let position = 0;
+    
+    while (true) {
+        const found = await findZipSignature(file, position, [0x04034B50]);
+        if (!found) break;
+        
+        const entry = await readZipLocalHeader(file, found.offset);
+        if (!entry) {
+            position = found.offset + 1;
+            continue;
+        }
+        entries.push(entry);
+        
+        // 大小明显错误时不跳过数据，从数据开头继续查找
+        const dataEnd = entry.dataStart + entry.compressedSize;
+        position = dataEnd <= file.size ? dataEnd : entry.dataStart;
+    }
+    
+    return entries;
+}
+
+/**
+ * 读取本地文件头，不像有效文件头时返回null
+ * @param {Blob} file - ZIP文件
+ * @param {number} offset - 本地文件头位置
+ * @returns {Promise<Object|null>} ZIP条目（dataStart为数据起始位置）
+ */
+async function readZipLocalHeader(file, offset) {
+    const header = new DataView(await file.slice(offset, offset + 30).arrayBuffer());
+    if (header.byteLength < 30) return null;
+    
+    const flags = header.getUint16(6, true);
+    const method = header.getUint16(8, true);
+    const nameLength = header.getUint16(26, true);
+    const extraLength = header.getUint16(28, true);
+    const dataStart = offset + 30 + nameLength + extraLength;
+    if (header.getUint16(4, true) > 100 || nameLength === 0 || dataStart > file.size ||
+        ![0, 8, 9, 12, 14, 93, 95, 98, 99].includes(method)) {
+        return null;
+    }
+    
+    const fields = new Uint8Array(await file.slice(offset + 30, dataStart).arrayBuffer());
+    const nameBytes = fields.subarray(0, nameLength);
+    const path = (flags & 0x0800) ? new TextDecoder('utf-8').decode(nameBytes) : smartDecodeFileName(nameBytes);
+    
+    const entry = {
+        path: path,
+        dir: path.endsWith('/'),
+        flags: flags,
+        encrypted: (flags & 0x01) !== 0,
+        versionMadeBy: 0,
+        method: method,
+        dosTime: header.getUint16(10, true),
+        dosDate: header.getUint16(12, true),
+        crc: header.getUint32(14, true),
+        compressedSize: header.getUint32(18, true),
+        size: header.getUint32(22, true),
+        externalAttributes: 0,
+        localHeaderOffset: offset,
+        dataStart: dataStart,
+        aes: null
+    };
+    readZipExtraFields(entry, new DataView(fields.buffer), nameLength, extraLength);
+    
+    if (flags & 0x08) {
+        await readZipDataDescriptor(file, entry);
+    }
+    return entry;
+}
+
+/**
+ * 查找使用数据描述符的条目的数据结束位置，并读取描述符中的CRC和大小
+ * 描述符的签名是可选的，没有签名时描述符紧挨在下一个文件头之前
+ * @param {Blob} file - ZIP文件
+ * @param {Object} entry - readZipLocalHeader读取的条目，结果直接写入
+ */
+async function readZipDataDescriptor(file, entry) {
+    let position = entry.dataStart;
+    
+    while (true) {
+        const found = await findZipSignature(file, position, [0x08074B50, 0x04034B50, 0x02014B50]);
+        if (!found) {
+            // 文件被截断，剩余的数据都属于这个条目
+            Object.assign(entry, { compressedSize: file.size - entry.dataStart, crc: null, size: null });
+            return;
+        }
+        
+        const descriptorStart = found.signature === 0x08074B50 ? found.offset + 4 : found.offset - 12;
+        const descriptor = new DataView(await file.slice(descriptorStart, descriptorStart + 20).arrayBuffer());
+        const dataLength = (found.signature === 0x08074B50 ? found.offset : descriptorStart) - entry.dataStart;
+        
+        if (descriptorStart >= entry.dataStart && descriptor.byteLength >= 12) {
+            if (descriptor.getUint32(4, true) === dataLength) {
+                Object.assign(entry, {
+                    crc: descriptor.getUint32(0, true),
+                    compressedSize: dataLength,
+                    size: descriptor.getUint32(8, true)
+                });
+                return;
+            }
+            // ZIP64的描述符中大小为8字节
+            if (descriptor.byteLength === 20 && Number(descriptor.getBigUint64(4, true)) === dataLength) {
+                Object.assign(entry, {
+                    crc: descriptor.getUint32(0, true),
+                    compressedSize: dataLength,
+                    size: Number(descriptor.getBigUint64(12, true))
+                });
+                return;
+            }
+        }
+        
+        if (found.signature !== 0x08074B50) {
+            // 下一个文件头前没有描述符，CRC和大小无从得知
+            Object.assign(entry, { compressedSize: found.offset - entry.dataStart, crc: null, size: null });
+            return;
+        }
+        position = found.offset + 1;
+    }
+}
+
+/**
+ * 从指定位置向后查找ZIP记录的签名
+ * 查找范围从64KB开始逐步扩大，大多数记录就在附近，不必每次读入大块数据
+ * @param {Blob} file - ZIP文件
+ * @param {number} start - 起始位置
+ * @param {Array<number>} signatures - 要查找的签名
+ * @returns {Promise<{offset: number, signature: number}|null>} 签名位置和找到的签名，没有找到时返回null
+ */
+async function findZipSignature(file, start, signatures) {
+    let windowSize = 64 * 1024;
+    
+    for (let offset = start; offset + 4 <= file.size; offset += windowSize) {
+        windowSize = Math.min(windowSize * 2, STREAM_CHUNK_SIZE);
+        // 多读3字节，签名跨越两次读取的边界时也能找到
+        const bytes = new Uint8Array(await file.slice(offset, offset + windowSize + 3).arrayBuffer());
+        const view = new DataView(bytes.buffer);
+        
+        for (let i = 0; i + 4 <= bytes.length; i++) {
+            if (bytes[i] !== 0x50 || bytes[i + 1] !== 0x4B) continue;
+            const signature = view.getUint32(i, true);
+            if (signatures.includes(signature)) {
+                return { offset: offset + i, signature };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * 解析中央目录条目的扩展字段（ZIP64大小和WinZip AES信息）
+ * @param {Object} entry - ZIP条目，解析结果直接写入
+ * @param {DataView} view - 中央目录数据
+ * @param {number} start - 扩展字段起始位置
+ * @param {number} length - 扩展字段总长度
+ */
+function readZipExtraFields(entry, view, start, length) {
+    const end = start + length;
+    let offset = start;
+    
+    while (offset + 4 <= end) {
+        const headerId = view.getUint16(offset, true);
+        const dataSize = view.getUint16(offset + 2, true);
+        const dataStart = offset + 4;
+        
+        if (headerId === 0x0001) {
+            // ZIP64：只有值为0xFFFFFFFF的字段才会按顺序出现在这里
+            let fieldOffset = dataStart;
+            for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+                if (entry[key] === 0xFFFFFFFF && fieldOffset + 8 <= dataStart + dataSize) {
+                    entry[key] = Number(view.getBigUint64(fieldOffset, true));
+                    fieldOffset += 8;
+                }
+            }
+        } else if (headerId === 0x9901 && dataSize >= 7) {
+            // WinZip AES：版本、厂商ID("AE")、强度、实际压缩方法
+            entry.aes = {
+                version: view.getUint16(dataStart, true),
+                strength: view.getUint8(dataStart + 4),
+                method: view.getUint16(dataStart + 5, true)
+            };
+        }
+        
+        offset = dataStart + dataSize;
+    }
+}
+
+/**
+ * 读取ZIP条目的原始（压缩/加密后的）数据
+ * @param {Blob} file - ZIP文件
+ * @param {Object} entry - ZIP条目
+ * @returns {Promise<Uint8Array>} 原始数据
+ */
+async function readZipEntryData(file, entry) {
+    const dataStart = await getZipEntryDataOffset(file, entry);
+    return new Uint8Array(await file.slice(dataStart, dataStart + entry.compressedSize).arrayBuffer());
+}
+
+/**
+ * 根据本地文件头计算ZIP条目数据的起始位置
+ * @param {Blob} file - ZIP文件
+ * @param {Object} entry - ZIP条目
+ * @returns {Promise<number>} 数据起始位置
+ */
+async function getZipEntryDataOffset(file, entry) {
+    const headerOffset = entry.localHeaderOffset;
+    const header = new DataView(await file.slice(headerOffset, headerOffset + 30).arrayBuffer());
+    if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034B50) {
+        throw createArchiveError('BAD_HEADER', `文件 ${entry.path} 的本地文件头（位置${headerOffset}）已损坏`, {
+            path: entry.path,
+            offset: headerOffset
+        });
+    }
+    
+    // 本地文件头的扩展字段长度可能与中央目录不同，需要以本地为准
+    return headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+}
+
+/**
+ * 解压7z文件
+ * 支持LZMA、LZMA2、Deflate、BZip2和不压缩（Copy）的数据，以及BCJ（x86）过滤器；
+ * 固实压缩时多个文件共用一个数据块，数据块从头流式解压，再依次切分出其中的文件
+ * @param {File} file - 要解压的7z文件
+ * @param {Object} context - 处理上下文（files、onProgress、requestPassword）
+ */
+async function extractSevenZip(file, context) {
+    try {
+        const { folders, entries } = await readSevenZipArchive(file);
+        const totalPackSize = folders.reduce((sum, folder) => sum + folder.packSize, 0) || 1;
+        let processedPackSize = 0;
+        let folderIndex = -1;
+        let reader = null;
+        
+        for (const entry of entries) {
+            // 反项（anti-item）表示增量更新时删除的文件，不是真实条目
+            if (entry.anti) continue;
+            
+            // 属性的高16位保存UNIX文件模式（需设置0x8000标志）
+            const unixMode = entry.attributes !== null && (entry.attributes & 0x8000) ? entry.attributes >>> 16 : null;
+            
+            if (entry.dir) {
+                context.files[entry.path] = createDirectoryEntry(entry.path, {
+                    mode: unixMode === null ? null : unixMode & 0o7777,
+                    lastModified: entry.lastModified
+                });
+                continue;
+            }
+            
+            let content = new Blob([]);
+            if (entry.folderIndex !== null) {
+                // 进入下一个数据块
+                if (entry.folderIndex !== folderIndex) {
+                    if (folderIndex >= 0) processedPackSize += folders[folderIndex].packSize;
+                    folderIndex = entry.folderIndex;
+                    const packSize = folders[folderIndex].packSize;
+                    const offset = processedPackSize;
+                    const onProgress = percent => context.onProgress(
+                        Math.floor(((offset + packSize * percent / 100) / totalPackSize) * 100)
+                    );
+                    reader = createChunkReader(decodeSevenZipFolder(file, folders[folderIndex], onProgress));
+                }
+                content = await readSevenZipEntry(reader, entry);
+            }
+            
+            context.files[entry.path] = await createZipFileEntry(entry.path, content, unixMode, entry.lastModified);
+        }
+        
+        context.onProgress(100);
+        
+    } catch (error) {
+        console.error('7Z解压失败:', error);
+        throw wrapArchiveError(error, '7Z解压失败');
+    }
+}
+
+/**
+ * 从数据块中读出一个文件并校验CRC
+ * @param {Object} reader - createChunkReader创建的数据块读取器
+ * @param {Object} entry - 7z条目
+ * @returns {Promise<Blob>} 文件内容
+ */
+async function readSevenZipEntry(reader, entry) {
+    const writer = createBlobWriter(getMimeType(entry.path));
+    let crc = 0;
+    let remaining = entry.size;
+    
+    while (remaining > 0) {
+        const part = await reader.read(Math.min(remaining, STREAM_CHUNK_SIZE));
+        if (part.length === 0) {
+            throw createArchiveError('TRUNCATED', '数据不完整，文件可能已截断', { path: entry.path });
+        }
+        crc = crc32(part, crc);
+        writer.write(part);
+        remaining -= part.length;
+    }
+    
+    if (entry.crc !== null && crc !== entry.crc) {
+        throw createArchiveError('BAD_CHECKSUM', `文件 ${entry.path} CRC校验失败`, {
+            path: entry.path,
+            expected: formatCrc32(entry.crc),
+            actual: formatCrc32(crc)
+        });
+    }
+    return writer.close();
+}
+
+/**
+ * 流式解压7z的一个数据块（folder）
+ * 数据块由一个或多个编码器串联而成（如BCJ+LZMA），bindPairs记录哪个编码器的输入来自哪个编码器的输出，
+ * 没有连接的输入就是文件中的压缩数据
+ * @param {Blob} file - 7z文件
+ * @param {Object} folder - 数据块信息
+ * @param {Function} [onProgress] - 读取压缩数据的进度回调（0-100）
+ * @returns {AsyncIterable<Uint8Array>} 解压后的数据块
+ */
+function decodeSevenZipFolder(file, folder, onProgress) {
+    // 只支持每个编码器一个输入、一个输出的情况，此时编码器序号就是其输入流和输出流的序号
+    const openCoder = index => {
+        const { method, properties } = folder.coders[index];
+        const pair = folder.bindPairs.find(pair => pair.inIndex === index);
+        const input = pair
+            ? openCoder(pair.outIndex)
+            : readFileChunks(file, onProgress, folder.packStart, folder.packStart + folder.packSize);
+        return method.decode(input, properties, folder.unpackSizes[index]);
+    };
+    
+    return openCoder(folder.mainIndex);
+}
+
+/**
+ * 读取7z的头部，得到数据块和文件列表
+ * @param {Blob} file - 7z文件
+ * @returns {Promise<{folders: Array<Object>, entries: Array<Object>}>} 数据块和条目
+ */
+async function readSevenZipArchive(file) {
+    // 32字节的起始头：魔数、版本、起始头CRC，以及结尾头部的偏移量、大小和CRC
+    const startHeader = new Uint8Array(await file.slice(0, 32).arrayBuffer());
+    const view = new DataView(startHeader.buffer);
+    if (startHeader.length < 32 || crc32(startHeader.subarray(12, 32)) !== view.getUint32(8, true)) {
+        throw createArchiveError('BAD_HEADER', '7z文件头已损坏', { offset: 0 });
+    }
+    
+    const headerSize = Number(view.getBigUint64(20, true));
+    if (headerSize === 0) return { folders: [], entries: [] }; // 空压缩包
+    
+    const headerStart = 32 + Number(view.getBigUint64(12, true));
+    if (headerStart + headerSize > file.size) {
+        throw createArchiveError('TRUNCATED', '7z文件不完整，可能已截断', { expected: headerStart + headerSize, actual: file.size });
+    }
+    let header = new Uint8Array(await file.slice(headerStart, headerStart + headerSize).arrayBuffer());
+    if (crc32(header) !== view.getUint32(28, true)) {
+        throw createArchiveError('BAD_HEADER', `7z头部（位置${headerStart}）已损坏`, { offset: headerStart });
+    }
+    
+    // 头部通常也经过压缩，需要先解压出真正的头部
+    while (header[0] === SEVEN_ZIP_ID.ENCODED_HEADER) {
+        const reader = createSevenZipHeaderReader(header);
+        reader.byte();
+        const [folder] = readSevenZipStreamsInfo(reader);
+        if (!folder) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+        
+        header = await createChunkReader(decodeSevenZipFolder(file, folder)).read(folder.unpackSize);
+        if (header.length < folder.unpackSize || (folder.crc !== null && crc32(header) !== folder.crc)) {
+            throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+        }
+    }
+    if (header[0] !== SEVEN_ZIP_ID.HEADER) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+    
+    return readSevenZipHeader(createSevenZipHeaderReader(header));
+}
+
+/**
+ * 解析7z头部（Header）
+ * @param {Object} reader - createSevenZipHeaderReader创建的读取器
+ * @returns {{folders: Array<Object>, entries: Array<Object>}} 数据块和条目
+ */
+function readSevenZipHeader(reader) {
+    reader.byte();
+    let id = reader.byte();
+    
+    if (id === SEVEN_ZIP_ID.ARCHIVE_PROPERTIES) {
+        // 压缩包属性：(类型, 大小, 数据)列表，目前没有需要的内容
+        while (reader.byte() !== SEVEN_ZIP_ID.END) reader.skip(reader.number());
+        id = reader.byte();
+    }
+    if (id === SEVEN_ZIP_ID.ADDITIONAL_STREAMS_INFO) {
+        readSevenZipStreamsInfo(reader);
+        id = reader.byte();
+    }
+    
+    let folders = [];
+    if (id === SEVEN_ZIP_ID.MAIN_STREAMS_INFO) {
+        folders = readSevenZipStreamsInfo(reader);
+        id = reader.byte();
+    }
+    
+    let entries = [];
+    if (id === SEVEN_ZIP_ID.FILES_INFO) {
+        entries = readSevenZipFilesInfo(reader);
+        id = reader.byte();
+    }
+    if (id !== SEVEN_ZIP_ID.END) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+    
+    // 有数据的文件按顺序对应各数据块中的数据流
+    const streams = folders.flatMap((folder, folderIndex) =>
+        folder.streams.map(stream => ({ ...stream, folderIndex }))
+    );
+    let streamIndex = 0;
+    for (const entry of entries) {
+        if (!entry.hasStream) continue;
+        const stream = streams[streamIndex++];
+        if (!stream) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+        Object.assign(entry, stream);
+    }
+    
+    return { folders, entries };
+}
+
+/**
+ * 解析数据流信息（StreamsInfo）：压缩数据的位置、数据块的编码方式，以及每个数据块中各文件的大小和CRC
+ * @param {Object} reader - createSevenZipHeaderReader创建的读取器
+ * @returns {Array<Object>} 数据块列表
+ */
+function readSevenZipStreamsInfo(reader) {
+    let packPosition = 0;
+    let packSizes = [];
+    let folders = [];
+    let id = reader.byte();
+    
+    if (id === SEVEN_ZIP_ID.PACK_INFO) {
+        packPosition = reader.number();
+        const count = reader.number();
+        while ((id = reader.byte()) !== SEVEN_ZIP_ID.END) {
+            if (id === SEVEN_ZIP_ID.SIZE) {
+                packSizes = reader.list(count, () => reader.number());
+            } else if (id === SEVEN_ZIP_ID.CRC) {
+                readSevenZipDigests(reader, count);
+            } else {
+                throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+            }
+        }
+        id = reader.byte();
+    }
+    
+    if (id === SEVEN_ZIP_ID.UNPACK_INFO) {
+        if (reader.byte() !== SEVEN_ZIP_ID.FOLDER) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+        const count = reader.number();
+        if (reader.byte() !== 0) throw createArchiveError('BAD_HEADER', '7z头部已损坏'); // 数据块信息存放在其他位置（实际不会出现）
+        folders = reader.list(count, () => readSevenZipFolder(reader));
+        
+        if (reader.byte() !== SEVEN_ZIP_ID.CODERS_UNPACK_SIZE) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+        for (const folder of folders) {
+            folder.unpackSizes = reader.list(folder.coders.length, () => reader.number());
+            folder.unpackSize = folder.unpackSizes[folder.mainIndex];
+        }
+        
+        id = reader.byte();
+        if (id === SEVEN_ZIP_ID.CRC) {
+            readSevenZipDigests(reader, folders.length).forEach((crc, i) => { folders[i].crc = crc; });
+            id = reader.byte();
+        }
+        if (id !== SEVEN_ZIP_ID.END) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+        id = reader.byte();
+    }
+    
+    // 每个数据块使用的压缩数据依次排列在packPosition之后（起始头之后）
+    let packOffset = 32 + packPosition;
+    let packIndex = 0;
+    for (const folder of folders) {
+        folder.packStart = packOffset;
+        folder.packSize = packSizes.slice(packIndex, packIndex + folder.packedStreamCount).reduce((sum, size) => sum + size, 0);
+        packIndex += folder.packedStreamCount;
+        packOffset += folder.packSize;
+    }
+    
+    // 没有子数据流信息时，每个数据块只包含一个文件
+    for (const folder of folders) {
+        folder.streams = [{ size: folder.unpackSize, crc: folder.crc }];
+    }
+    if (id === SEVEN_ZIP_ID.SUBSTREAMS_INFO) {
+        readSevenZipSubStreamsInfo(reader, folders);
+        id = reader.byte();
+    }
+    if (id !== SEVEN_ZIP_ID.END) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+    
+    return folders;
+}
+
+/**
+ * 解析一个数据块（Folder）的编码器列表和连接关系
+ * @param {Object} reader - createSevenZipHeaderReader创建的读取器
+ * @returns {Object} 数据块信息
+ */
+function readSevenZipFolder(reader) {
+    const coders = reader.list(reader.number(), () => {
+        // 标志字节：低4位为方法ID长度，0x10表示多输入/输出，0x20表示带属性
+        const flags = reader.byte();
+        const methodId = Array.from(reader.bytes(flags & 0x0F), byte => byte.toString(16).padStart(2, '0')).join('');
+        let inStreams = 1;
+        let outStreams = 1;
+        if (flags & 0x10) {
+            inStreams = reader.number();
+            outStreams = reader.number();
+        }
+        const properties = (flags & 0x20) ? reader.bytes(reader.number()) : new Uint8Array(0);
+        
+        const method = SEVEN_ZIP_METHODS[methodId];
+        if (method && method.name === 'AES') {
+            throw createArchiveError('ENCRYPTED', '暂不支持加密的7z压缩包');
+        }
+        if (!method || !method.decode || inStreams !== 1 || outStreams !== 1) {
+            const name = method ? method.name : methodId;
+            throw createArchiveError('UNSUPPORTED_METHOD', `暂不支持7z压缩方法：${name}`, { method: name });
+        }
+        return { method, properties };
+    });
+    
+    const bindPairs = reader.list(coders.length - 1, () => ({ inIndex: reader.number(), outIndex: reader.number() }));
+    // 编码器都是单输入时，没有连接的输入只有一个；多于一个时需要显式列出
+    const packedStreamCount = coders.length - bindPairs.length;
+    if (packedStreamCount > 1) reader.list(packedStreamCount, () => reader.number());
+    
+    // 最终输出是没有连接到其他编码器的那个输出
+    const mainIndex = coders.findIndex((coder, index) => !bindPairs.some(pair => pair.outIndex === index));
+    if (mainIndex === -1) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+    
+    return { coders, bindPairs, packedStreamCount, mainIndex, crc: null };
+}
+
+/**
+ * 解析子数据流信息（SubStreamsInfo）：固实数据块中各文件的大小和CRC
+ * @param {Object} reader - createSevenZipHeaderReader创建的读取器
+ * @param {Array<Object>} folders - 数据块列表，结果写入folder.streams
+ */
+function readSevenZipSubStreamsInfo(reader, folders) {
+    const counts = folders.map(() => 1);
+    let id = reader.byte();
+    
+    if (id === SEVEN_ZIP_ID.NUM_UNPACK_STREAM) {
+        folders.forEach((folder, i) => { counts[i] = reader.number(); });
+        id = reader.byte();
+    }
+    
+    // 每个数据块只记录前n-1个文件的大小，最后一个文件是剩余部分
+    folders.forEach((folder, i) => {
+        folder.streams = [];
+        if (counts[i] === 0) return;
+        let sum = 0;
+        for (let j = 1; j < counts[i]; j++) {
+            const size = id === SEVEN_ZIP_ID.SIZE ? reader.number() : 0;
+            folder.streams.push({ size, crc: null });
+            sum += size;
+        }
+        if (sum > folder.unpackSize) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+        folder.streams.push({ size: folder.unpackSize - sum, crc: null });
+    });
+    if (id === SEVEN_ZIP_ID.SIZE) id = reader.byte();
+    
+    // 只有一个文件的数据块直接使用数据块的CRC，其余文件的CRC依次列出
+    const needsDigest = (folder, i) => counts[i] !== 1 || folder.crc === null;
+    let digests = [];
+    while (id !== SEVEN_ZIP_ID.END) {
+        if (id === SEVEN_ZIP_ID.CRC) {
+            const count = folders.reduce((sum, folder, i) => sum + (needsDigest(folder, i) ? counts[i] : 0), 0);
+            digests = readSevenZipDigests(reader, count);
+        } else {
+            reader.skip(reader.number());
+        }
+        id = reader.byte();
+    }
+    
+    let digestIndex = 0;
+    folders.forEach((folder, i) => {
+        if (!needsDigest(folder, i)) {
+            folder.streams[0].crc = folder.crc;
+            return;
+        }
+        for (const stream of folder.streams) {
+            stream.crc = digests.length > 0 ? digests[digestIndex++] : null;
+        }
+    });
+}
+
+/**
+ * 解析文件信息（FilesInfo）：文件名、目录/空文件标记、修改时间和属性
+ * @param {Object} reader - createSevenZipHeaderReader创建的读取器
+ * @returns {Array<Object>} 条目列表（有数据的条目稍后补充数据块序号、大小和CRC）
+ */
+function readSevenZipFilesInfo(reader) {
+    const count = reader.number();
+    let names = [];
+    let emptyStreams = new Array(count).fill(false);
+    let emptyFiles = [];
+    let antiItems = [];
+    let lastModified = [];
+    let attributes = [];
+    
+    while (true) {
+        const type = reader.byte();
+        if (type === SEVEN_ZIP_ID.END) break;
+        const size = reader.number();
+        const end = reader.position + size;
+        const emptyCount = emptyStreams.filter(Boolean).length;
+        
+        switch (type) {
+            case SEVEN_ZIP_ID.EMPTY_STREAM:
+                emptyStreams = reader.bits(count);
+                break;
+            case SEVEN_ZIP_ID.EMPTY_FILE:
+                emptyFiles = reader.bits(emptyCount);
+                break;
+            case SEVEN_ZIP_ID.ANTI:
+                antiItems = reader.bits(emptyCount);
+                break;
+            case SEVEN_ZIP_ID.NAME:
+                if (reader.byte() !== 0) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+                // UTF-16LE编码，每个名称以\0结尾
+                names = new TextDecoder('utf-16le').decode(reader.bytes(size - 1)).split('\0');
+                break;
+            case SEVEN_ZIP_ID.MTIME: {
+                const defined = reader.definedBits(count);
+                if (reader.byte() !== 0) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+                // Windows FILETIME：自1601年起的100纳秒数
+                lastModified = defined.map(isDefined => isDefined
+                    ? Math.round(reader.uint64() / 10000 - 11644473600000)
+                    : null);
+                break;
+            }
+            case SEVEN_ZIP_ID.WIN_ATTRIBUTES: {
+                const defined = reader.definedBits(count);
+                if (reader.byte() !== 0) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+                attributes = defined.map(isDefined => isDefined ? reader.uint32() : null);
+                break;
+            }
+        }
+        // 填充（Dummy）、创建/访问时间等不需要的属性直接跳过
+        reader.seek(end);
+    }
+    
+    let emptyIndex = 0;
+    return emptyStreams.map((isEmptyStream, i) => {
+        const entryAttributes = attributes[i] === undefined ? null : attributes[i];
+        // 没有数据的条目，除非标记为空文件，否则是目录；Windows属性0x10同样表示目录
+        let dir = false;
+        let anti = false;
+        if (isEmptyStream) {
+            dir = !emptyFiles[emptyIndex];
+            anti = !!antiItems[emptyIndex];
+            emptyIndex++;
+        }
+        if (entryAttributes !== null && (entryAttributes & 0x10)) dir = true;
+        
+        // Windows上创建的压缩包可能使用反斜杠分隔路径
+        let path = (names[i] || `未命名文件${i + 1}`).replace(/\\/g, '/');
+        if (dir && !path.endsWith('/')) path += '/';
+        
+        return {
+            path,
+            dir,
+            anti,
+            hasStream: !isEmptyStream,
+            lastModified: lastModified[i] === undefined ? null : lastModified[i],
+            attributes: entryAttributes,
+            folderIndex: null,
+            size: 0,
+            crc: null
+        };
+    });
+}
+
+/**
+ * 读取一组CRC值（Digests）：先是"全部存在"标志或位图，再依次是存在的CRC
+ * @param {Object} reader - createSevenZipHeaderReader创建的读取器
+ * @param {number} count - 数量
+ * @returns {Array<number|null>} CRC值，不存在时为null
+ */
+function readSevenZipDigests(reader, count) {
+    return reader.definedBits(count).map(isDefined => isDefined ? reader.uint32() : null);
+}
+
+/**
+ * 创建7z头部读取器
+ * @param {Uint8Array} data - 头部数据
+ * @returns {Object} 按7z编码规则读取字节、变长整数、位图等的方法
+ */
+function createSevenZipHeaderReader(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let position = 0;
+    
+    const require = size => {
+        if (position + size > data.length) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+    };
+    
+    const reader = {
+        get position() {
+            return position;
+        },
+        seek(offset) {
+            if (offset > data.length) throw createArchiveError('BAD_HEADER', '7z头部已损坏');
+            position = offset;
+        },
+        skip(size) {
+            reader.seek(position + size);
+        },
+        byte() {
+            require(1);
+            return data[position++];
+        },
+        bytes(size) {
+            require(size);
+            position += size;
+            return data.slice(position - size, position);
+        },
+        uint32() {
+            require(4);
+            position += 4;
+            return view.getUint32(position - 4, true);
+        },
+        uint64() {
+            require(8);
+            position += 8;
+            return view.getUint32(position - 8, true) + view.getUint32(position - 4, true) * 0x100000000;
+        },
+        // 变长整数：首字节高位连续的1表示后面跟随的字节数，其余位是最高部分
+        number() {
+            const first = reader.byte();
+            let value = 0;
+            for (let i = 0; i < 8; i++) {
+                const mask = 0x80 >> i;
+                if ((first & mask) === 0) {
+                    return value + (first & (mask - 1)) * Math.pow(2, 8 * i);
+                }
+                value += reader.byte() * Math.pow(2, 8 * i);
+            }
+            return value;
+        },
+        // 位图：从每个字节的最高位开始
+        bits(count) {
+            const result = [];
+            let byte = 0;
+            for (let i = 0; i < count; i++) {
+                if (i % 8 === 0) byte = reader.byte();
+                result.push((byte & (0x80 >> (i % 8))) !== 0);
+            }
+            return result;
+        },
+        // "全部存在"标志为0时后面跟着位图
+        definedBits(count) {
+            return reader.byte() ? new Array(count).fill(true) : reader.bits(count);
+        },
+        list(count, readItem) {
+            return Array.from({ length: count }, readItem);
+        }
+    };
+    return reader;
+}
+
+/**
+ * 流式解压单文件压缩格式（GZ、BZ2、XZ、ZST）
+ * @param {File} file - 要解压的文件
+ * @param {string} format - COMPRESSED_FILE_FORMATS中的格式
+ * @param {Object} context - 处理上下文（files、onProgress、requestPassword）
+ */
+async function extractCompressedFile(file, format, context) {
+    const label = getFormatLabel(format);
+    try {
+        // 获取原始文件名（去掉.gz等扩展名）
+        const extension = '.' + format;
+        let originalName = file.name;
+        if (originalName.toLowerCase().endsWith(extension)) {
+            originalName = originalName.slice(0, -extension.length);
+        }
+        
+        const writer = createBlobWriter();
+        const chunks = readFileChunks(file, context.onProgress);
+        for await (const chunk of decompressChunks(chunks, COMPRESSED_FILE_FORMATS[format].compression)) {
+            writer.write(chunk);
+        }
+        context.files[originalName] = createFileEntry(originalName, writer.close());
+        
+        context.onProgress(100);
+        
+    } catch (error) {
+        console.error(`${label}解压失败:`, error);
+        throw wrapArchiveError(error, `${label}解压失败`);
+    }
+}
+
+/**
+ * 解压压缩过的TAR文件（如.tar.gz、.tar.xz），边解压外层边解析TAR
+ * @param {File} file - 要解压的文件
+ * @param {string} compression - 外层的压缩方式（见decompressChunks）
+ * @param {Object} context - 处理上下文（files、onProgress、requestPassword）
+ */
+async function extractCompressedTar(file, compression, context) {
+    await readTarEntries(decompressChunks(readFileChunks(file, context.onProgress), compression), context);
+}
+
+/**
+ * 解压TAR文件（未压缩的TAR格式）
+ * @param {Blob} file - 要解压的TAR文件
+ * @param {Object} context - 处理上下文（files、onProgress、requestPassword）
+ */
+async function extractTar(file, context) {
+    await readTarEntries(readFileChunks(file, context.onProgress), context);
+}
+
+/**
+ * 流式解析TAR数据，每个条目读完即生成Blob，不需要把整个归档放进内存
+ * 支持V7、POSIX ustar（prefix字段）、pax扩展头（x/g）和GNU长文件名（L/K）
+ * @param {AsyncIterable<Uint8Array>} chunks - TAR数据块
+ * @param {Object} context - 处理上下文（files、onProgress、requestPassword）
+ */
+async function readTarEntries(chunks, context) {
+    try {
+        const reader = createChunkReader(chunks);
+        // pax全局扩展头对之后所有条目生效，其余扩展信息只作用于紧随其后的条目
+        const globalPax = {};
+        let pax = {};
+        let longName = null;
+        let longLinkName = null;
+        
+        while (true) {
+            const headerOffset = reader.position;
+            const header = await reader.read(512);
+            if (header.length < 512) break;
+            
+            // 检查是否到达文件末尾（全零的块）
+            if (header.every(byte => byte === 0)) break;
+            if (!isTarHeader(header)) {
+                throw createArchiveError('BAD_HEADER', `TAR头部（位置${headerOffset}）校验失败`, { offset: headerOffset });
+            }
+            
+            const entry = parseTarHeader(header);
+            
+            // 扩展头：内容是下一个条目的元数据
+            if (TAR_EXTENSION_TYPES.includes(entry.type)) {
+                const data = await reader.read(entry.size);
+                if (data.length < entry.size) {
+                    throw createArchiveError('TRUNCATED', '数据不完整，文件可能已截断', { offset: headerOffset });
+                }
+                await reader.skip(Math.ceil(entry.size / 512) * 512 - entry.size);
+                
+                switch (entry.type) {
+                    case 76: // 'L' GNU长文件名
+                        longName = smartDecodeFileName(trimTarString(data));
+                        break;
+                    case 75: // 'K' GNU长链接名
+                        longLinkName = smartDecodeFileName(trimTarString(data));
+                        break;
+                    case 120: // 'x' pax扩展头
+                        pax = parsePaxRecords(data);
+                        break;
+                    case 103: // 'g' pax全局扩展头
+                        Object.assign(globalPax, parsePaxRecords(data));
+                        break;
+                }
+                continue;
+            }
+            
+            // 扩展信息优先级：pax > GNU长文件名 > 头部字段
+            const records = { ...globalPax, ...pax };
+            entry.path = readPaxString(records, 'path') || longName || entry.path;
+            entry.linkPath = readPaxString(records, 'linkpath') || longLinkName || entry.linkPath;
+            if (readPaxString(records, 'size')) {
+                entry.size = parseInt(readPaxString(records, 'size'), 10);
+            }
+            if (readPaxString(records, 'mtime')) {
+                entry.mtime = parseFloat(readPaxString(records, 'mtime'));
+            }
+            for (const key of ['uid', 'gid', 'uname', 'gname']) {
+                const value = readPaxString(records, key);
+                if (value) entry[key] = key.endsWith('id') ? parseInt(value, 10) : value;
+            }
+            pax = {};
+            longName = null;
+            longLinkName = null;
+            
+            const fileName = entry.path;
+            if (!fileName) break;
+            
+            // 旧格式中以/结尾的名称同样表示目录
+            const kind = fileName.endsWith('/') ? 'directory' : (TAR_ENTRY_KINDS[entry.type] || 'file');
+            const metadata = {
+                kind: kind,
+                linkTarget: kind === 'symlink' || kind === 'hardlink' ? entry.linkPath : null,
+                mode: entry.mode,
+                owner: `${entry.uname || entry.uid}/${entry.gname || entry.gid}`,
+                lastModified: Math.round(entry.mtime * 1000)
+            };
+            
+            // 文件大小向上舍入到512的倍数
+            const paddedSize = Math.ceil(entry.size / 512) * 512;
+            
+            if (kind === 'directory') {
+                const dirPath = fileName.endsWith('/') ? fileName : fileName + '/';
+                context.files[dirPath] = createDirectoryEntry(dirPath, metadata);
+                await reader.skip(paddedSize);
+                continue;
+            }
+            
+            let content = null;
+            if (kind === 'file') {
+                content = await reader.readBlob(entry.size);
+                await reader.skip(paddedSize - entry.size);
+            } else {
+                // 硬链接指向归档中已出现的文件，直接复用其内容
+                if (kind === 'hardlink' && context.files[entry.linkPath]) {
+                    content = context.files[entry.linkPath].content;
+                }
+                await reader.skip(paddedSize);
+            }
+            
+            context.files[fileName] = createFileEntry(fileName, content, metadata);
+        }
+        
+        if (Object.keys(context.files).length === 0) {
+            throw createArchiveError('NO_ENTRIES', '未找到有效的文件');
+        }
+        
+        // 结束块之后的填充数据无需读取
+        context.onProgress(100);
+        
+    } catch (error) {
+        console.error('TAR解压失败:', error);
+        throw wrapArchiveError(error, 'TAR解压失败');
+    }
+}
+
+/**
+ * 解析TAR头部（512字节）
+ * @param {Uint8Array} header - 头部数据
+ * @returns {Object} 条目信息：path、linkPath、size、type、mode、uid、gid、mtime（秒）、uname、gname
+ */
+function parseTarHeader(header) {
+    // 读取文件名（前100字节）- 使用智能编码检测
+    let path = smartDecodeFileName(trimTarString(header.subarray(0, 100)));
+    
+    // POSIX ustar（魔数"ustar\0"）的prefix字段保存路径的前半部分；
+    // GNU格式（魔数"ustar  \0"）在同一位置存放其他信息，不能当作路径
+    const isUstar = header[257] === 0x75 && header[258] === 0x73 && header[259] === 0x74 &&
+        header[260] === 0x61 && header[261] === 0x72;
+    if (isUstar && header[262] === 0) {
+        const prefix = smartDecodeFileName(trimTarString(header.subarray(345, 500)));
+        if (prefix) path = `${prefix}/${path}`;
+    }
+    
+    return {
+        path: path,
+        linkPath: smartDecodeFileName(trimTarString(header.subarray(157, 257))),
+        size: parseTarNumber(header.subarray(124, 136)),
+        type: header[156],
+        mode: parseTarNumber(header.subarray(100, 108)) & 0o7777,
+        uid: parseTarNumber(header.subarray(108, 116)),
+        gid: parseTarNumber(header.subarray(116, 124)),
+        mtime: parseTarNumber(header.subarray(136, 148)),
+        // 用户名和组名只有ustar格式才有（V7格式此处为空）
+        uname: isUstar ? smartDecodeFileName(trimTarString(header.subarray(265, 297))) : '',
+        gname: isUstar ? smartDecodeFileName(trimTarString(header.subarray(297, 329))) : ''
+    };
+}
+
+/**
+ * 截取TAR字符串字段（以NUL结尾）
+ * @param {Uint8Array} bytes - 字段数据
+ * @returns {Uint8Array} 不含结尾NUL的数据
+ */
+function trimTarString(bytes) {
+    const end = bytes.indexOf(0);
+    return end === -1 ? bytes : bytes.subarray(0, end);
+}
+
+/**
+ * 解析TAR数字字段
+ * 通常为八进制文本；最高位为1时是GNU的base-256二进制格式（用于超过8GB的大小）
+ * @param {Uint8Array} bytes - 字段数据
+ * @returns {number} 数值
+ */
+function parseTarNumber(bytes) {
+    if (bytes[0] & 0x80) {
+        let value = bytes[0] & 0x7F;
+        for (let i = 1; i < bytes.length; i++) {
+            value = value * 256 + bytes[i];
+        }
+        return value;
+    }
+    
+    let text = '';
+    for (const byte of bytes) {
+        if (byte === 0) break;
+        text += String.fromCharCode(byte);
+    }
+    return parseInt(text.trim(), 8) || 0;
+}
+
+/**
+ * 解析pax扩展头记录，每条记录格式为"长度 键=值\n"（长度为整条记录的字节数）
+ * @param {Uint8Array} data - 扩展头内容
+ * @returns {Object} 键到原始值（Uint8Array）的映射
+ */
+function parsePaxRecords(data) {
+    const records = {};
+    let offset = 0;
+    
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        if (space === -1) break;
+        const length = parseInt(new TextDecoder().decode(data.subarray(offset, space)), 10);
+        if (!length || offset + length > data.length) break;
+        
+        const record = data.subarray(space + 1, offset + length - 1); // 去掉结尾的换行
+        const equals = record.indexOf(0x3D);
+        if (equals !== -1) {
+            records[new TextDecoder().decode(record.subarray(0, equals))] = record.subarray(equals + 1);
+        }
+        offset += length;
+    }
+    
+    return records;
+}
+
+/**
+ * 读取pax记录中的字符串
+ * 值默认为UTF-8编码，hdrcharset为BINARY时按文件名智能检测编码
+ * @param {Object} records - parsePaxRecords的结果
+ * @param {string} key - 键名
+ * @returns {string|null} 值，不存在或为空（表示清除）时返回null
+ */
+function readPaxString(records, key) {
+    const value = records[key];
+    if (!value || value.length === 0) return null;
+    
+    const charset = records.hdrcharset ? new TextDecoder().decode(records.hdrcharset) : '';
+    return charset === 'BINARY' ? smartDecodeFileName(value) : new TextDecoder('utf-8').decode(value);
+}
+
+/**
+ * 分块读取文件，避免一次性把整个文件读入内存
+ * @param {Blob} file - 要读取的文件
+ * @param {Function} [onProgress] - 读取进度回调（0-100）
+ * @param {number} [start] - 起始位置
+ * @param {number} [end] - 结束位置（不含）
+ * @returns {AsyncGenerator<Uint8Array>} 数据块
+ */
+async function* readFileChunks(file, onProgress, start = 0, end = file.size) {
+    for (let offset = start; offset < end; offset += STREAM_CHUNK_SIZE) {
+        const chunkEnd = Math.min(offset + STREAM_CHUNK_SIZE, end);
+        yield new Uint8Array(await file.slice(offset, chunkEnd).arrayBuffer());
+        if (onProgress) onProgress(Math.floor(((chunkEnd - start) / (end - start)) * 100));
+    }
+}
+
+/**
+ * 流式解压数据块
+ * gzip和deflate-raw优先使用浏览器原生的DecompressionStream，不支持时使用pako；
+ * bzip2、xz、zstd使用js/decompressors.js中的纯JS解压器
+ * @param {AsyncIterable<Uint8Array>} chunks - 压缩数据块
+ * @param {string} format - 'gzip'、'deflate-raw'、'bzip2'、'xz' 或 'zstd'
+ * @returns {AsyncGenerator<Uint8Array>} 解压后的数据块
+ */
+async function* decompressChunks(chunks, format) {
+    try {
+        if (STREAM_DECODERS[format]) {
+            yield* STREAM_DECODERS[format](chunks);
+            return;
+        }
+        
+        let stream = null;
+        try {
+            if (typeof DecompressionStream !== 'undefined') stream = new DecompressionStream(format);
+        } catch (error) {
+            // 旧版浏览器不支持deflate-raw
+        }
+        
+        if (stream) {
+            yield* pipeThroughStream(chunks, stream);
+        } else {
+            yield* inflateChunks(chunks, format);
+        }
+    } catch (error) {
+        console.error('流式解压失败:', error);
+        throw toArchiveError(error, 'CORRUPT_DATA', { format });
+    }
+}
+
+/**
+ * 流式压缩数据块
+ * 优先使用浏览器原生的CompressionStream，不支持时使用pako
+ * @param {AsyncIterable<Uint8Array>} chunks - 原始数据块
+ * @param {string} format - 'gzip' 或 'deflate-raw'
+ * @returns {AsyncGenerator<Uint8Array>} 压缩后的数据块
+ */
+async function* compressChunks(chunks, format) {
+    let stream = null;
+    try {
+        if (typeof CompressionStream !== 'undefined') stream = new CompressionStream(format);
+    } catch (error) {
+        // 旧版浏览器不支持deflate-raw
+    }
+    
+    if (stream) {
+        yield* pipeThroughStream(chunks, stream);
+    } else {
+        yield* deflateChunks(chunks, format);
+    }
+}
+
+/**
+ * 使用pako流式压缩
+ * @param {AsyncIterable<Uint8Array>} chunks - 原始数据块
+ * @param {string} format - 'gzip' 或 'deflate-raw'
+ * @returns {AsyncGenerator<Uint8Array>} 压缩后的数据块
+ */
+async function* deflateChunks(chunks, format) {
+    if (typeof pako === 'undefined') {
+        throw new Error('压缩库未加载，请刷新页面重试');
+    }
+    
+    const deflator = new pako.Deflate({ level: 6, gzip: format === 'gzip', raw: format === 'deflate-raw' });
+    const output = [];
+    deflator.onData = chunk => output.push(chunk);
+    
+    for await (const chunk of chunks) {
+        deflator.push(chunk, false);
+        if (deflator.err) throw new Error(deflator.msg);
+        yield* output.splice(0);
+    }
+    deflator.push(new Uint8Array(0), true);
+    if (deflator.err) throw new Error(deflator.msg);
+    yield* output.splice(0);
+}
+
+/**
+ * 将数据块送入TransformStream并逐块读取输出
+ * @param {AsyncIterable<Uint8Array>} chunks - 输入数据块
+ * @param {TransformStream} stream - 转换流
+ * @returns {AsyncGenerator<Uint8Array>} 输出数据块
+ */
+async function* pipeThroughStream(chunks, stream) {
+    const writer = stream.writable.getWriter();
+    const reader = stream.readable.getReader();
+    
+    // 写入和读取同时进行，写入会等待读取端消费（背压），不会积压数据
+    const writing = (async () => {
+        for await (const chunk of chunks) {
+            await writer.write(chunk);
+        }
+        await writer.close();
+    })();
+    // 写入出错时流会进入错误状态，错误由下面的read抛出
+    writing.catch(error => writer.abort(error).catch(() => {}));
+    
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            yield value;
+        }
+        await writing;
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * 使用pako流式解压
+ * @param {AsyncIterable<Uint8Array>} chunks - 压缩数据块
+ * @param {string} format - 'gzip' 或 'deflate-raw'
+ * @returns {AsyncGenerator<Uint8Array>} 解压后的数据块
+ */
+async function* inflateChunks(chunks, format) {
+    if (typeof pako === 'undefined') {
+        throw new Error('解压库未加载，请刷新页面重试');
+    }
+    
+    const inflator = new pako.Inflate({ raw: format === 'deflate-raw' });
+    const output = [];
+    inflator.onData = chunk => output.push(chunk);
+    
+    // 最后一块需要以结束标志送入，因此始终延后一块
+    let previous = null;
+    for await (const chunk of chunks) {
+        if (previous) inflator.push(previous, false);
+        previous = chunk;
+        if (inflator.err) throw new Error(inflator.msg);
+        yield* output.splice(0);
+    }
+    inflator.push(previous || new Uint8Array(0), true);
+    if (inflator.err) throw new Error(inflator.msg);
+    if (!inflator.ended) throw new Error('压缩数据不完整');
+    yield* output.splice(0);
+}
+
+/**
+ * 按任意长度读取数据块流
+ * @param {AsyncIterable<Uint8Array>} chunks - 数据块
+ * @returns {Object} read(length)、readBlob(length, type)、skip(length)，position为已读取的总字节数
+ */
+function createChunkReader(chunks) {
+    const iterator = chunks[Symbol.asyncIterator]();
+    let buffer = new Uint8Array(0);
+    let position = 0;
+    let consumed = 0;
+    let done = false;
+    
+    // 当前块读完时取下一块，数据已结束时返回false
+    const fill = async () => {
+        while (position >= buffer.length) {
+            if (done) return false;
+            const next = await iterator.next();
+            if (next.done) {
+                done = true;
+                return false;
+            }
+            buffer = next.value;
+            position = 0;
+        }
+        return true;
+    };
+    
+    // 读取最多length字节，交给onPart逐段处理，返回实际读取的字节数
+    const consume = async (length, onPart) => {
+        let remaining = length;
+        while (remaining > 0 && await fill()) {
+            const size = Math.min(remaining, buffer.length - position);
+            if (onPart) onPart(buffer.subarray(position, position + size));
+            position += size;
+            remaining -= size;
+        }
+        consumed += length - remaining;
+        return length - remaining;
+    };
+    
+    return {
+        get position() {
+            return consumed;
+        },
+        async read(length) {
+            const parts = [];
+            const count = await consume(length, part => parts.push(part));
+            if (parts.length === 1) return parts[0];
+            
+            const result = new Uint8Array(count);
+            let offset = 0;
+            for (const part of parts) {
+                result.set(part, offset);
+                offset += part.length;
+            }
+            return result;
+        },
+        async readBlob(length, type) {
+            const writer = createBlobWriter(type);
+            const count = await consume(length, part => writer.write(part));
+            if (count < length) throw createArchiveError('TRUNCATED', '数据不完整，文件可能已截断');
+            return writer.close();
+        },
+        skip(length) {
+            return consume(length, null);
+        }
+    };
+}
+
+/**
+ * 分段写入Blob
+ * 每积累一定数据就合并进Blob，浏览器会把较大的Blob转存到磁盘，不必整体驻留内存
+ * @param {string} [type] - MIME类型
+ * @returns {Object} write(chunk)、close()
+ */
+function createBlobWriter(type = '') {
+    let blob = new Blob([], { type });
+    let parts = [];
+    let pendingSize = 0;
+    
+    const flush = () => {
+        blob = new Blob([blob, ...parts], { type });
+        parts = [];
+        pendingSize = 0;
+    };
+    
+    return {
+        write(chunk) {
+            parts.push(chunk);
+            pendingSize += chunk.length;
+            if (pendingSize >= STREAM_CHUNK_SIZE) flush();
+        },
+        close() {
+            flush();
+            return blob;
+        }
+    };
+}
+
+/**
+ * 根据文件路径获取MIME类型
+ * @param {string} path - 文件路径
+ * @returns {string} MIME类型
+ */
+function getMimeType(path) {
+    const extension = path.split('.').pop().toLowerCase();
+    const mimeTypes = {
+        'jpg': 'image/jpeg',
+        'jpeg': 'image/jpeg',
+        'png': 'image/png',
+        'gif': 'image/gif',
+        'webp': 'image/webp',
+        'bmp': 'image/bmp',
+        'ico': 'image/x-icon',
+        'svg': 'image/svg+xml',
+        'avif': 'image/avif',
+        'pdf': 'application/pdf',
+        'txt': 'text/plain',
+        'html': 'text/html',
+        'htm': 'text/html',
+        'css': 'text/css',
+        'js': 'text/javascript',
+        'json': 'application/json',
+        'xml': 'application/xml',
+        'csv': 'text/csv',
+        'md': 'text/markdown',
+        'ts': 'text/x-typescript',
+        'tsx': 'text/x-typescript',
+        'jsx': 'text/javascript',
+        'vue': 'text/x-vue',
+        'py': 'text/x-python',
+        'java': 'text/x-java',
+        'c': 'text/x-c',
+        'h': 'text/x-c',
+        'cpp': 'text/x-c++',
+        'cs': 'text/x-csharp',
+        'go': 'text/x-go',
+        'rs': 'text/x-rust',
+        'php': 'text/x-php',
+        'rb': 'text/x-ruby',
+        'sh': 'application/x-sh',
+        'sql': 'application/sql',
+        'yaml': 'application/yaml',
+        'yml': 'application/yaml',
+        'rtf': 'application/rtf',
+        'doc': 'application/msword',
+        'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'xls': 'application/vnd.ms-excel',
+        'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'ppt': 'application/vnd.ms-powerpoint',
+        'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'odt': 'application/vnd.oasis.opendocument.text',
+        'ods': 'application/vnd.oasis.opendocument.spreadsheet',
+        'odp': 'application/vnd.oasis.opendocument.presentation',
+        'mp3': 'audio/mpeg',
+        'wav': 'audio/wav',
+        'ogg': 'audio/ogg',
+        'flac': 'audio/flac',
+        'm4a': 'audio/mp4',
+        'aac': 'audio/aac',
+        'mp4': 'video/mp4',
+        'webm': 'video/webm',
+        'mov': 'video/quicktime',
+        'ogv': 'video/ogg',
+        'zip': 'application/zip',
+        '7z': 'application/x-7z-compressed',
+        'tar': 'application/x-tar',
+        'gz': 'application/gzip',
+        'bz2': 'application/x-bzip2',
+        'xz': 'application/x-xz',
+        'zst': 'application/zstd'
+    };
+    
+    return mimeTypes[extension] || 'application/octet-stream';
+}
+
+/**
+ * 把通配符规则转换为正则表达式
+ * *匹配文件夹名或文件名中的任意字符，**匹配任意层级的文件夹，?匹配单个字符，[abc]匹配其中一个字符，
+ * {ts,tsx}匹配其中一个分支；规则中没有/时只匹配文件名（与.gitignore相同），如*.ts匹配所有文件夹中的.ts文件
+ * @param {string} pattern - 通配符规则，如'src/**\/*.ts'
+ * @returns {RegExp} 匹配条目路径的正则表达式
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    let braceDepth = 0;
+    // 开头的/表示从根目录开始匹配
+    const glob = pattern.replace(/^\/+/, '');
+    
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/"可以匹配零个文件夹
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i++;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+            const end = glob.indexOf(']', i + 2);
+            const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            source += set[0] === '!' ? `[^${set.slice(1)}]` : `[${set}]`;
+            i = end;
+        } else if (char === '{') {
+            source += '(?:';
+            braceDepth++;
+        } else if (char === '}' && braceDepth > 0) {
+            source += ')';
+            braceDepth--;
+        } else if (char === ',' && braceDepth > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+        }
+    }
+    source += ')'.repeat(braceDepth);
+    
+    const prefix = pattern.includes('/') ? '' : '(?:.*/)?';
+    return new RegExp(`^${prefix}${source}$`);
+}
+
+/**
+ * 根据排除规则创建路径过滤函数（规则写法与.gitignore相同）
+ * 规则匹配文件本身或它所在的任意一级文件夹时排除该文件；以/结尾的规则只匹配文件夹，
+ * 如'node_modules/'排除所有node_modules文件夹中的文件，'.DS_Store'排除所有同名文件
+ * @param {Array<string>} patterns - 通配符规则（见globToRegExp）
+ * @returns {Function} 接收条目路径，应当排除时返回true
+ */
+function createExcludeFilter(patterns) {
+    const rules = patterns.map(pattern => ({
+        directoryOnly: pattern.endsWith('/'),
+        regex: globToRegExp(pattern.replace(/\/+$/, ''))
+    }));
+    
+    return path => {
+        const segments = path.replace(/^(\.?\/)+/, '').split('/');
+        return rules.some(({ directoryOnly, regex }) => segments.some((segment, i) => {
+            // 最后一段是文件名，只有文件夹规则时跳过
+            if (directoryOnly && i === segments.length - 1) return false;
+            return regex.test(segments.slice(0, i + 1).join('/'));
+        }));
+    };
+}
+
+/**
+ * 创建目录条目（目录没有内容，只用于保留文件夹结构）
+ * @param {string} path - 以/结尾的目录路径
+ * @param {Object} [metadata] - 元数据（见createEntryMetadata）
+ * @returns {Object} 目录条目
+ */
+function createDirectoryEntry(path, metadata = {}) {
+    return {
+        name: path.split('/').filter(Boolean).pop(),
+        path: path,
+        dir: true,
+        size: 0,
+        type: '',
+        content: null,
+        ...createEntryMetadata({ ...metadata, kind: 'directory' })
+    };
+}
+
+/**
+ * 创建文件条目
+ * @param {string} path - 文件路径
+ * @param {Blob|null} content - 文件内容（符号链接、设备等特殊条目没有内容）
+ * @param {Object} [metadata] - 元数据（见createEntryMetadata）
+ * @returns {Object} 文件条目
+ */
+function createFileEntry(path, content, metadata = {}) {
+    return {
+        name: path.split('/').pop(),
+        path: path,
+        size: content ? content.size : 0,
+        type: (content && content.type) || getMimeType(path),
+        content: content,
+        ...createEntryMetadata(metadata)
+    };
+}
+
+/**
+ * 补全条目元数据，归档中没有保存的信息为null
+ * @param {Object} metadata - 已知的元数据
+ * @returns {{kind: string, linkTarget: string|null, mode: number|null, owner: string|null, lastModified: number|null, damaged: Object|null, compression: string|null, encryption: string|null}}
+ *          kind为ENTRY_KIND_LABELS中的类型，mode为权限位，lastModified为毫秒时间戳，
+ *          damaged为损坏条目（内容缺失或只恢复了一部分）的错误类型和信息{ code, message }，
+ *          compression为ZIP条目的压缩方式（'store'或'deflate'），
+ *          encryption为ZIP条目的加密方式（ZIP_ENCRYPTION_METHODS中的键），见recordZipEntryMethods
+ */
+function createEntryMetadata({ kind = 'file', linkTarget = null, mode = null, owner = null, lastModified = null, damaged = null, compression = null, encryption = null }) {
+    return { kind, linkTarget, mode, owner, lastModified, damaged, compression, encryption };
+}
+
+/**
+ * 根据UNIX文件模式的类型位获取条目类型
+ * @param {number} mode - 文件模式
+ * @returns {string} 条目类型
+ */
+function getUnixEntryKind(mode) {
+    return UNIX_ENTRY_KINDS[mode & 0o170000] || 'file';
+}
+
+// 压缩包中附带的说明文件
+const README_NAME = '在线解压缩工具(yasuo.zip).txt';
+const README_CONTENT = '本压缩包由【在线解压缩工具yasuo.zip】在线压缩，感谢您的使用！';
+
+/**
+ * 将文件打包为ZIP
+ * 每一级文件夹都写入目录条目，所有条目按UNIX平台写入文件模式（类型和权限）
+ * @param {Array<Object>} entries - 要压缩的条目：file为内容，path为在压缩包中的路径；
+ *                                  可选dir（目录条目，没有内容）、lastModified（毫秒时间戳，没有时为当前时间）、
+ *                                  mode（权限位，见getUnixFileMode）、
+ *                                  compression（沿用的压缩方式'store'或'deflate'，见recordZipEntryMethods）、
+ *                                  kind为'symlink'时是符号链接（没有内容，linkTarget为链接目标）
+ * @param {Object} options - 压缩选项：password、encryption；level为DEFLATE压缩级别（0为只存储，默认6），
+ *                           storeExtensions为只存储不压缩的扩展名，comment为压缩包注释，readme为false时不附带说明文件，
+ *                           fixedTime为统一的修改时间（见createArchive）
+ * @param {Object} context - 处理上下文（onProgress）
+ * @returns {Promise<Blob>} ZIP文件
+ */
+async function createZipArchive(entries, options, context) {
+    const zip = new JSZip();
+    const { level = 6, storeExtensions = [], comment = '', readme = true, fixedTime = null } = options;
+    const storeOnly = new Set(storeExtensions.map(extension => extension.toLowerCase()));
+    
+    // 填写了密码时使用自带的加密ZIP写入流程（JSZip不支持加密）
+    const encryption = options.password ? ZIP_ENCRYPTION_METHODS[options.encryption] : null;
+    const passwordBytes = encryption ? encodePassword(options.password) : null;
+    const encryptedEntries = [];
+    
+    const allEntries = addParentDirectories(entries);
+    for (let i = 0; i < allEntries.length; i++) {
+        const entry = allEntries[i];
+        const { file, path, dir, compression } = entry;
+        const lastModified = entry.lastModified ?? Date.now();
+        const mode = getUnixFileMode(entry);
+        
+        if (dir) {
+            if (encryption) {
+                encryptedEntries.push(createZipDirectoryEntry(path, lastModified, mode));
+            } else {
+                zip.file(path, null, { dir: true, date: toJSZipDate(lastModified), unixPermissions: mode, createFolders: false });
+            }
+        } else if (entry.kind === 'symlink') {
+            // 按UNIX的约定，符号链接的内容是链接目标，文件模式的类型位标记为链接
+            const target = new TextEncoder().encode(entry.linkTarget);
+            if (encryption) {
+                encryptedEntries.push(await createEncryptedZipEntry(path, target, passwordBytes, encryption, { level: 0, lastModified, mode }));
+            } else {
+                zip.file(path, target, { compression: 'STORE', date: toJSZipDate(lastModified), unixPermissions: mode, createFolders: false });
+            }
+        } else {
+            const fileContent = await file.arrayBuffer();
+            // 重新保存的条目沿用原来的压缩方式，其他条目按扩展名和压缩级别决定
+            const entryLevel = compression === 'store' ? 0
+                : compression === 'deflate' ? (level || 6)
+                : getZipEntryLevel(path, level, storeOnly);
+            
+            if (encryption) {
+                encryptedEntries.push(await createEncryptedZipEntry(path, new Uint8Array(fileContent), passwordBytes, encryption,
+                    { level: entryLevel, lastModified, mode }));
+            } else {
+                zip.file(path, fileContent, {
+                    ...getJSZipCompression(entryLevel),
+                    date: toJSZipDate(lastModified),
+                    unixPermissions: mode,
+                    createFolders: false
+                });
+            }
+        }
+        
+        context.onProgress(Math.floor(((i + 1) / allEntries.length) * 100));
+    }
+    
+    const readmeTime = fixedTime ?? Date.now();
+    if (encryption) {
+        if (readme) {
+            encryptedEntries.push(await createEncryptedZipEntry(README_NAME, new TextEncoder().encode(README_CONTENT), passwordBytes, encryption,
+                { level, lastModified: readmeTime }));
+        }
+        return buildZipBlob(encryptedEntries, comment);
+    }
+    
+    if (readme) {
+        zip.file(README_NAME, README_CONTENT, {
+            ...getJSZipCompression(level),
+            date: toJSZipDate(readmeTime),
+            unixPermissions: getUnixFileMode({}),
+            createFolders: false
+        });
+    }
+    return zip.generateAsync({ type: 'blob', comment, platform: 'UNIX' });
+}
+
+/**
+ * 补全条目的父文件夹：每一级文件夹都有目录条目，且排在其中的条目之前，解压时保留文件夹的结构和时间
+ * 已有的目录条目保持原样，补上的目录条目使用文件夹中第一个条目的修改时间
+ * @param {Array<Object>} entries - 要打包的条目（见createZipArchive）
+ * @returns {Array<Object>} 补全后的条目
+ */
+function addParentDirectories(entries) {
+    const directories = new Map(entries.filter(entry => entry.dir).map(entry => [entry.path, entry]));
+    const added = new Set();
+    const result = [];
+    
+    for (const entry of entries) {
+        // 目录条目的路径以/结尾，最后一级就是它自己
+        const segments = entry.path.split('/').slice(0, -1);
+        for (let i = 1; i <= segments.length; i++) {
+            const dirPath = segments.slice(0, i).join('/') + '/';
+            if (added.has(dirPath)) continue;
+            added.add(dirPath);
+            result.push(directories.get(dirPath) || { path: dirPath, dir: true, lastModified: entry.lastModified });
+        }
+        if (!entry.dir) result.push(entry);
+    }
+    return result;
+}
+
+/**
+ * 获取写入归档的UNIX文件模式（类型位和权限位），没有权限信息时文件为644，文件夹为755，符号链接为777
+ * @param {Object} entry - 要打包的条目（dir、kind、mode）
+ * @returns {number} 文件模式
+ */
+function getUnixFileMode({ dir = false, kind = 'file', mode = null }) {
+    if (kind === 'symlink') return 0o120000 | (mode ?? 0o777);
+    return (dir ? 0o040000 : 0o100000) | (mode ?? (dir ? 0o755 : 0o644));
+}
+
+/**
+ * 转换为写入ZIP时传给JSZip的日期
+ * JSZip按UTC写入DOS时间，而DOS时间应为本地时间，需要换算成数字相同的UTC时间（与extractZipWithJSZip相反）
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {Date} 传给JSZip的日期
+ */
+function toJSZipDate(timestamp) {
+    const date = new Date(timestamp);
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds()));
+}
+
+/**
+ * 获取ZIP条目的压缩级别
+ * 图片、音视频、压缩包等已经压缩过的格式再压缩几乎不会变小，可以按扩展名设置为只存储
+ * @param {string} path - 条目路径
+ * @param {number} level - 压缩包的压缩级别
+ * @param {Set<string>} storeExtensions - 只存储的扩展名（小写，不带点）
+ * @returns {number} 压缩级别，0为只存储
+ */
+function getZipEntryLevel(path, level, storeExtensions) {
+    const name = path.split('/').pop();
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return extension && storeExtensions.has(extension) ? 0 : level;
+}
+
+/**
+ * 将压缩级别转换为JSZip的条目压缩选项
+ * @param {number} level - 压缩级别，0为只存储
+ * @returns {Object} JSZip的compression和compressionOptions
+ */
+function getJSZipCompression(level) {
+    return level > 0
+        ? { compression: 'DEFLATE', compressionOptions: { level } }
+        : { compression: 'STORE' };
+}
+
+/**
+ * 按输出格式打包文件
+ * @param {Array<Object>} entries - 要压缩的条目（见createZipArchive）
+ * @param {Object} options - 压缩选项：format；fixedTime为所有条目统一使用的修改时间（毫秒时间戳，null为保留原来的时间）；
+ *                           ZIP的其他选项见createZipArchive
+ * @param {Object} context - 处理上下文（onProgress）
+ * @returns {Promise<Blob>} 压缩结果
+ */
+async function createArchive(entries, options, context) {
+    // 统一修改时间后，相同的文件每次都会得到完全相同的压缩包（可重现的构建）
+    if (options.fixedTime != null) {
+        entries = entries.map(entry => ({ ...entry, lastModified: options.fixedTime }));
+    }
+    
+    switch (options.format || 'zip') {
+        case 'zip':
+            return createZipArchive(entries, options, context);
+        case 'tar':
+            context.onProgress(100);
+            return createTarArchive(entries);
+        case 'tar.gz':
+            return gzipBlob(createTarArchive(entries), context.onProgress);
+        case 'gz':
+            if (entries.length !== 1) {
+                throw createArchiveError('UNSUPPORTED_FORMAT', 'GZ格式只能压缩单个文件，多个文件或文件夹请选择TAR.GZ');
+            }
+            return gzipBlob(entries[0].file, context.onProgress);
+        default:
+            throw createArchiveError('UNSUPPORTED_FORMAT', '不支持的输出格式', { format: options.format });
+    }
+}
+
+/**
+ * 使用流式压缩生成GZIP
+ * @param {Blob} blob - 要压缩的数据
+ * @param {Function} onProgress - 进度回调（0-100）
+ * @returns {Promise<Blob>} GZIP数据
+ */
+async function gzipBlob(blob, onProgress) {
+    const writer = createBlobWriter('application/gzip');
+    for await (const chunk of compressChunks(readFileChunks(blob, onProgress), 'gzip')) {
+        writer.write(chunk);
+    }
+    // 空文件不会产生进度回调
+    onProgress(100);
+    return writer.close();
+}
+
+/**
+ * 将文件打包为TAR（POSIX ustar格式，超长路径和超大文件使用pax扩展头）
+ * 文件内容直接引用原始File，不需要读入内存
+ * @param {Array<Object>} entries - 要打包的条目：file为内容，path为在归档中的路径；
+ *                                  可选dir（目录条目）、lastModified（毫秒时间戳，默认为文件的修改时间）、mode（权限位）；
+ *                                  kind为'symlink'或'hardlink'时是链接（没有内容，linkTarget为链接目标）
+ * @returns {Blob} TAR数据
+ */
+function createTarArchive(entries) {
+    const parts = [];
+    
+    for (const entry of addParentDirectories(entries)) {
+        const { file, path, dir, kind } = entry;
+        const mtime = Math.floor((entry.lastModified ?? (file && file.lastModified) ?? Date.now()) / 1000);
+        const mode = getUnixFileMode(entry) & 0o7777;
+        
+        if (dir) {
+            parts.push(...createTarHeaders({ path, size: 0, mode, mtime, type: '5' }));
+            continue;
+        }
+        if (kind === 'symlink' || kind === 'hardlink') {
+            parts.push(...createTarHeaders({ path, size: 0, mode, mtime, type: kind === 'symlink' ? '2' : '1', linkName: entry.linkTarget }));
+            continue;
+        }
+        
+        parts.push(...createTarHeaders({ path, size: file.size, mode, mtime, type: '0' }));
+        parts.push(file);
+        parts.push(new Uint8Array(getTarPadding(file.size)));
+    }
+    
+    // 归档以两个全零的块结束
+    parts.push(new Uint8Array(1024));
+    return new Blob(parts, { type: 'application/x-tar' });
+}
+
+/**
+ * 生成条目的TAR头部，字段放不下时在前面加上pax扩展头
+ * @param {Object} entry - path、size、mode、mtime（秒）、type（类型标志字符），链接还有linkName（链接目标）
+ * @returns {Array<Uint8Array>} 头部数据（含pax扩展头及其内容）
+ */
+function createTarHeaders(entry) {
+    const encoder = new TextEncoder();
+    const pathBytes = encoder.encode(entry.path);
+    const records = {};
+    let name = pathBytes;
+    let prefix = new Uint8Array(0);
+    let linkName = encoder.encode(entry.linkName || '');
+    
+    if (pathBytes.length > 100) {
+        // 优先拆分到prefix字段（前缀最多155字节，文件名最多100字节，在/处拆分）
+        const split = findTarPathSplit(pathBytes);
+        if (split === -1) {
+            records.path = entry.path;
+            name = pathBytes.subarray(pathBytes.length - 100);
+        } else {
+            prefix = pathBytes.subarray(0, split);
+            name = pathBytes.subarray(split + 1);
+        }
+    }
+    
+    // 链接目标字段最多100字节，更长的由pax记录
+    if (linkName.length > 100) {
+        records.linkpath = entry.linkName;
+        linkName = linkName.subarray(0, 100);
+    }
+    
+    // 八进制大小字段最多11位（8GB），更大的文件由pax记录大小
+    if (entry.size > 0o77777777777) {
+        records.size = String(entry.size);
+    }
+    
+    const headers = [];
+    if (Object.keys(records).length > 0) {
+        const paxData = createPaxRecords(records);
+        headers.push(createTarHeader({
+            name: encoder.encode('PaxHeader/' + entry.path.split('/').filter(Boolean).pop()).subarray(0, 100),
+            prefix: new Uint8Array(0),
+            size: paxData.length,
+            mode: 0o644,
+            mtime: entry.mtime,
+            type: 'x'
+        }));
+        headers.push(paxData, new Uint8Array(getTarPadding(paxData.length)));
+    }
+    
+    headers.push(createTarHeader({ ...entry, name, prefix, linkName }));
+    return headers;
+}
+
+/**
+ * 寻找ustar路径的拆分位置（prefix不超过155字节，name不超过100字节）
+ * @param {Uint8Array} pathBytes - UTF-8编码的路径
+ * @returns {number} 拆分处"/"的下标，无法拆分时返回-1
+ */
+function findTarPathSplit(pathBytes) {
+    // 目录路径结尾的/属于name字段
+    const searchEnd = Math.min(pathBytes.length - 2, 155);
+    for (let i = searchEnd; i > 0; i--) {
+        if (pathBytes[i] === 0x2F && pathBytes.length - i - 1 <= 100) return i;
+    }
+    return -1;
+}
+
+/**
+ * 生成512字节的ustar头部
+ * @param {Object} header - name、prefix、linkName（UTF-8字节）、size、mode、mtime（秒）、type
+ * @returns {Uint8Array} 头部数据
+ */
+function createTarHeader({ name, prefix, linkName = new Uint8Array(0), size, mode, mtime, type }) {
+    const header = new Uint8Array(512);
+    const writeOctal = (value, offset, length) => {
+        const text = value.toString(8).padStart(length - 1, '0');
+        for (let i = 0; i < text.length; i++) header[offset + i] = text.charCodeAt(i);
+    };
+    const writeText = (text, offset) => {
+        for (let i = 0; i < text.length; i++) header[offset + i] = text.charCodeAt(i);
+    };
+    
+    header.set(name, 0);
+    writeOctal(mode, 100, 8);
+    writeOctal(0, 108, 8); // uid
+    writeOctal(0, 116, 8); // gid
+    if (size > 0o77777777777) {
+        // 超过八进制字段上限时使用GNU的base-256格式（同时写有pax记录）
+        header[124] = 0x80;
+        for (let i = 135, value = size; i > 124; i--, value = Math.floor(value / 256)) header[i] = value % 256;
+    } else {
+        writeOctal(size, 124, 12);
+    }
+    writeOctal(mtime, 136, 12);
+    writeText(type, 156);
+    header.set(linkName, 157);
+    writeText('ustar\0' + '00', 257);
+    header.set(prefix, 345);
+    
+    // 校验和按校验和字段为8个空格计算
+    writeText('        ', 148);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeOctal(checksum, 148, 7);
+    header[154] = 0;
+    header[155] = 0x20;
+    
+    return header;
+}
+
+/**
+ * 生成pax扩展头内容，每条记录为"长度 键=值\n"，长度包含长度数字本身
+ * @param {Object} records - 键值对
+ * @returns {Uint8Array} 扩展头内容
+ */
+function createPaxRecords(records) {
+    const encoder = new TextEncoder();
+    const lines = Object.entries(records).map(([key, value]) => {
+        const body = encoder.encode(` ${key}=${value}\n`).length;
+        let length = body + String(body).length;
+        // 加上长度数字后位数可能进位
+        if (String(length).length !== String(body).length) length = body + String(length).length;
+        return `${length} ${key}=${value}\n`;
+    });
+    return encoder.encode(lines.join(''));
+}
+
+/**
+ * 计算TAR数据块需要的填充长度（补齐到512字节）
+ * @param {number} size - 数据长度
+ * @returns {number} 填充长度
+ */
+function getTarPadding(size) {
+    return (512 - (size % 512)) % 512;
+}
+
+/**
+ * 压缩并加密单个ZIP条目
+ * @param {string} path - 条目路径
+ * @param {Uint8Array} data - 文件内容
+ * @param {Uint8Array} passwordBytes - 密码字节
+ * @param {Object} encryption - ZIP_ENCRYPTION_METHODS中的加密方式
+ * @param {Object} [options] - level为压缩级别（0为只存储，默认6），lastModified为修改时间（毫秒时间戳，默认为当前时间），
+ *                             mode为UNIX文件模式（见getUnixFileMode）
+ * @returns {Promise<Object>} 供buildZipBlob使用的条目
+ */
+async function createEncryptedZipEntry(path, data, passwordBytes, encryption, { level = 6, lastModified = Date.now(), mode = getUnixFileMode({}) } = {}) {
+    const crc = crc32(data);
+    const deflated = level > 0 ? pako.deflateRaw(data, { level }) : data;
+    // 压缩后没有变小（如空文件、已压缩的数据）时直接存储
+    const method = deflated.length < data.length ? 8 : 0;
+    const compressed = method === 8 ? deflated : data;
+    const entry = {
+        nameBytes: new TextEncoder().encode(path),
+        ...toDosDateTime(new Date(lastModified)),
+        size: data.length,
+        versionNeeded: 20,
+        // 第0位：已加密；第11位：文件名为UTF-8
+        flags: 0x0001 | 0x0800,
+        method: method,
+        crc: crc,
+        unixMode: mode,
+        extra: new Uint8Array(0)
+    };
+    
+    if (encryption.aesStrength) {
+        // WinZip AES（AE-2）：方法号为99，真实压缩方法写在扩展字段中，CRC置0
+        entry.data = await encryptWinZipAes(compressed, passwordBytes, encryption.aesStrength);
+        entry.versionNeeded = 51;
+        entry.method = 99;
+        entry.crc = 0;
+        entry.extra = new Uint8Array([0x01, 0x99, 0x07, 0x00, 0x02, 0x00, 0x41, 0x45, encryption.aesStrength, method, 0x00]);
+    } else {
+        entry.data = encryptZipCrypto(compressed, passwordBytes, crc >>> 24);
+    }
+    
+    return entry;
+}
+
+/**
+ * 创建加密ZIP中的目录条目（目录没有内容，不需要加密）
+ * @param {string} path - 以/结尾的目录路径
+ * @param {number} lastModified - 修改时间（毫秒时间戳）
+ * @param {number} mode - UNIX文件模式
+ * @returns {Object} 供buildZipBlob使用的条目
+ */
+function createZipDirectoryEntry(path, lastModified, mode) {
+    return {
+        nameBytes: new TextEncoder().encode(path),
+        ...toDosDateTime(new Date(lastModified)),
+        size: 0,
+        versionNeeded: 20,
+        flags: 0x0800,
+        method: 0,
+        crc: 0,
+        unixMode: mode,
+        extra: new Uint8Array(0),
+        data: new Uint8Array(0)
+    };
+}
+
+/**
+ * 组装ZIP文件（本地文件头、数据、中央目录和目录结束记录）
+ * 创建平台标记为UNIX，外部属性的高16位为文件模式
+ * @param {Array<Object>} entries - createEncryptedZipEntry或createZipDirectoryEntry生成的条目
+ * @param {string} [comment=''] - 压缩包注释
+ * @returns {Blob} ZIP文件
+ */
+function buildZipBlob(entries, comment = '') {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    
+    for (const entry of entries) {
+        const flags = entry.flags;
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, entry.versionNeeded, true);
+        local.setUint16(6, flags, true);
+        local.setUint16(8, entry.method, true);
+        local.setUint16(10, entry.time, true);
+        local.setUint16(12, entry.date, true);
+        local.setUint32(14, entry.crc, true);
+        local.setUint32(18, entry.data.length, true);
+        local.setUint32(22, entry.size, true);
+        local.setUint16(26, entry.nameBytes.length, true);
+        local.setUint16(28, entry.extra.length, true);
+        parts.push(new Uint8Array(local.buffer), entry.nameBytes, entry.extra, entry.data);
+        
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 0x0300 | entry.versionNeeded, true);
+        central.setUint16(6, entry.versionNeeded, true);
+        central.setUint16(8, flags, true);
+        central.setUint16(10, entry.method, true);
+        central.setUint16(12, entry.time, true);
+        central.setUint16(14, entry.date, true);
+        central.setUint32(16, entry.crc, true);
+        central.setUint32(20, entry.data.length, true);
+        central.setUint32(24, entry.size, true);
+        central.setUint16(28, entry.nameBytes.length, true);
+        central.setUint16(30, entry.extra.length, true);
+        central.setUint32(38, entry.unixMode * 0x10000, true);
+        central.setUint32(42, offset, true);
+        directory.push(new Uint8Array(central.buffer), entry.nameBytes, entry.extra);
+        
+        offset += 30 + entry.nameBytes.length + entry.extra.length + entry.data.length;
+    }
+    
+    const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+    // 注释长度字段只有2字节
+    const commentBytes = new TextEncoder().encode(comment).subarray(0, 0xFFFF);
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, 0x06054B50, true);
+    eocd.setUint16(8, entries.length, true);
+    eocd.setUint16(10, entries.length, true);
+    eocd.setUint32(12, directorySize, true);
+    eocd.setUint32(16, offset, true);
+    eocd.setUint16(20, commentBytes.length, true);
+    
+    return new Blob([...parts, ...directory, new Uint8Array(eocd.buffer), commentBytes], { type: 'application/zip' });
+}
+
+/**
+ * 将日期转换为ZIP使用的DOS日期和时间
+ * @param {Date} date - 日期
+ * @returns {{time: number, date: number}} DOS格式的时间和日期
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * 获取图片压缩的输出格式
+ * @param {string} type - 原始MIME类型
+ * @param {string} [format='keep'] - 选择的输出格式，'keep'时PNG和WebP保持原格式，其余输出JPEG
+ * @returns {string} 输出MIME类型
+ */
+function getImageOutputFormat(type, format = 'keep') {
+    if (format !== 'keep') return format;
+    return type === 'image/png' || type === 'image/webp' ? type : 'image/jpeg';
+}
+
+/**
+ * 计算缩放后的图片尺寸：保持宽高比，只缩小不放大
+ * @param {number} width - 原始宽度
+ * @param {number} height - 原始高度
+ * @param {Object} [options] - maxWidth、maxHeight为最大宽高（像素），scale为缩放比例（0-1），都为空时保持原尺寸
+ * @returns {{width: number, height: number}} 缩放后的尺寸
+ */
+function getImageTargetSize(width, height, { maxWidth = null, maxHeight = null, scale = null } = {}) {
+    let ratio = scale ? Math.min(scale, 1) : 1;
+    if (maxWidth) ratio = Math.min(ratio, maxWidth / width);
+    if (maxHeight) ratio = Math.min(ratio, maxHeight / height);
+    return {
+        width: Math.max(1, Math.round(width * ratio)),
+        height: Math.max(1, Math.round(height * ratio))
+    };
+}
+
+/**
+ * 把图片缩放到目标尺寸绘制到新画布
+ * 一次缩小很多倍时双线性插值会跳过大部分像素产生锯齿，所以先逐次缩小一半，最后一步再缩放到目标尺寸
+ * @param {CanvasImageSource} source - 图片（ImageBitmap或Image）
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ * @param {{width: number, height: number}} size - 目标尺寸
+ * @param {Function} createCanvas - 创建画布：(width, height) => canvas，Worker中为OffscreenCanvas
+ * @param {string|null} background - 背景色，输出格式不支持透明（JPEG）时填充透明部分，否则透明部分会变成黑色
+ * @returns {HTMLCanvasElement|OffscreenCanvas} 绘制好的画布
+ */
+function drawResizedImage(source, width, height, size, createCanvas, background) {
+    while (width / 2 >= size.width && height / 2 >= size.height) {
+        width = Math.round(width / 2);
+        height = Math.round(height / 2);
+        const step = createCanvas(width, height);
+        const stepContext = step.getContext('2d');
+        stepContext.imageSmoothingQuality = 'high';
+        stepContext.drawImage(source, 0, 0, width, height);
+        source = step;
+    }
+    
+    const canvas = createCanvas(size.width, size.height);
+    const ctx = canvas.getContext('2d');
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, size.width, size.height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, size.width, size.height);
+    return canvas;
+}
+
+/**
+ * 检查编码结果的格式，浏览器不支持的格式会被悄悄编码为PNG
+ * @param {Blob} blob - 编码得到的图片
+ * @param {string} type - 要求的MIME类型
+ * @returns {Blob} 编码得到的图片
+ */
+function checkImageOutputFormat(blob, type) {
+    if (blob.type !== type) {
+        throw createArchiveError('UNSUPPORTED_FORMAT', `浏览器不支持输出${type.split('/')[1].toUpperCase()}格式`);
+    }
+    return blob;
+}
+
+/**
+ * 压缩单个图片，可以缩小尺寸和转换格式
+ * Worker中使用OffscreenCanvas，不支持时回退到页面canvas（只能在主线程运行）
+ * @param {File} file - 要压缩的图片文件
+ * @param {number} quality - 压缩质量 (0-1)
+ * @param {Object} [options] - 尺寸（maxWidth、maxHeight、scale，见getImageTargetSize）、
+ *                             输出格式format（'keep'或MIME类型）和转换为JPEG时的背景色background
+ * @returns {Promise<Blob>} 压缩后的图片Blob
+ */
+async function compressImage(file, quality, options = {}) {
+    const outputFormat = getImageOutputFormat(file.type, options.format);
+    const background = outputFormat === 'image/jpeg' ? (options.background || '#ffffff') : null;
+    
+    if (typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined') {
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file);
+        } catch (error) {
+            throw new Error('图片加载失败');
+        }
+        const size = getImageTargetSize(bitmap.width, bitmap.height, options);
+        const canvas = drawResizedImage(bitmap, bitmap.width, bitmap.height, size,
+            (width, height) => new OffscreenCanvas(width, height), background);
+        bitmap.close();
+        return checkImageOutputFormat(await canvas.convertToBlob({ type: outputFormat, quality }), outputFormat);
+    }
+    
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const url = URL.createObjectURL(file);
+        
+        img.onload = function() {
+            URL.revokeObjectURL(url);
+            // 缩放并绘制图片到画布
+            const size = getImageTargetSize(img.width, img.height, options);
+            const canvas = drawResizedImage(img, img.width, img.height, size,
+                (width, height) => Object.assign(document.createElement('canvas'), { width, height }), background);
+            
+            // 转换为Blob
+            canvas.toBlob((blob) => {
+                try {
+                    if (!blob) throw new Error('图片压缩失败');
+                    resolve(checkImageOutputFormat(blob, outputFormat));
+                } catch (error) {
+                    reject(error);
+                }
+            }, outputFormat, quality);
+        };
+        
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('图片加载失败'));
+        };
+        img.src = url;
+    });
+}
+
+// 可交给worker.js执行的任务
+// 每个处理函数接收(payload, context)，返回值会传回主线程
+const TASK_HANDLERS = {
+    extract: async ({ file, format, recovery = 'abort' }, context) => {
+        const files = {};
+        await extractArchiveFiles(file, format, { ...context, files, recovery });
+        return files;
+    },
+    test: ({ file }, context) => testZip(file, context),
+    compress: ({ entries, options }, context) => createArchive(entries, options, context),
+    'compress-image': ({ file, quality, options }) => compressImage(file, quality, options)
+};
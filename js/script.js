@@ -13,63 +13,55 @@
  * 
  * 实现功能：
  * 1. 文件上传（支持拖拽和点击上传）
- * 2. 文件大小验证（限制500MB）
- * 3. 解压ZIP/GZ/TAR格式文件
- * 4. 压缩文件和文件夹为ZIP格式
+ * 2. 文件大小验证（压缩限制500MB，解压为流式处理不限大小）
+ * 3. 解压ZIP/7Z/TAR格式文件（支持加密ZIP），以及GZ/BZ2/XZ/ZST压缩的单个文件或TAR归档
+ * 4. 压缩文件和文件夹为ZIP（可设置密码加密）、TAR、TAR.GZ或GZ格式
  * 5. 解压进度显示
- * 6. 文件浏览和下载功能
+ * 6. 文件浏览（文件夹树）、预览和下载功能
+ * 7. 解压和压缩在后台Worker线程中执行（js/worker.js），不支持时回退到主线程
  */
 
-/**
- * 智能检测文本编码并解码
- * @param {Uint8Array} bytes - 字节数组
- * @returns {string} 解码后的字符串
- */
-function smartDecodeFileName(bytes) {
-    // 检查是否为ASCII（最常见且最安全）
-    let isAscii = true;
-    for (let i = 0; i < bytes.length; i++) {
-        if (bytes[i] > 127) {
-            isAscii = false;
-            break;
-        }
-    }
-    if (isAscii) {
-        return new TextDecoder('ascii').decode(bytes);
-    }
-    
-    // 尝试UTF-8（现代标准）
-    try {
-        const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
-        const decoded = utf8Decoder.decode(bytes);
-        return decoded;
-    } catch (e) {
-        // UTF-8失败，继续尝试其他编码
-    }
-    
-    // 检测可能的中文编码
-    const encodings = ['gbk', 'gb2312', 'big5', 'shift-jis'];
-    for (const encoding of encodings) {
-        try {
-            const decoder = new TextDecoder(encoding);
-            const decoded = decoder.decode(bytes);
-            // 简单的启发式检查：如果解码结果不包含太多替换字符，认为是正确的
-            const replacementCount = (decoded.match(/\uFFFD/g) || []).length;
-            if (replacementCount / decoded.length < 0.1) { // 替换字符少于10%
-                return decoded;
-            }
-        } catch (e) {
-            continue;
-        }
-    }
-    
-    // 所有编码都失败，使用latin1作为最后的fallback
-    return new TextDecoder('latin1').decode(bytes);
-}
-
-// 定义最大允许上传大小：500MB
+// 定义压缩和图片压缩允许的最大大小：500MB（解压不受限制）
 const MAX_FILE_SIZE = 500 * 1024 * 1024;
 
+// 预览限制：文本最多显示1MB（超过200KB不做语法高亮），十六进制最多显示64KB
+const PREVIEW_TEXT_LIMIT = 1024 * 1024;
+const PREVIEW_HIGHLIGHT_LIMIT = 200 * 1024;
+const PREVIEW_HEX_LIMIT = 64 * 1024;
+
+// 编辑后可以按原格式重新保存的格式，其他格式保存为ZIP
+const EDITABLE_SAVE_FORMATS = ['zip', 'tar', 'tar.gz'];
+
+// 图片压缩转换格式后使用的扩展名
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/avif': '.avif'
+};
+
+// 文件类型筛选的分类及显示名称（根据getMimeType的结果划分，见getFileCategory）
+const FILE_CATEGORIES = {
+    image: '图片',
+    audio: '音频',
+    video: '视频',
+    document: '文档',
+    code: '代码',
+    archive: '压缩包',
+    other: '其他'
+};
+
+// 错误弹窗技术细节中details字段的显示名称（见processing.js中的createArchiveError）
+const ERROR_DETAIL_LABELS = {
+    path: '文件',
+    offset: '位置（字节）',
+    method: '压缩方法',
+    format: '格式',
+    expected: '期望值',
+    actual: '实际值',
+    cause: '原始错误'
+};
+
 // DOM元素缓存
 const elements = {
     dropArea: document.getElementById('drop-area'),
@@ -84,10 +76,44 @@ const elements = {
     fileList: document.getElementById('file-list'),
     fileName: document.getElementById('file-name'),
     fileSize: document.getElementById('file-size'),
+    fileFormat: document.getElementById('file-format'),
+    archiveBreadcrumb: document.getElementById('archive-breadcrumb'),
+    zipRecovery: document.getElementById('zip-recovery'),
+    testArchiveBtn: document.getElementById('test-archive-btn'),
+    testReport: document.getElementById('test-report'),
+    editArchiveBtn: document.getElementById('edit-archive-btn'),
+    editToolbar: document.getElementById('edit-toolbar'),
+    editTargetFolder: document.getElementById('edit-target-folder'),
+    editAddBtn: document.getElementById('edit-add-btn'),
+    editAddInput: document.getElementById('edit-add-input'),
+    editStatus: document.getElementById('edit-status'),
+    editSaveBtn: document.getElementById('edit-save-btn'),
     downloadAllBtn: document.getElementById('download-all-btn'),
+    extractFolderBtn: document.getElementById('extract-folder-btn'),
+    extractFolderStatus: document.getElementById('extract-folder-status'),
+    downloadSelectedBtn: document.getElementById('download-selected-btn'),
+    selectAllBtn: document.getElementById('select-all-btn'),
+    selectNoneBtn: document.getElementById('select-none-btn'),
+    selectPattern: document.getElementById('select-pattern'),
+    selectPatternBtn: document.getElementById('select-pattern-btn'),
+    keepPaths: document.getElementById('keep-paths'),
+    selectionCount: document.getElementById('selection-count'),
     errorPopup: document.getElementById('error-popup'),
     errorMessage: document.getElementById('error-message'),
     errorClose: document.getElementById('error-close'),
+    errorDetails: document.getElementById('error-details'),
+    errorDetailList: document.getElementById('error-detail-list'),
+    errorFailures: document.getElementById('error-failures'),
+    errorCopy: document.getElementById('error-copy'),
+    passwordPopup: document.getElementById('password-popup'),
+    passwordMessage: document.getElementById('password-message'),
+    passwordInput: document.getElementById('password-input'),
+    passwordConfirm: document.getElementById('password-confirm'),
+    passwordCancel: document.getElementById('password-cancel'),
+    conflictPopup: document.getElementById('conflict-popup'),
+    conflictMessage: document.getElementById('conflict-message'),
+    conflictApplyAll: document.getElementById('conflict-apply-all'),
+    conflictButtons: document.getElementById('conflict-buttons'),
     compressBtn: document.getElementById('compress-btn'),
     extractBtn: document.getElementById('extract-btn'),
     imageCompressBtn: document.getElementById('image-compress-btn'),
@@ -105,14 +131,82 @@ const elements = {
     extractIcon: document.getElementById('extract-icon'),
     compressIcon: document.getElementById('compress-icon'),
     imageCompressIcon: document.getElementById('image-compress-icon'),
+    compressFormat: document.getElementById('compress-format'),
+    zipOptions: document.getElementById('zip-options'),
+    zipPassword: document.getElementById('zip-password'),
+    zipEncryption: document.getElementById('zip-encryption'),
+    archiveName: document.getElementById('archive-name'),
+    excludePatterns: document.getElementById('exclude-patterns'),
+    fixedTimeEnabled: document.getElementById('fixed-time-enabled'),
+    fixedTime: document.getElementById('fixed-time'),
+    zipLevel: document.getElementById('zip-level'),
+    zipLevelValue: document.getElementById('zip-level-value'),
+    zipStoreExtensions: document.getElementById('zip-store-extensions'),
+    zipComment: document.getElementById('zip-comment'),
+    zipReadme: document.getElementById('zip-readme'),
+    previewPopup: document.getElementById('preview-popup'),
+    previewTitle: document.getElementById('preview-title'),
+    previewEncoding: document.getElementById('preview-encoding'),
+    previewNote: document.getElementById('preview-note'),
+    previewBody: document.getElementById('preview-body'),
+    previewClose: document.getElementById('preview-close'),
+    comparePopup: document.getElementById('compare-popup'),
+    compareTitle: document.getElementById('compare-title'),
+    compareQuality: document.getElementById('compare-quality'),
+    compareQualityValue: document.getElementById('compare-quality-value'),
+    compareZoom: document.getElementById('compare-zoom'),
+    compareFit: document.getElementById('compare-fit'),
+    compareActual: document.getElementById('compare-actual'),
+    compareClose: document.getElementById('compare-close'),
+    compareNote: document.getElementById('compare-note'),
+    compareBody: document.getElementById('compare-body'),
+    compareStage: document.getElementById('compare-stage'),
+    compareOriginal: document.getElementById('compare-original'),
+    compareCompressed: document.getElementById('compare-compressed'),
+    compareDivider: document.getElementById('compare-divider'),
     qualitySlider: document.getElementById('quality-slider'),
-    qualityValue: document.getElementById('quality-value')
+    qualityValue: document.getElementById('quality-value'),
+    imageOutputFormat: document.getElementById('image-output-format'),
+    imageBackgroundOptions: document.getElementById('image-background-options'),
+    imageBackground: document.getElementById('image-background'),
+    imageResizeMode: document.getElementById('image-resize-mode'),
+    imageFitOptions: document.getElementById('image-fit-options'),
+    imageMaxWidth: document.getElementById('image-max-width'),
+    imageMaxHeight: document.getElementById('image-max-height'),
+    imageScaleOptions: document.getElementById('image-scale-options'),
+    imageScale: document.getElementById('image-scale'),
+    imageScaleValue: document.getElementById('image-scale-value'),
+    sortHeaders: document.querySelectorAll('.file-list-header [data-sort]'),
+    fileSearch: document.getElementById('file-search'),
+    searchRegex: document.getElementById('search-regex'),
+    typeFilter: document.getElementById('type-filter'),
+    listSummary: document.getElementById('list-summary')
 };
 
 // 存储解压后的文件或待压缩的文件
 let extractedFiles = {};
 let currentFile = null;
+let lastErrorReport = ''; // 当前错误弹窗的诊断报告
+// 打开的压缩包层级：{ name, file, format, files, password, encryption, comment }，第一个为上传的压缩包，最后一个为当前显示的压缩包
+// password为解压时输入的密码，encryption为条目的加密方式，comment为ZIP注释，编辑后重新保存时沿用
+let archiveStack = [];
 let currentMode = 'compress'; // 当前模式：'extract'、'compress' 或 'image-compress'
+let previewState = null; // 当前预览：{ file, bytes, truncated, objectUrl }
+let compareState = null; // 当前图片对比：{ file, zoom, x, y, split, originalUrl, compressedUrl, version, timer, changed, lossless }
+let fileSortOrder = { key: 'name', descending: false }; // 文件列表排序：key为'name'、'size'、'type'或'date'
+let selectedEntries = new Set(); // 结果列表中勾选的条目（extractedFiles中的对象）
+let editMode = false; // 是否在编辑解压结果（可以删除、重命名、移动和添加条目后重新保存）
+const checkboxEntries = new WeakMap(); // 复选框 -> 它所代表的条目（文件夹为其下所有条目）
+const sniffedArchives = new WeakMap(); // 条目内容 -> 是否为压缩包的Promise（根据文件头魔数判断，避免重复读取）
+
+// 后台处理线程池：最多同时运行的Worker数量
+const WORKER_POOL_SIZE = Math.max(1, Math.min(navigator.hardwareConcurrency || 2, 4));
+const workerPool = {
+    workers: [], // { instance, job, ready }
+    queue: [], // 等待分配的任务
+    nextTaskId: 1,
+    disabled: typeof Worker === 'undefined'
+};
 
 /**
  * 初始化事件监听器
@@ -135,7 +229,7 @@ function initEventListeners() {
 
     // 点击拖放区域触发文件选择
     dropArea.addEventListener('click', (e) => {
-        if (e.target.tagName !== 'BUTTON' && !e.target.closest('button')) {
+        if (e.target.tagName !== 'BUTTON' && !e.target.closest('button, .compress-options')) {
             if (currentMode === 'extract') {
                 fileInput.click();
             }
@@ -145,7 +239,72 @@ function initEventListeners() {
 
     // 其他事件监听器
     downloadAllBtn.addEventListener('click', downloadAllFiles);
+    elements.extractFolderBtn.addEventListener('click', extractToFolder);
+    elements.testArchiveBtn.addEventListener('click', testCurrentArchive);
+    elements.editArchiveBtn.addEventListener('click', () => {
+        setEditMode(!editMode);
+        refreshFileList();
+    });
+    elements.editAddBtn.addEventListener('click', () => elements.editAddInput.click());
+    elements.editAddInput.addEventListener('change', (e) => {
+        if (e.target.files.length) {
+            addEntriesToArchive(Array.from(e.target.files, file => ({ file, path: file.name })), elements.editTargetFolder.value);
+        }
+        e.target.value = '';
+    });
+    elements.editSaveBtn.addEventListener('click', saveEditedArchive);
+    // 编辑时可以把文件拖到列表中
+    ['dragover', 'dragleave', 'drop'].forEach(eventName => {
+        elements.fileList.addEventListener(eventName, handleEditDragEvent);
+    });
+    elements.downloadSelectedBtn.addEventListener('click', downloadSelectedFiles);
+    elements.selectAllBtn.addEventListener('click', () => setAllSelected(true));
+    elements.selectNoneBtn.addEventListener('click', () => setAllSelected(false));
+    elements.selectPatternBtn.addEventListener('click', selectByPattern);
+    elements.selectPattern.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') selectByPattern();
+    });
     errorClose.addEventListener('click', () => elements.errorPopup.style.display = 'none');
+    elements.errorCopy.addEventListener('click', copyErrorReport);
+    elements.previewClose.addEventListener('click', closePreview);
+    elements.previewEncoding.addEventListener('change', (e) => renderTextPreview(e.target.value));
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && previewState) closePreview();
+        if (e.key === 'Escape' && compareState) closeCompare();
+    });
+    // 图片压缩前后对比
+    elements.compareClose.addEventListener('click', closeCompare);
+    elements.compareFit.addEventListener('click', fitCompare);
+    elements.compareActual.addEventListener('click', () => zoomCompare(1 / (window.devicePixelRatio || 1)));
+    elements.compareOriginal.addEventListener('load', fitCompare);
+    elements.compareCompressed.addEventListener('load', updateCompareNote);
+    elements.compareQuality.addEventListener('input', (e) => {
+        elements.compareQualityValue.textContent = e.target.value;
+        // 拖动滑块时不必每一步都压缩，停下后再压缩
+        clearTimeout(compareState.timer);
+        compareState.timer = setTimeout(recompressCompareImage, 300);
+    });
+    elements.compareBody.addEventListener('wheel', handleCompareWheel, { passive: false });
+    elements.compareBody.addEventListener('pointerdown', handleComparePointerDown);
+    elements.compareBody.addEventListener('dblclick', handleCompareDoubleClick);
+    elements.compareDivider.addEventListener('keydown', (e) => {
+        const step = { ArrowLeft: -0.05, ArrowRight: 0.05 }[e.key];
+        if (!step) return;
+        e.preventDefault();
+        compareState.split = Math.min(Math.max(compareState.split + step, 0), 1);
+        renderCompare();
+    });
+    // 密码加密只适用于ZIP格式
+    elements.compressFormat.addEventListener('change', (e) => {
+        elements.zipOptions.hidden = e.target.value !== 'zip';
+    });
+    elements.sortHeaders.forEach(header => {
+        header.addEventListener('click', () => sortFileList(header.dataset.sort));
+    });
+    // 搜索和类型筛选
+    elements.fileSearch.addEventListener('input', displayFiles);
+    elements.searchRegex.addEventListener('change', displayFiles);
+    elements.typeFilter.addEventListener('change', displayFiles);
     compressBtn?.addEventListener('click', () => switchMode('compress'));
     extractBtn?.addEventListener('click', () => switchMode('extract'));
     imageCompressBtn?.addEventListener('click', () => switchMode('image-compress'));
@@ -160,6 +319,30 @@ function initEventListeners() {
     qualitySlider?.addEventListener('input', (e) => {
         qualityValue.textContent = e.target.value;
     });
+    // 只有JPEG不支持透明，需要背景色
+    elements.imageOutputFormat.addEventListener('change', (e) => {
+        elements.imageBackgroundOptions.hidden = e.target.value !== 'image/jpeg';
+    });
+    elements.imageResizeMode.addEventListener('change', (e) => {
+        elements.imageFitOptions.hidden = e.target.value !== 'fit';
+        elements.imageScaleOptions.hidden = e.target.value !== 'scale';
+    });
+    elements.imageScale.addEventListener('input', (e) => {
+        elements.imageScaleValue.textContent = e.target.value;
+    });
+    // 浏览器不能编码的输出格式不可选（如大多数浏览器不支持输出AVIF）
+    elements.imageOutputFormat.querySelectorAll('option[value^="image/"]').forEach(option => {
+        if (!canEncodeImage(option.value)) {
+            option.disabled = true;
+            option.textContent += '（浏览器不支持）';
+        }
+    });
+    elements.fixedTimeEnabled.addEventListener('change', (e) => {
+        elements.fixedTime.hidden = !e.target.checked;
+    });
+    elements.zipLevel.addEventListener('input', (e) => {
+        elements.zipLevelValue.textContent = e.target.value === '0' ? '0（只存储）' : e.target.value;
+    });
 }
 
 /**
@@ -177,12 +360,15 @@ function handleDragEvent(e) {
         dropArea.classList.remove('drag-over');
     } else if (e.type === 'drop') {
         dropArea.classList.remove('drag-over');
+        // 压缩时可以拖入文件夹，需要遍历目录
+        if (currentMode === 'compress') {
+            handleCompressDrop(e.dataTransfer);
+            return;
+        }
         const files = e.dataTransfer.files;
         if (files.length) {
             if (currentMode === 'extract') {
                 handleFiles(files);
-            } else if (currentMode === 'compress') {
-                handleCompressFiles(files);
             } else if (currentMode === 'image-compress') {
                 handleImageCompressFiles(files);
             }
@@ -190,6 +376,92 @@ function handleDragEvent(e) {
     }
 }
 
+/**
+ * 取出拖入的文件和文件夹的条目
+ * 必须在drop事件中同步调用，事件结束后dataTransfer就被清空了
+ * @param {DataTransfer} dataTransfer - 拖放数据
+ * @returns {Array<FileSystemEntry>} 顶层条目，浏览器不支持webkitGetAsEntry时为空数组
+ */
+function getDroppedRoots(dataTransfer) {
+    return Array.from(dataTransfer.items || [], item =>
+        item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null
+    ).filter(Boolean);
+}
+
+/**
+ * 递归读取拖入的文件和文件夹，保留相对路径
+ * @param {Array<FileSystemEntry>} roots - getDroppedRoots取出的顶层条目
+ * @param {Function} [isExcluded] - 路径过滤函数（见createExcludeFilter），排除的文件夹不再遍历
+ * @returns {Promise<Array<Object>>} 条目列表：文件为{ file, path }，空文件夹为{ path, dir: true }（路径以/结尾）
+ */
+async function readDroppedEntries(roots, isExcluded = () => false) {
+    const entries = [];
+    const walk = async (entry, path) => {
+        if (isExcluded(entry.isDirectory ? path + '/' : path)) return;
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            entries.push({ file, path });
+            return;
+        }
+        
+        const children = await readDirectoryEntries(entry);
+        // 非空文件夹的目录条目在打包时自动补上，只需要记录空文件夹
+        if (children.length === 0) {
+            entries.push({ path: path + '/', dir: true });
+        }
+        for (const child of children) {
+            await walk(child, `${path}/${child.name}`);
+        }
+    };
+    
+    for (const root of roots) {
+        await walk(root, root.name);
+    }
+    return entries;
+}
+
+/**
+ * 读取文件夹中的所有条目（readEntries每次只返回一部分，需要读到返回空数组为止）
+ * @param {FileSystemDirectoryEntry} directory - 文件夹条目
+ * @returns {Promise<Array<FileSystemEntry>>} 子条目
+ */
+function readDirectoryEntries(directory) {
+    const reader = directory.createReader();
+    const children = [];
+    return new Promise((resolve, reject) => {
+        const readBatch = () => reader.readEntries(batch => {
+            if (batch.length === 0) {
+                resolve(children);
+                return;
+            }
+            children.push(...batch);
+            readBatch();
+        }, reject);
+        readBatch();
+    });
+}
+
+/**
+ * 处理拖入压缩区域的文件和文件夹
+ * @param {DataTransfer} dataTransfer - 拖放数据
+ */
+async function handleCompressDrop(dataTransfer) {
+    const roots = getDroppedRoots(dataTransfer);
+    // 不支持遍历目录的浏览器只能拿到文件
+    if (roots.length === 0) {
+        if (dataTransfer.files.length) handleCompressFiles(dataTransfer.files);
+        return;
+    }
+    
+    try {
+        const isExcluded = createExcludeFilter(parseListInput(elements.excludePatterns.value));
+        handleCompressEntries(await readDroppedEntries(roots, isExcluded));
+    } catch (error) {
+        console.error('读取拖入的文件夹失败:', error);
+        showError('读取拖入的文件夹失败: ' + error.message, error);
+    }
+}
+
 /**
  * 切换工具模式
  * @param {string} mode - 模式：'compress'、'extract' 或 'image-compress'
@@ -197,7 +469,7 @@ function handleDragEvent(e) {
 function switchMode(mode) {
     currentMode = mode;
     const { compressBtn, extractBtn, imageCompressBtn, uploadTitle, uploadDescription, uploadButtons, 
-            compressButtons, imageCompressButtons, extractIcon, compressIcon, imageCompressIcon, fileInput } = elements;
+            compressButtons, imageCompressButtons, extractIcon, compressIcon, imageCompressIcon } = elements;
     
     // 更新按钮状态
     compressBtn?.classList.toggle('active', mode === 'compress');
@@ -207,24 +479,22 @@ function switchMode(mode) {
     // 更新界面显示
     if (mode === 'compress') {
         uploadTitle.textContent = '选择文件进行压缩';
-        uploadDescription.innerHTML = '拖拽文件到此处上传<br>(支持多种文件格式，最大500MB)';
+        uploadDescription.innerHTML = '拖拽文件或文件夹到此处上传<br>(可同时拖入多个，保留文件夹结构，最大500MB)';
         uploadButtons.style.display = 'none';
         compressButtons.style.display = 'flex';
         imageCompressButtons.style.display = 'none';
         extractIcon.style.display = 'none';
         compressIcon.style.display = 'block';
         imageCompressIcon.style.display = 'none';
-        fileInput.accept = '';
     } else if (mode === 'extract') {
         uploadTitle.textContent = '选择压缩文件进行解压';
-        uploadDescription.innerHTML = '拖拽压缩文件到此处上传<br>(支持ZIP、GZ、TAR格式，最大500MB)';
+        uploadDescription.innerHTML = '拖拽压缩文件到此处上传<br>(支持ZIP、7Z、TAR、GZ、BZ2、XZ、ZST及TAR.GZ、TAR.BZ2、TAR.XZ、TAR.ZST格式，大文件流式解压，不限大小)';
         uploadButtons.style.display = 'flex';
         compressButtons.style.display = 'none';
         imageCompressButtons.style.display = 'none';
         extractIcon.style.display = 'block';
         compressIcon.style.display = 'none';
         imageCompressIcon.style.display = 'none';
-        fileInput.accept = '.zip,.gz,.tar';
     } else if (mode === 'image-compress') {
         uploadTitle.textContent = '选择图片进行压缩';
         uploadDescription.innerHTML = '拖拽图片到此处上传<br>(支持JPG、PNG、WebP格式，最大500MB)';
@@ -234,7 +504,6 @@ function switchMode(mode) {
         extractIcon.style.display = 'none';
         compressIcon.style.display = 'none';
         imageCompressIcon.style.display = 'block';
-        fileInput.accept = '';
     }
     
     resetInterface();
@@ -304,6 +573,61 @@ function handleImageCompressFiles(files) {
     compressImages(validFiles);
 }
 
+/**
+ * 检测浏览器能否把画布编码为指定的图片格式（不支持时会输出PNG）
+ * @param {string} type - MIME类型
+ * @returns {boolean} 是否支持
+ */
+function canEncodeImage(type) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    return canvas.toDataURL(type).startsWith(`data:${type}`);
+}
+
+/**
+ * 读取图片的尺寸和输出格式选项（见processing.js中的compressImage）
+ * @returns {{maxWidth: number|null, maxHeight: number|null, scale: number|null, format: string, background: string}}
+ */
+function getImageOptions() {
+    const { imageResizeMode, imageMaxWidth, imageMaxHeight, imageScale, imageOutputFormat, imageBackground } = elements;
+    const mode = imageResizeMode.value;
+    // 留空或不是正数时不限制
+    const toPixels = (value) => parseInt(value) > 0 ? parseInt(value) : null;
+    return {
+        maxWidth: mode === 'fit' ? toPixels(imageMaxWidth.value) : null,
+        maxHeight: mode === 'fit' ? toPixels(imageMaxHeight.value) : null,
+        scale: mode === 'scale' ? parseInt(imageScale.value) / 100 : null,
+        format: imageOutputFormat.value,
+        background: imageBackground.value
+    };
+}
+
+/**
+ * 压缩一张图片
+ * 不支持OffscreenCanvas时Worker中无法绘图，只能在主线程处理
+ * @param {File} file - 图片文件
+ * @param {number} quality - 压缩质量 (0-1)
+ * @param {Object} options - 尺寸和输出格式选项（见getImageOptions）
+ * @returns {Promise<Blob>} 压缩后的图片
+ */
+function runImageTask(file, quality, options) {
+    return runTask('compress-image', { file, quality, options }, { inMainThread: typeof OffscreenCanvas === 'undefined' });
+}
+
+/**
+ * 根据图片压缩结果更新文件信息（图片数、总压缩率和总大小）
+ */
+function updateImageCompressInfo() {
+    const files = Object.values(extractedFiles);
+    const totalOriginalSize = files.reduce((sum, file) => sum + file.originalSize, 0);
+    const totalCompressedSize = files.reduce((sum, file) => sum + file.size, 0);
+    const overallCompressionRatio = ((totalOriginalSize - totalCompressedSize) / totalOriginalSize * 100).toFixed(1);
+    
+    elements.fileName.textContent = `${files.length}个图片文件 (压缩率: ${overallCompressionRatio}%)`;
+    elements.fileSize.textContent = `${formatFileSize(totalCompressedSize)} (原始: ${formatFileSize(totalOriginalSize)})`;
+    elements.fileFormat.textContent = '';
+}
+
 /**
  * 压缩图片文件
  * @param {Array} files - 要压缩的图片文件数组
@@ -311,204 +635,210 @@ function handleImageCompressFiles(files) {
 async function compressImages(files) {
     try {
         const quality = parseInt(elements.qualitySlider.value) / 100;
+        const options = getImageOptions();
         const totalFiles = files.length;
         let processedFiles = 0;
-        extractedFiles = {};
         
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            
-            // 压缩图片
-            const compressedBlob = await compressImage(file, quality);
+        // 图片互不依赖，交给后台线程池并行压缩，个别图片失败不影响其他图片
+        const results = await Promise.allSettled(files.map(async file => {
+            try {
+                return await runImageTask(file, quality, options);
+            } finally {
+                processedFiles++;
+                updateProgress(Math.floor((processedFiles / totalFiles) * 100));
+            }
+        }));
+        
+        const failures = [];
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') return;
+            const { code, message } = toArchiveError(result.reason);
+            failures.push({ path: files[i].name, code, message });
+        });
+        if (failures.length === totalFiles) throw results[0].reason;
+        
+        extractedFiles = {};
+        const compressedFiles = files.filter((file, i) => results[i].status === 'fulfilled');
+        compressedFiles.forEach(file => {
+            const compressedBlob = results[files.indexOf(file)].value;
             
             // 生成压缩后的文件名
             const originalName = file.name;
             const nameWithoutExt = originalName.substring(0, originalName.lastIndexOf('.'));
-            const ext = originalName.substring(originalName.lastIndexOf('.'));
+            const ext = options.format === 'keep' ?
+                originalName.substring(originalName.lastIndexOf('.')) :
+                IMAGE_EXTENSIONS[compressedBlob.type];
             const compressedName = `${nameWithoutExt}(yasuo.zip)${ext}`;
             
-            // 存储压缩后的文件
+            // 存储压缩后的文件，保留原图和压缩参数用于对比和重新压缩
             extractedFiles[compressedName] = {
                 name: compressedName,
                 path: compressedName,
                 size: compressedBlob.size,
                 type: compressedBlob.type,
                 content: compressedBlob,
+                original: file,
+                quality,
+                options,
                 originalSize: file.size,
                 compressionRatio: ((file.size - compressedBlob.size) / file.size * 100).toFixed(1)
             };
-            
-            // 更新进度
-            processedFiles++;
-            updateProgress(Math.floor((processedFiles / totalFiles) * 100));
-        }
-        
-        // 计算总体压缩信息
-        const totalOriginalSize = files.reduce((sum, file) => sum + file.size, 0);
-        const totalCompressedSize = Object.values(extractedFiles).reduce((sum, file) => sum + file.size, 0);
-        const overallCompressionRatio = ((totalOriginalSize - totalCompressedSize) / totalOriginalSize * 100).toFixed(1);
-        
-        // 更新文件信息
-        elements.fileName.textContent = `${files.length}个图片文件 (压缩率: ${overallCompressionRatio}%)`;
-        elements.fileSize.textContent = `${formatFileSize(totalCompressedSize)} (原始: ${formatFileSize(totalOriginalSize)})`;
+        });
         
+        updateImageCompressInfo();
         showResults('图片压缩结果');
         
+        if (failures.length) {
+            showError(`${failures.length}张图片压缩失败，其余图片已完成`,
+                Object.assign(createArchiveError('PARTIAL_FAILURE', `${failures.length}张图片压缩失败`), { failures }));
+        }
+        
     } catch (error) {
         console.error('图片压缩失败:', error);
-        showError('图片压缩失败: ' + error.message);
+        showError('图片压缩失败: ' + error.message, error);
         resetInterface();
     }
 }
 
 /**
- * 压缩单个图片
- * @param {File} file - 要压缩的图片文件
- * @param {number} quality - 压缩质量 (0-1)
- * @returns {Promise<Blob>} 压缩后的图片Blob
+ * 处理选择的要压缩的文件（选择文件夹时保留相对路径）
+ * @param {FileList} files - 要压缩的文件列表
  */
-function compressImage(file, quality) {
-    return new Promise((resolve, reject) => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const img = new Image();
-        
-        img.onload = function() {
-            // 设置画布尺寸
-            canvas.width = img.width;
-            canvas.height = img.height;
-            
-            // 绘制图片到画布
-            ctx.drawImage(img, 0, 0);
-            
-            // 根据原始格式选择输出格式
-            let outputFormat = 'image/jpeg';
-            if (file.type === 'image/png') {
-                outputFormat = 'image/png';
-            } else if (file.type === 'image/webp') {
-                outputFormat = 'image/webp';
-            }
-            
-            // 转换为Blob
-            canvas.toBlob((blob) => {
-                if (blob) {
-                    resolve(blob);
-                } else {
-                    reject(new Error('图片压缩失败'));
-                }
-            }, outputFormat, quality);
-        };
-        
-        img.onerror = () => reject(new Error('图片加载失败'));
-        img.src = URL.createObjectURL(file);
-    });
+function handleCompressFiles(files) {
+    handleCompressEntries(Array.from(files, file => ({ file, path: file.webkitRelativePath || file.name })));
 }
 
 /**
- * 处理要压缩的文件
- * @param {FileList} files - 要压缩的文件列表
+ * 检查要压缩的条目并开始压缩
+ * @param {Array<Object>} entries - 文件为{ file, path }，空文件夹为{ path, dir: true }
  */
-function handleCompressFiles(files) {
+function handleCompressEntries(entries) {
+    // 先去掉排除的文件，排除node_modules等大文件夹后可能就不超过大小限制了
+    const isExcluded = createExcludeFilter(parseListInput(elements.excludePatterns.value));
+    entries = entries.filter(entry => !isExcluded(entry.path));
+    if (entries.length === 0) {
+        showError('没有要压缩的文件（所有文件都被排除规则排除了，或拖入的是空文件夹），请检查"排除的文件"');
+        return;
+    }
+    
     // 验证文件总大小
-    const totalSize = Array.from(files).reduce((sum, file) => sum + file.size, 0);
+    const totalSize = entries.reduce((sum, entry) => sum + (entry.file ? entry.file.size : 0), 0);
     
     if (totalSize > MAX_FILE_SIZE) {
         showError(`文件总大小超过限制（${formatFileSize(MAX_FILE_SIZE)}）`);
         return;
     }
     
+    // GZ没有归档结构，只能压缩单个文件
+    if (elements.compressFormat.value === 'gz' && (entries.length !== 1 || entries[0].path.includes('/'))) {
+        showError('GZ格式只能压缩单个文件\n压缩多个文件或文件夹请选择TAR.GZ格式');
+        return;
+    }
+    
+    if (elements.fixedTimeEnabled.checked && Number.isNaN(getFixedTime())) {
+        showError('请填写统一的修改时间');
+        return;
+    }
+    
     showProcessingUI('正在压缩中...');
-    compressFiles(files);
+    compressFiles(entries);
 }
 
 /**
- * 压缩文件为ZIP
- * @param {FileList} files - 要压缩的文件列表
+ * 获取统一的修改时间（按本地时间解读输入）
+ * @returns {number|null} 毫秒时间戳，没有勾选时为null，填写的时间无效时为NaN
+ */
+function getFixedTime() {
+    const { fixedTimeEnabled, fixedTime } = elements;
+    return fixedTimeEnabled.checked ? new Date(fixedTime.value).getTime() : null;
+}
+
+/**
+ * 解析用逗号或换行分隔的列表输入（排除规则、扩展名等）
+ * @param {string} value - 输入内容
+ * @returns {Array<string>} 去掉空白后的非空项
+ */
+function parseListInput(value) {
+    return value.split(/[,，\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 按选择的格式压缩文件
+ * @param {Array<Object>} files - 要压缩的条目（见handleCompressEntries）
  */
 async function compressFiles(files) {
     try {
-        const zip = new JSZip();
-        const totalFiles = files.length;
-        let processedFiles = 0;
-        
-        // 添加文件到ZIP
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            
-            // 处理文件路径，保持文件夹结构
-            let filePath = file.webkitRelativePath || file.name;
-            
-            // 读取文件内容
-            const fileContent = await readFileAsArrayBuffer(file);
-            
-            // 添加到ZIP
-            zip.file(filePath, fileContent);
-            
-            // 更新进度
-            processedFiles++;
-            updateProgress(Math.floor((processedFiles / totalFiles) * 100));
-        }
+        // 保持文件夹结构和修改时间
+        const entries = files.map(entry => ({ ...entry, lastModified: entry.file ? entry.file.lastModified : undefined }));
+        const format = elements.compressFormat.value;
         
-        // 添加说明文本文件
-        const readmeContent = '本压缩包由【在线解压缩工具yasuo.zip】在线压缩，感谢您的使用！';
-        zip.file('在线解压缩工具(yasuo.zip).txt', readmeContent);
+        // 只有ZIP支持密码，填写了密码时生成加密ZIP
+        const password = format === 'zip' ? elements.zipPassword.value : '';
+        const encryption = password ? ZIP_ENCRYPTION_METHODS[elements.zipEncryption.value] : null;
         
-        // 生成ZIP文件
-        const zipBlob = await zip.generateAsync({ 
-            type: 'blob',
-            compression: 'DEFLATE',
-            compressionOptions: {
-                level: 6
+        const archiveBlob = await runTask('compress', {
+            entries,
+            options: {
+                format,
+                password,
+                encryption: elements.zipEncryption.value,
+                level: parseInt(elements.zipLevel.value),
+                storeExtensions: parseListInput(elements.zipStoreExtensions.value).map(extension => extension.replace(/^\*?\./, '')),
+                comment: elements.zipComment.value,
+                readme: elements.zipReadme.checked,
+                fixedTime: getFixedTime()
             }
-        });
+        }, { onProgress: updateProgress });
         
         // 创建压缩结果
-        let zipName;
-        if (files.length === 1 && !files[0].webkitRelativePath) {
+        let archiveName;
+        const customName = elements.archiveName.value.trim().replace(/[\\/:*?"<>|]/g, '_');
+        if (customName) {
+            // 没有写扩展名时补上（.tgz等别名也算写了扩展名），只写了.tar时补上压缩扩展名
+            const nameFormat = getArchiveFormat(customName);
+            if (nameFormat === format) {
+                archiveName = customName;
+            } else if (nameFormat === 'tar' && format.startsWith('tar.')) {
+                archiveName = customName + format.slice('tar'.length);
+            } else {
+                archiveName = `${customName}.${format}`;
+            }
+        } else if (format === 'gz') {
+            // GZ保留原文件名
+            archiveName = files[0].path + '.gz';
+        } else if (files.length === 1 && !files[0].path.includes('/')) {
             // 单个文件
-            zipName = files[0].name.replace(/\.[^/.]+$/, '') + '.zip';
+            archiveName = files[0].path.replace(/\.[^/.]+$/, '') + '.' + format;
         } else {
             // 文件夹压缩或多个文件
-            zipName = 'yasuo.zip';
+            archiveName = 'yasuo.' + format;
         }
             
         extractedFiles = {
-            [zipName]: {
-                name: zipName,
-                path: zipName,
-                size: zipBlob.size,
-                type: 'application/zip',
-                content: zipBlob
+            [archiveName]: {
+                name: archiveName,
+                path: archiveName,
+                size: archiveBlob.size,
+                type: archiveBlob.type,
+                content: archiveBlob,
+                encryption: encryption ? encryption.label : null
             }
         };
         
         // 更新文件信息
-        elements.fileName.textContent = zipName;
-        elements.fileSize.textContent = formatFileSize(zipBlob.size);
+        elements.fileName.textContent = archiveName;
+        elements.fileSize.textContent = formatFileSize(archiveBlob.size);
+        elements.fileFormat.textContent = encryption ? `${encryption.label}加密` : getFormatLabel(format);
         
         showResults('压缩结果');
         
     } catch (error) {
         console.error('压缩失败:', error);
-        showError('压缩失败: ' + error.message);
+        showError('压缩失败: ' + error.message, error);
         resetInterface();
     }
 }
 
-/**
- * 读取文件为ArrayBuffer
- * @param {File} file - 要读取的文件
- * @returns {Promise<ArrayBuffer>} 文件内容
- */
-function readFileAsArrayBuffer(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsArrayBuffer(file);
-    });
-}
-
 /**
  * 文件选择处理函数
  */
@@ -541,7 +871,20 @@ function showResults(title) {
     const resultHeader = document.querySelector('.result-header h2');
     if (resultHeader) resultHeader.textContent = title;
     
+    // 新的结果清空上一次的选择和筛选条件，退出编辑模式
+    selectedEntries.clear();
+    elements.fileSearch.value = '';
+    elements.typeFilter.value = '';
+    setEditMode(false);
     displayFiles();
+    
+    // 完整性测试只支持ZIP，编辑和解压到文件夹只用于解压结果
+    const currentArchive = archiveStack[archiveStack.length - 1];
+    elements.testArchiveBtn.hidden = !currentArchive || currentArchive.format !== 'zip';
+    elements.editArchiveBtn.hidden = !currentArchive;
+    elements.extractFolderBtn.hidden = !currentArchive;
+    elements.extractFolderStatus.textContent = '';
+    elements.testReport.hidden = true;
     processingSection.style.display = 'none';
     resultSection.style.display = 'block';
 }
@@ -550,319 +893,1663 @@ function showResults(title) {
  * 处理上传的文件
  * @param {FileList} files - 用户选择的文件列表
  */
-function handleFiles(files) {
+async function handleFiles(files) {
     const file = files[0];
     
-    // 验证文件大小和类型
-    if (file.size > MAX_FILE_SIZE) {
-        showError(`文件大小超过限制（${formatFileSize(MAX_FILE_SIZE)}）`);
+    // 解压为流式处理，不受MAX_FILE_SIZE限制
+    // 根据文件内容检测格式，扩展名仅作为后备
+    let format;
+    try {
+        format = await detectArchiveFormat(file);
+    } catch (error) {
+        console.error('格式检测失败:', error);
+        showError('读取文件失败: ' + error.message, error);
         return;
     }
     
-    const fileExt = '.' + file.name.split('.').pop().toLowerCase();
-    const supportedFormats = ['.zip', '.gz', '.tar'];
-    
-    if (!supportedFormats.includes(fileExt)) {
-        showError('目前支持的格式：ZIP、GZ、TAR\n(RAR、7Z等格式由于浏览器限制暂不支持)');
+    if (!format) {
+        showError('无法识别的压缩格式\n目前支持的格式：ZIP、7Z、TAR，以及GZ、BZ2、XZ、ZST压缩的单个文件或TAR归档(TGZ、TBZ2、TXZ、TZST)\n(RAR等格式由于浏览器限制暂不支持)');
         return;
     }
     
-    // 保存当前文件信息
+    archiveStack = [];
+    setCurrentArchive(file, format);
+    showProcessingUI(`正在解压中...（检测到${getFormatLabel(format)}格式）`);
+    extractArchive(file, format, file.name);
+}
+
+/**
+ * 保存并显示当前压缩包的信息
+ * @param {File} file - 压缩文件
+ * @param {string} format - 格式
+ */
+function setCurrentArchive(file, format) {
     currentFile = file;
     elements.fileName.textContent = file.name;
     elements.fileSize.textContent = formatFileSize(file.size);
-    
-    showProcessingUI('正在解压中...');
-    extractArchive(file);
+    elements.fileFormat.textContent = getFormatLabel(format);
 }
 
 /**
- * 解压文件
+ * 解压文件，成功后作为新的一层加入archiveStack
  * @param {File} file - 要解压的文件
+ * @param {string} format - 由detectArchiveFormat检测到的格式
+ * @param {string} name - 在层级导航中显示的名称
  */
-async function extractArchive(file) {
+async function extractArchive(file, format, name) {
     try {
-        extractedFiles = {}; // 重置已提取文件
-        
-        // 获取文件扩展名
-        const fileExtension = file.name.split('.').pop().toLowerCase();
+        const recovery = elements.zipRecovery.value;
+        let password = null;
+        const files = await runTask('extract', { file, format, recovery }, {
+            onProgress: updateProgress,
+            // 密码错误时会重新询问，最后一次输入的就是正确的密码
+            requestPassword: async (message) => (password = await requestPassword(message))
+        });
+        const encryptions = Object.values(files).map(entry => entry.encryption).filter(Boolean);
+        archiveStack.push({
+            name,
+            file,
+            format,
+            files,
+            password,
+            encryption: encryptions.includes('aes256') ? 'aes256' : encryptions[0] || null,
+            comment: format === 'zip' ? await readZipComment(file).catch(() => '') : ''
+        });
+        showArchiveLevel(archiveStack.length - 1);
         
-        // 根据文件格式选择解压方法
-        switch (fileExtension) {
-            case 'zip':
-                await extractZip(file);
-                break;
-            case 'gz':
-                await extractGzip(file);
-                break;
-            case 'tar':
-                await extractTar(file);
-                break;
-            default:
-                throw new Error('不支持的文件格式');
+        // 跳过或只恢复了部分内容的文件
+        const failures = Object.values(files).filter(entry => entry.damaged)
+            .map(entry => ({ path: entry.path, ...entry.damaged }));
+        if (failures.length) {
+            showError(`解压完成，但有${failures.length}个文件已损坏`,
+                Object.assign(createArchiveError('PARTIAL_FAILURE', `${failures.length}个文件已损坏`), { failures }));
         }
         
-        showResults('解压结果');
-        
     } catch (error) {
         console.error('解压失败:', error);
-        showError('解压失败: ' + error.message);
-        resetInterface();
+        // 处理错误的信息已经以"ZIP解压失败"等开头
+        showError(error.message, error);
+        // 嵌套的压缩包解压失败时回到外层压缩包的结果
+        if (archiveStack.length) {
+            showArchiveLevel(archiveStack.length - 1);
+        } else {
+            resetInterface();
+        }
     }
 }
 
 /**
- * 使用JSZip解压ZIP文件
- * @param {File} file - 要解压的ZIP文件
+ * 打开解压结果中的压缩包（在内存中解压，不需要先下载再上传）
+ * @param {Object} entry - 解压结果中的文件对象
  */
-async function extractZip(file) {
+async function openNestedArchive(entry) {
+    const file = new File([entry.content], entry.name, { lastModified: entry.lastModified ?? Date.now() });
+    
+    let format;
     try {
-        const zip = new JSZip();
-        
-        // 读取zip文件，使用智能编码检测
-        const zipData = await zip.loadAsync(file, {
-            decodeFileName: smartDecodeFileName
-        });
-        
-        const totalFiles = Object.keys(zipData.files).length;
-        let processedFiles = 0;
-        
-        // 遍历所有文件
-        for (const [path, zipEntry] of Object.entries(zipData.files)) {
-            // 跳过目录
-            if (zipEntry.dir) {
-                processedFiles++;
-                updateProgress(Math.floor((processedFiles / totalFiles) * 100));
-                continue;
-            }
-            
-            // 获取文件内容
-            const content = await zipEntry.async('blob');
-            
-            // 存储提取的文件
-            extractedFiles[path] = {
-                name: path.split('/').pop(),
-                path: path,
-                size: content.size,
-                type: content.type || getMimeType(path),
-                content: content
-            };
-            
-            // 更新进度
-            processedFiles++;
-            updateProgress(Math.floor((processedFiles / totalFiles) * 100));
-        }
+        format = await detectArchiveFormat(file);
     } catch (error) {
-        console.error('ZIP解压失败:', error);
-        throw new Error('ZIP解压失败');
+        console.error('格式检测失败:', error);
+        showError('读取文件失败: ' + error.message, error);
+        return;
+    }
+    if (!format) {
+        showError('无法识别的压缩格式: ' + entry.name);
+        return;
     }
+    
+    setCurrentArchive(file, format);
+    showProcessingUI(`正在解压${entry.name}...（检测到${getFormatLabel(format)}格式）`);
+    extractArchive(file, format, entry.path);
+}
+
+/**
+ * 显示archiveStack中的某一层，并关闭更深的层级
+ * @param {number} index - 层级序号
+ */
+function showArchiveLevel(index) {
+    archiveStack.length = index + 1;
+    const { file, format, files } = archiveStack[index];
+    extractedFiles = files;
+    setCurrentArchive(file, format);
+    renderArchiveBreadcrumb();
+    showResults('解压结果');
 }
 
 /**
- * 使用pako解压GZIP文件
- * @param {File} file - 要解压的GZIP文件
+ * 测试当前ZIP文件的完整性，在文件列表上方显示每个条目的校验结果
  */
-async function extractGzip(file) {
+async function testCurrentArchive() {
+    const { processingSection, resultSection, testReport } = elements;
+    showProcessingUI(`正在测试${currentFile.name}...`);
+    
     try {
-        // 检查pako是否可用
-        if (typeof pako === 'undefined') {
-            throw new Error('GZIP解压库未加载，请刷新页面重试');
-        }
-        
-        const arrayBuffer = await file.arrayBuffer();
-        const compressed = new Uint8Array(arrayBuffer);
-        
-        // 使用pako解压GZIP
-        const decompressed = pako.ungzip(compressed);
-        
-        // 获取原始文件名（去掉.gz扩展名）
-        let originalName = file.name;
-        if (originalName.toLowerCase().endsWith('.gz')) {
-            originalName = originalName.slice(0, -3);
-        }
-        
-        const blob = new Blob([decompressed]);
-        
-        extractedFiles[originalName] = {
-            name: originalName,
-            path: originalName,
-            size: blob.size,
-            type: getMimeType(originalName),
-            content: blob
-        };
-        
-        updateProgress(100);
-        
+        const report = await runTask('test', { file: currentFile }, { onProgress: updateProgress });
+        renderTestReport(report);
     } catch (error) {
-        console.error('GZIP解压失败:', error);
-        throw new Error('GZIP解压失败，可能是文件损坏或格式不支持');
+        console.error('测试失败:', error);
+        showError('测试失败: ' + error.message, error);
+        testReport.hidden = true;
     }
+    processingSection.style.display = 'none';
+    resultSection.style.display = 'block';
 }
 
 /**
- * 解压TAR文件（未压缩的TAR格式）
- * @param {File} file - 要解压的TAR文件
+ * 渲染完整性测试结果
+ * @param {Object} report - testZip的结果（rebuilt、entries）
  */
-async function extractTar(file) {
-    try {
-        const arrayBuffer = await file.arrayBuffer();
-        const view = new DataView(arrayBuffer);
-        let offset = 0;
-        let processedFiles = 0;
-        const fileCount = Math.floor(arrayBuffer.byteLength / 512); // 估算文件数量
-        
-        // TAR文件格式解析
-        while (offset < arrayBuffer.byteLength - 512) {
-            // 检查是否到达文件末尾（连续的零字节）
-            let isEnd = true;
-            for (let i = 0; i < 512 && offset + i < arrayBuffer.byteLength; i++) {
-                if (view.getUint8(offset + i) !== 0) {
-                    isEnd = false;
-                    break;
-                }
-            }
-            if (isEnd) break;
-            
-            // 读取文件名（前100字节）- 使用智能编码检测
-            const fileNameBytes = new Uint8Array(100);
-            let fileNameLength = 0;
-            for (let i = 0; i < 100; i++) {
-                const byte = view.getUint8(offset + i);
-                if (byte === 0) break;
-                fileNameBytes[i] = byte;
-                fileNameLength++;
-            }
-            
-            // 使用智能编码检测解码文件名
-            const fileName = smartDecodeFileName(fileNameBytes.slice(0, fileNameLength));
-            
-            if (!fileName) break;
-            
-            // 读取文件大小（124-135字节，八进制）
-            let sizeStr = '';
-            for (let i = 124; i < 136; i++) {
-                const byte = view.getUint8(offset + i);
-                if (byte === 0 || byte === 32) break; // 空格或null结束
-                sizeStr += String.fromCharCode(byte);
-            }
-            
-            const fileSize = parseInt(sizeStr.trim(), 8) || 0;
-            
-            // 读取文件类型（156字节）
-            const fileType = view.getUint8(offset + 156);
-            
-            // 跳过头部（512字节）
-            offset += 512;
-            
-            // 如果是普通文件且有内容
-            if (fileSize > 0 && !fileName.endsWith('/') && (fileType === 0 || fileType === 48)) {
-                // 读取文件内容
-                const fileData = new Uint8Array(arrayBuffer.slice(offset, offset + fileSize));
-                const blob = new Blob([fileData]);
-                
-                extractedFiles[fileName] = {
-                    name: fileName.split('/').pop(),
-                    path: fileName,
-                    size: blob.size,
-                    type: getMimeType(fileName),
-                    content: blob
-                };
-                
-                processedFiles++;
-                updateProgress(Math.floor((processedFiles / Math.max(fileCount / 10, 1)) * 100));
-            }
-            
-            // 移动到下一个文件（文件大小向上舍入到512的倍数）
-            offset += Math.ceil(fileSize / 512) * 512;
-        }
-        
-        if (Object.keys(extractedFiles).length === 0) {
-            throw new Error('未找到有效的文件');
-        }
-        
-    } catch (error) {
-        console.error('TAR解压失败:', error);
-        throw new Error('TAR解压失败，可能是文件损坏或格式不支持');
-    }
-}
-
-/**
- * 根据文件路径获取MIME类型
- * @param {string} path - 文件路径
- * @returns {string} MIME类型
- */
-function getMimeType(path) {
-    const extension = path.split('.').pop().toLowerCase();
-    const mimeTypes = {
-        'jpg': 'image/jpeg',
-        'jpeg': 'image/jpeg',
-        'png': 'image/png',
-        'gif': 'image/gif',
-        'pdf': 'application/pdf',
-        'txt': 'text/plain',
-        'html': 'text/html',
-        'htm': 'text/html',
-        'doc': 'application/msword',
-        'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'xls': 'application/vnd.ms-excel',
-        'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'ppt': 'application/vnd.ms-powerpoint',
-        'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-        'mp3': 'audio/mpeg',
-        'mp4': 'video/mp4',
-        'zip': 'application/zip',
-        'tar': 'application/x-tar',
-        'gz': 'application/gzip'
-    };
+function renderTestReport({ rebuilt, entries }) {
+    const { testReport } = elements;
+    const statusLabels = { ok: '通过', failed: '失败', skipped: '未测试' };
+    const counts = { ok: 0, failed: 0, skipped: 0 };
+    entries.forEach(entry => counts[entry.status]++);
     
-    return mimeTypes[extension] || 'application/octet-stream';
+    const rows = entries.map(entry => `
+            <tr class="test-${entry.status}">
+                <td>${statusLabels[entry.status]}</td>
+                <td title="${escapeHtml(entry.path)}">${escapeHtml(entry.path)}</td>
+                <td>${entry.size === null ? '-' : formatFileSize(entry.size)}</td>
+                <td>${entry.crc === null ? '-' : formatCrc32(entry.crc)}</td>
+                <td title="${entry.code || ''}">${escapeHtml(entry.message)}</td>
+            </tr>`).join('');
+    
+    testReport.innerHTML = `
+        <div class="test-report-header">
+            <strong>完整性测试：${counts.failed ? `${counts.failed}个文件损坏` : '没有发现损坏的文件'}</strong>
+            <span>通过${counts.ok}个，失败${counts.failed}个${counts.skipped ? `，未测试${counts.skipped}个` : ''}</span>
+            ${rebuilt ? '<span class="test-rebuilt">中央目录已损坏，条目列表由本地文件头重建</span>' : ''}
+            <button type="button" class="preview-close" aria-label="关闭测试结果"><i class="fas fa-times" aria-hidden="true"></i></button>
+        </div>
+        <div class="test-report-table">
+            <table>
+                <thead><tr><th>结果</th><th>文件</th><th>大小</th><th>CRC32</th><th>说明</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    testReport.querySelector('.preview-close').addEventListener('click', () => testReport.hidden = true);
+    testReport.hidden = false;
 }
 
 /**
- * 显示解压后的文件列表
+ * 渲染压缩包层级导航，只有打开了嵌套的压缩包时才显示
  */
-function displayFiles() {
-    const { fileList } = elements;
-    fileList.innerHTML = '';
+function renderArchiveBreadcrumb() {
+    const { archiveBreadcrumb } = elements;
+    archiveBreadcrumb.innerHTML = '';
+    archiveBreadcrumb.hidden = archiveStack.length < 2;
+    if (archiveBreadcrumb.hidden) return;
     
-    Object.keys(extractedFiles).sort().forEach(path => {
-        const file = extractedFiles[path];
-        const fileItem = createFileItem(file);
-        fileList.appendChild(fileItem);
+    const list = document.createElement('ol');
+    archiveStack.forEach((level, index) => {
+        const item = document.createElement('li');
+        const label = `<i class="fas fa-file-archive" aria-hidden="true"></i> ${escapeHtml(level.name)}`;
+        if (index === archiveStack.length - 1) {
+            item.innerHTML = `<span aria-current="page" title="${escapeHtml(level.name)}">${label}</span>`;
+        } else {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'breadcrumb-btn';
+            button.title = '返回' + level.name;
+            button.innerHTML = label;
+            button.addEventListener('click', () => showArchiveLevel(index));
+            item.appendChild(button);
+        }
+        list.appendChild(item);
     });
+    archiveBreadcrumb.appendChild(list);
+}
+
+/**
+ * 进入或退出编辑模式
+ * @param {boolean} enabled - 是否进入编辑模式
+ */
+function setEditMode(enabled) {
+    const { editArchiveBtn, editToolbar, editStatus } = elements;
+    editMode = enabled;
+    editArchiveBtn.setAttribute('aria-pressed', String(enabled));
+    editArchiveBtn.innerHTML = enabled ?
+        '<i class="fas fa-check" aria-hidden="true"></i> 完成编辑' :
+        '<i class="fas fa-edit" aria-hidden="true"></i> 编辑';
+    editToolbar.hidden = !enabled;
+    if (enabled) {
+        editStatus.textContent = '也可以把文件或文件夹拖到列表中的文件夹上，同名文件会被替换';
+        updateEditTargetFolders();
+    }
+}
+
+/**
+ * 重新渲染文件列表，保持已展开的文件夹
+ */
+function refreshFileList() {
+    const { fileList } = elements;
+    const expanded = new Set([...fileList.querySelectorAll('.folder-item.expanded')].map(item => item.dataset.path));
+    displayFiles();
+    
+    // 子文件夹在上一级展开时才渲染，需要逐层展开
+    let pending = true;
+    while (pending) {
+        pending = false;
+        fileList.querySelectorAll('.folder-item:not(.expanded)').forEach(item => {
+            if (expanded.has(item.dataset.path)) {
+                item.click();
+                pending = true;
+            }
+        });
+    }
+}
+
+/**
+ * 编辑后刷新文件列表和可添加到的文件夹
+ */
+function handleArchiveEdited() {
+    updateEditTargetFolders();
+    refreshFileList();
+    elements.editStatus.textContent = '有未保存的修改';
+}
+
+/**
+ * 更新"添加到"的文件夹列表，保留原来的选择
+ */
+function updateEditTargetFolders() {
+    const { editTargetFolder } = elements;
+    const previous = editTargetFolder.value;
+    
+    const paths = [];
+    const collect = (node) => node.folders.forEach(folder => {
+        paths.push(folder.path);
+        collect(folder);
+    });
+    collect(buildFileTree(extractedFiles));
+    paths.sort((a, b) => a.localeCompare(b));
+    
+    editTargetFolder.innerHTML = '<option value="">根目录</option>' +
+        paths.map(path => `<option value="${escapeHtml(path)}">${escapeHtml(path)}</option>`).join('');
+    editTargetFolder.value = paths.includes(previous) ? previous : '';
+}
+
+/**
+ * 获取条目在文件夹树中的路径（去掉空段和"./"，与buildFileTree一致）
+ * @param {string} path - 条目路径
+ * @returns {string} 规范化的路径，目录以/结尾
+ */
+function getTreePath(path) {
+    const parts = path.split('/').filter(part => part && part !== '.');
+    return parts.join('/') + (path.endsWith('/') && parts.length ? '/' : '');
+}
+
+/**
+ * 编辑模式下为文件项或文件夹项添加"重命名"和"删除"按钮
+ * @param {HTMLElement} item - 文件或文件夹项元素
+ * @param {string} path - 在文件夹树中的路径（文件夹以/结尾）
+ * @param {Array<Object>} entries - 一起移动或删除的条目（文件夹为其下所有条目）
+ */
+function addEditActions(item, path, entries) {
+    const renameButton = document.createElement('button');
+    renameButton.className = 'rename-btn';
+    renameButton.title = '重命名或移动';
+    renameButton.innerHTML = '<i class="fas fa-pen"></i>';
+    renameButton.addEventListener('click', () => startRename(item, path, entries));
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'delete-btn';
+    deleteButton.title = '删除';
+    deleteButton.innerHTML = '<i class="fas fa-trash-alt"></i>';
+    deleteButton.addEventListener('click', () => deleteEntries(entries));
+    
+    item.querySelector('.file-action').append(renameButton, deleteButton);
+}
+
+/**
+ * 把名称换成路径输入框：回车确认，Esc或离开输入框时取消
+ * 输入框中是完整路径，修改文件夹部分可以把条目移动到其他位置
+ * @param {HTMLElement} item - 文件或文件夹项元素
+ * @param {string} path - 原路径（文件夹以/结尾）
+ * @param {Array<Object>} entries - 要移动的条目
+ */
+function startRename(item, path, entries) {
+    const label = item.querySelector('.file-name > span');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'rename-input';
+    input.value = path.replace(/\/$/, '');
+    input.spellcheck = false;
+    input.setAttribute('aria-label', '新的路径');
+    label.replaceWith(input);
+    
+    // 默认选中名称部分（不含所在文件夹和扩展名）
+    input.focus();
+    const nameStart = input.value.lastIndexOf('/') + 1;
+    const dot = path.endsWith('/') ? -1 : input.value.lastIndexOf('.');
+    input.setSelectionRange(nameStart, dot > nameStart ? dot : input.value.length);
+    
+    let finished = false;
+    const finish = (confirmed) => {
+        if (finished) return;
+        finished = true;
+        if (confirmed && moveEntries(path, input.value, entries)) {
+            handleArchiveEdited();
+        } else {
+            input.replaceWith(label);
+        }
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(false));
+}
+
+/**
+ * 重命名或移动条目，文件夹连同其下所有条目一起移动；移动到已有的文件夹时合并
+ * @param {string} oldPath - 原路径（文件夹以/结尾）
+ * @param {string} value - 输入的新路径
+ * @param {Array<Object>} entries - 要移动的条目（文件夹为其下所有条目）
+ * @returns {boolean} 是否有修改
+ */
+function moveEntries(oldPath, value, entries) {
+    const isFolder = oldPath.endsWith('/');
+    const parts = value.replace(/\\/g, '/').split('/').map(part => part.trim()).filter(part => part && part !== '.');
+    if (parts.length === 0) {
+        showError('名称不能为空');
+        return false;
+    }
+    if (parts.includes('..')) {
+        showError('路径中不能包含".."');
+        return false;
+    }
+    
+    const newPath = parts.join('/') + (isFolder ? '/' : '');
+    if (newPath === oldPath) return false;
+    if (isFolder && newPath.startsWith(oldPath)) {
+        showError('不能把文件夹移动到它自己里面');
+        return false;
+    }
+    
+    const moving = new Set(entries);
+    const targets = entries.map(entry => [entry, newPath + getTreePath(entry.path).slice(oldPath.length)]);
+    // TAR中的路径可能带"./"前缀，按文件夹树中的路径查找已有条目
+    const existingEntries = new Map(Object.values(extractedFiles)
+        .filter(entry => !moving.has(entry))
+        .map(entry => [getTreePath(entry.path), entry]));
+    const conflict = targets.find(([entry, target]) => {
+        const existing = existingEntries.get(target);
+        return existing && !(existing.dir && entry.dir);
+    });
+    if (conflict) {
+        showError(`"${conflict[1]}"已存在，请换一个名称`);
+        return false;
+    }
+    
+    targets.forEach(([entry]) => delete extractedFiles[entry.path]);
+    targets.forEach(([entry, target]) => {
+        // 合并到已有的文件夹时不再需要原来的目录条目
+        if (entry.dir && existingEntries.has(target)) {
+            selectedEntries.delete(entry);
+            return;
+        }
+        entry.path = target;
+        entry.name = target.split('/').filter(Boolean).pop();
+        extractedFiles[target] = entry;
+    });
+    return true;
+}
+
+/**
+ * 删除条目（文件夹为其下所有条目）
+ * @param {Array<Object>} entries - 要删除的条目
+ */
+function deleteEntries(entries) {
+    entries.forEach(entry => {
+        delete extractedFiles[entry.path];
+        selectedEntries.delete(entry);
+    });
+    handleArchiveEdited();
+}
+
+/**
+ * 把文件和文件夹添加到压缩包中的文件夹，同名文件会被替换
+ * @param {Array<Object>} entries - 文件为{ file, path }，空文件夹为{ path, dir: true }，path为相对于目标文件夹的路径
+ * @param {string} folderPath - 目标文件夹（以/结尾，根目录为空字符串）
+ */
+function addEntriesToArchive(entries, folderPath) {
+    for (const { file, path: relativePath, dir } of entries) {
+        const path = folderPath + relativePath;
+        const existing = Object.values(extractedFiles).find(entry => getTreePath(entry.path) === path);
+        if (existing) {
+            delete extractedFiles[existing.path];
+            selectedEntries.delete(existing);
+        }
+        extractedFiles[path] = dir ? createDirectoryEntry(path) : createFileEntry(path, file, { lastModified: file.lastModified });
+    }
+    handleArchiveEdited();
+}
+
+/**
+ * 处理编辑模式下拖到文件列表的文件和文件夹：放在文件夹上时添加到该文件夹，
+ * 放在文件上时添加到文件所在的文件夹，否则添加到"添加到"中选择的文件夹
+ */
+async function handleEditDragEvent(e) {
+    if (!editMode) return;
+    e.preventDefault();
+    
+    const { fileList, editTargetFolder } = elements;
+    fileList.querySelectorAll('.drop-target').forEach(item => item.classList.remove('drop-target'));
+    fileList.classList.remove('drop-target');
+    
+    const item = e.target.closest('.file-item');
+    if (e.type === 'dragover') {
+        (item && item.classList.contains('folder-item') ? item : fileList).classList.add('drop-target');
+    } else if (e.type === 'drop' && e.dataTransfer.files.length) {
+        let folderPath = editTargetFolder.value;
+        if (item) {
+            const path = item.dataset.path;
+            folderPath = item.classList.contains('folder-item') ? path : path.slice(0, path.lastIndexOf('/') + 1);
+        }
+        
+        const roots = getDroppedRoots(e.dataTransfer);
+        const files = Array.from(e.dataTransfer.files, file => ({ file, path: file.name }));
+        try {
+            addEntriesToArchive(roots.length ? await readDroppedEntries(roots) : files, folderPath);
+        } catch (error) {
+            console.error('读取拖入的文件夹失败:', error);
+            showError('读取拖入的文件夹失败: ' + error.message, error);
+        }
+    }
+}
+
+/**
+ * 把编辑后的条目重新打包并下载
+ * 尽量保持原样：ZIP、TAR、TAR.GZ按原格式保存（其他格式保存为ZIP），沿用ZIP条目的压缩方式、加密方式、压缩包注释，
+ * 以及所有条目的修改时间、权限
+ */
+async function saveEditedArchive() {
+    const { processingSection, resultSection, editStatus } = elements;
+    const { file, format, password, encryption, comment } = archiveStack[archiveStack.length - 1];
+    const saveFormat = EDITABLE_SAVE_FORMATS.includes(format) ? format : 'zip';
+    const options = { format: saveFormat, readme: false, comment };
+    
+    // 加密的压缩包用解压时输入的密码重新加密，无法加密时必须确认后才保存不加密的副本
+    if (encryption) {
+        if (password && saveFormat === 'zip') {
+            Object.assign(options, { password, encryption });
+        } else if (!confirm('原压缩包已加密，但无法用原来的密码重新加密，保存的压缩包将不加密。\n确定要保存吗？')) {
+            return;
+        }
+    }
+    
+    // 设备、命名管道和没有恢复出内容的损坏文件无法写入，保存前列出并确认
+    const entries = [];
+    const lostEntries = [];
+    for (const entry of Object.values(extractedFiles)) {
+        const kind = getSavedEntryKind(entry, saveFormat);
+        if (!kind) {
+            lostEntries.push(entry);
+            continue;
+        }
+        entries.push({
+            file: entry.content,
+            path: entry.path,
+            dir: Boolean(entry.dir),
+            kind,
+            linkTarget: entry.linkTarget,
+            lastModified: entry.lastModified,
+            mode: entry.mode,
+            compression: entry.compression
+        });
+    }
+    const describeEntry = (entry) => `${entry.path}（${entry.damaged ? '已损坏' : ENTRY_KIND_LABELS[entry.kind]}）`;
+    if (lostEntries.length) {
+        const list = lostEntries.slice(0, 10).map(describeEntry).join('\n') + (lostEntries.length > 10 ? '\n……' : '');
+        if (!confirm(`以下${lostEntries.length}个条目无法保存，保存的压缩包中将没有它们：\n${list}\n确定要保存吗？`)) {
+            return;
+        }
+    }
+    
+    showProcessingUI('正在保存压缩包...');
+    try {
+        const archiveBlob = await runTask('compress', { entries, options }, { onProgress: updateProgress });
+        
+        const archiveName = saveFormat === format ? file.name : getArchiveBaseName(file.name) + '.zip';
+        downloadFile({ name: archiveName, content: archiveBlob });
+        const encryptionNote = options.password ? `，已使用${ZIP_ENCRYPTION_METHODS[encryption].label}加密` : '';
+        const lostNote = lostEntries.length ? `；未保存${lostEntries.length}个条目：${lostEntries.map(describeEntry).join('、')}` : '';
+        editStatus.textContent = `已保存为${archiveName}（${formatFileSize(archiveBlob.size)}${encryptionNote}）${lostNote}`;
+    } catch (error) {
+        console.error('保存压缩包失败:', error);
+        showError('保存压缩包失败: ' + error.message, error);
+    }
+    processingSection.style.display = 'none';
+    resultSection.style.display = 'block';
+}
+
+/**
+ * 获取条目重新保存时的类型
+ * 符号链接保存为链接；硬链接只有TAR能保存，且目标还在压缩包中时才保存为链接，否则和普通文件一样保存内容
+ * @param {Object} entry - 解压结果中的条目
+ * @param {string} saveFormat - 保存的格式
+ * @returns {string|null} 'directory'、'file'、'symlink'或'hardlink'，无法保存时返回null
+ */
+function getSavedEntryKind(entry, saveFormat) {
+    if (entry.dir) return 'directory';
+    if (entry.kind === 'symlink' && entry.linkTarget != null) return 'symlink';
+    if (entry.kind === 'hardlink' && saveFormat !== 'zip' && extractedFiles[entry.linkTarget]) return 'hardlink';
+    return entry.content ? 'file' : null;
+}
+
+/**
+ * 弹出密码输入框
+ * @param {string} message - 提示信息
+ * @returns {Promise<string|null>} 输入的密码，取消时返回null
+ */
+function requestPassword(message) {
+    const { passwordPopup, passwordMessage, passwordInput, passwordConfirm, passwordCancel } = elements;
+    passwordMessage.textContent = message;
+    passwordInput.value = '';
+    passwordPopup.style.display = 'flex';
+    passwordInput.focus();
+    
+    return new Promise(resolve => {
+        const close = (value) => {
+            passwordPopup.style.display = 'none';
+            passwordConfirm.removeEventListener('click', handleConfirm);
+            passwordCancel.removeEventListener('click', handleCancel);
+            passwordInput.removeEventListener('keydown', handleKeydown);
+            resolve(value);
+        };
+        const handleConfirm = () => close(passwordInput.value);
+        const handleCancel = () => close(null);
+        const handleKeydown = (e) => {
+            if (e.key === 'Enter') handleConfirm();
+            else if (e.key === 'Escape') handleCancel();
+        };
+        
+        passwordConfirm.addEventListener('click', handleConfirm);
+        passwordCancel.addEventListener('click', handleCancel);
+        passwordInput.addEventListener('keydown', handleKeydown);
+    });
+}
+
+/**
+ * 执行处理任务（processing.js中的TASK_HANDLERS）
+ * 优先交给后台Worker线程池，浏览器不支持或Worker加载失败时在主线程执行
+ * @param {string} task - 任务类型：'extract'、'compress' 或 'compress-image'
+ * @param {Object} payload - 任务参数
+ * @param {Object} [options] - onProgress、requestPassword回调，inMainThread强制在主线程执行
+ * @returns {Promise<*>} 任务结果
+ */
+function runTask(task, payload, options = {}) {
+    const job = {
+        task,
+        payload,
+        onProgress: options.onProgress || (() => {}),
+        requestPassword: options.requestPassword || requestPassword
+    };
+    
+    if (workerPool.disabled || options.inMainThread) {
+        return runTaskInMainThread(job);
+    }
+    
+    return new Promise((resolve, reject) => {
+        Object.assign(job, { id: workerPool.nextTaskId++, resolve, reject });
+        workerPool.queue.push(job);
+        dispatchTasks();
+    });
+}
+
+/**
+ * 在主线程执行任务
+ * @param {Object} job - 任务
+ * @returns {Promise<*>} 任务结果
+ */
+async function runTaskInMainThread(job) {
+    return TASK_HANDLERS[job.task](job.payload, {
+        onProgress: job.onProgress,
+        requestPassword: job.requestPassword
+    });
+}
+
+/**
+ * 把排队中的任务分配给空闲Worker，不足时按需创建
+ */
+function dispatchTasks() {
+    while (workerPool.queue.length > 0) {
+        let worker = workerPool.workers.find(worker => !worker.job);
+        if (!worker) {
+            if (workerPool.workers.length >= WORKER_POOL_SIZE) return;
+            worker = createPoolWorker();
+            if (!worker) return;
+        }
+        
+        const job = workerPool.queue.shift();
+        worker.job = job;
+        worker.instance.postMessage({ id: job.id, type: 'task', task: job.task, payload: job.payload });
+    }
+}
+
+/**
+ * 创建线程池中的Worker
+ * @returns {Object|null} { instance, job }，无法创建时返回null
+ */
+function createPoolWorker() {
+    let instance;
+    try {
+        instance = new Worker('js/worker.js');
+    } catch (error) {
+        // 如通过file://打开页面时浏览器禁止创建Worker
+        disableWorkers(error);
+        return null;
+    }
+    
+    const worker = { instance, job: null, ready: false };
+    instance.onmessage = (e) => handleWorkerMessage(worker, e.data);
+    instance.onerror = (e) => {
+        e.preventDefault();
+        if (worker.ready) {
+            replaceCrashedWorker(worker, e.message);
+        } else {
+            // 还没加载完就出错：Worker脚本或其依赖加载失败，其他Worker也一样用不了
+            disableWorkers(e.message);
+        }
+    };
+    workerPool.workers.push(worker);
+    return worker;
+}
+
+/**
+ * 移除出错的Worker，只让它正在执行的任务失败，需要时由dispatchTasks重新创建Worker
+ * @param {Object} worker - 出错的Worker
+ * @param {string} reason - 错误信息
+ */
+function replaceCrashedWorker(worker, reason) {
+    console.warn('后台线程出错，已重新创建:', reason);
+    worker.instance.terminate();
+    workerPool.workers = workerPool.workers.filter(item => item !== worker);
+    
+    if (worker.job) {
+        worker.job.reject(createArchiveError('UNKNOWN', `后台线程出错：${reason || '未知原因'}`));
+    }
+    dispatchTasks();
+}
+
+/**
+ * 处理Worker发回的消息
+ * @param {Object} worker - 发送消息的Worker
+ * @param {Object} message - 消息内容
+ */
+function handleWorkerMessage(worker, message) {
+    if (message.type === 'ready') {
+        worker.ready = true;
+        return;
+    }
+    
+    const job = worker.job;
+    if (!job || job.id !== message.id) return;
+    
+    switch (message.type) {
+        case 'progress':
+            job.onProgress(message.percent);
+            break;
+        case 'password-request':
+            Promise.resolve(job.requestPassword(message.message)).then(password => {
+                worker.instance.postMessage({ id: job.id, type: 'password-response', password });
+            });
+            break;
+        case 'result':
+        case 'error':
+            worker.job = null;
+            if (message.type === 'result') {
+                job.resolve(message.result);
+            } else {
+                job.reject(createArchiveError(message.code, message.message, message.details));
+            }
+            dispatchTasks();
+            break;
+    }
+}
+
+/**
+ * 停用Worker线程池，未完成的任务改在主线程重新执行
+ * @param {*} reason - 停用原因
+ */
+function disableWorkers(reason) {
+    console.warn('后台线程不可用，改为在主线程处理:', reason);
+    workerPool.disabled = true;
+    
+    const jobs = workerPool.workers.filter(worker => worker.job).map(worker => worker.job)
+        .concat(workerPool.queue.splice(0));
+    workerPool.workers.forEach(worker => worker.instance.terminate());
+    workerPool.workers = [];
+    
+    jobs.forEach(job => runTaskInMainThread(job).then(job.resolve, job.reject));
+}
+
+/**
+ * 根据文件路径构建文件夹树
+ * @param {Object} files - 以路径为键的文件对象
+ * @returns {Object} 根节点，每个节点包含folders、files、文件数、总大小、最近修改时间，
+ *          以及归档中对应的目录条目entry（没有单独的目录条目时为null）
+ */
+function buildFileTree(files) {
+    const createNode = (name, path) => ({
+        name, path, folders: new Map(), files: [], fileCount: 0, totalSize: 0, lastModified: null, entry: null
+    });
+    const root = createNode('', '');
+    
+    for (const file of Object.values(files)) {
+        // 忽略空段和"./"前缀
+        const parts = file.path.split('/').filter(part => part && part !== '.');
+        if (!file.dir) parts.pop();
+        
+        let node = root;
+        for (const part of parts) {
+            if (!node.folders.has(part)) {
+                node.folders.set(part, createNode(part, node.path + part + '/'));
+            }
+            node = node.folders.get(part);
+        }
+        if (file.dir) {
+            node.entry = file;
+        } else {
+            node.files.push(file);
+        }
+    }
+    
+    // 自底向上统计每个文件夹的文件数、总大小和最近修改时间
+    const latest = (a, b) => (a === null || (b !== null && b > a)) ? b : a;
+    const summarize = (node) => {
+        node.fileCount = node.files.length;
+        node.totalSize = node.files.reduce((sum, file) => sum + file.size, 0);
+        node.lastModified = node.files.reduce((time, file) => latest(time, file.lastModified ?? null),
+            node.entry ? node.entry.lastModified : null);
+        node.folders.forEach(folder => {
+            summarize(folder);
+            node.fileCount += folder.fileCount;
+            node.totalSize += folder.totalSize;
+            node.lastModified = latest(node.lastModified, folder.lastModified);
+        });
+    };
+    summarize(root);
+    
+    return root;
+}
+
+/**
+ * 显示解压后的文件列表
+ * 没有筛选条件时按文件夹层级显示，有搜索词或类型筛选时平铺显示匹配的文件
+ */
+function displayFiles() {
+    const { fileList } = elements;
+    fileList.innerHTML = '';
+    
+    const matches = getFilteredFiles();
+    if (matches) {
+        matches.sort(compareFileItems).forEach(file => {
+            fileList.appendChild(createFileItem(file, 0, true));
+        });
+        if (matches.length === 0) {
+            fileList.innerHTML = '<div class="file-list-empty">没有匹配的文件</div>';
+        }
+    } else {
+        const tree = buildFileTree(extractedFiles);
+        renderTreeChildren(tree, fileList, 0);
+        
+        // 只有一个顶层文件夹时（常见的"项目名/"包裹目录）自动展开
+        if (tree.folders.size === 1 && tree.files.length === 0) {
+            fileList.querySelector('.folder-item')?.click();
+        }
+    }
+    
+    updateListSummary(matches);
+    updateSelectionState();
+}
+
+/**
+ * 按搜索词和类型筛选文件（不含目录）
+ * 搜索词匹配文件名或路径，不区分大小写；勾选"正则表达式"时按正则匹配
+ * @returns {Array<Object>|null} 匹配的文件，没有筛选条件时返回null
+ */
+function getFilteredFiles() {
+    const { fileSearch, searchRegex, typeFilter } = elements;
+    const query = fileSearch.value.trim();
+    const category = typeFilter.value;
+    
+    // 正则表达式无效时标记输入框，只按类型筛选
+    let pattern = null;
+    fileSearch.classList.remove('invalid');
+    fileSearch.removeAttribute('aria-invalid');
+    fileSearch.title = '';
+    if (query && searchRegex.checked) {
+        try {
+            pattern = new RegExp(query, 'i');
+        } catch (error) {
+            fileSearch.classList.add('invalid');
+            fileSearch.setAttribute('aria-invalid', 'true');
+            fileSearch.title = '正则表达式无效: ' + error.message;
+        }
+    }
+    
+    const lowerQuery = query.toLowerCase();
+    const matchesQuery = pattern ? (path => pattern.test(path)) :
+        (searchRegex.checked || !query) ? null : (path => path.toLowerCase().includes(lowerQuery));
+    if (!matchesQuery && !category) return null;
+    
+    return Object.values(extractedFiles).filter(file =>
+        !file.dir &&
+        (!matchesQuery || matchesQuery(file.path)) &&
+        (!category || getFileCategory(file) === category)
+    );
+}
+
+/**
+ * 在结果标题下显示文件数和总大小（筛选时为匹配的文件）
+ * @param {Array<Object>|null} matches - getFilteredFiles的结果
+ */
+function updateListSummary(matches) {
+    const files = Object.values(extractedFiles).filter(file => !file.dir);
+    const totalSize = (list) => formatFileSize(list.reduce((sum, file) => sum + file.size, 0));
+    
+    const damagedCount = files.filter(file => file.damaged).length;
+    
+    elements.listSummary.textContent = (matches ?
+        `匹配${matches.length}个文件（共${files.length}个），${totalSize(matches)}` :
+        `共${files.length}个文件，${totalSize(files)}`) +
+        (damagedCount ? `，其中${damagedCount}个已损坏` : '');
+}
+
+/**
+ * 根据MIME类型获取文件分类（FILE_CATEGORIES中的键）
+ * @param {Object} file - 文件对象
+ * @returns {string} 分类
+ */
+function getFileCategory(file) {
+    const mimeType = getMimeType(file.name);
+    const [group, subtype] = mimeType.split('/');
+    
+    if (['image', 'audio', 'video'].includes(group)) return group;
+    if (['zip', 'x-7z-compressed', 'x-tar', 'gzip', 'x-bzip2', 'x-xz', 'zstd'].includes(subtype)) return 'archive';
+    if (['plain', 'markdown', 'csv', 'pdf', 'rtf', 'msword'].includes(subtype) ||
+        subtype.startsWith('vnd.ms-') || subtype.startsWith('vnd.openxmlformats') || subtype.startsWith('vnd.oasis')) {
+        return 'document';
+    }
+    if (group === 'text' || ['json', 'xml', 'yaml', 'sql', 'x-sh'].includes(subtype)) return 'code';
+    return 'other';
+}
+
+/**
+ * 渲染文件夹下的直接子项（文件夹在前，文件在后）
+ * @param {Object} node - 文件夹节点
+ * @param {HTMLElement} container - 容器元素
+ * @param {number} depth - 层级深度
+ */
+function renderTreeChildren(node, container, depth) {
+    [...node.folders.values()].sort(compareFileItems).forEach(folder => {
+        container.appendChild(createFolderItem(folder, depth));
+    });
+    node.files.slice().sort(compareFileItems).forEach(file => {
+        container.appendChild(createFileItem(file, depth));
+    });
+}
+
+/**
+ * 按当前排序方式比较两个文件或文件夹（没有修改时间的排在最后，其余相同时按文件名）
+ * @param {Object} a - 文件对象或文件夹节点
+ * @param {Object} b - 文件对象或文件夹节点
+ * @returns {number} 比较结果
+ */
+function compareFileItems(a, b) {
+    const byName = a.name.localeCompare(b.name, 'zh-CN', { numeric: true });
+    const direction = fileSortOrder.descending ? -1 : 1;
+    
+    switch (fileSortOrder.key) {
+        case 'date': {
+            const timeA = a.lastModified ?? null;
+            const timeB = b.lastModified ?? null;
+            if (timeA !== timeB) {
+                if (timeA === null) return 1;
+                if (timeB === null) return -1;
+                return (timeA - timeB) * direction;
+            }
+            return byName;
+        }
+        case 'size': {
+            // 文件夹按总大小
+            const sizeA = a.totalSize ?? a.size;
+            const sizeB = b.totalSize ?? b.size;
+            return sizeA !== sizeB ? (sizeA - sizeB) * direction : byName;
+        }
+        case 'type': {
+            // 先按分类，同一分类内按扩展名
+            const typeA = getFileTypeLabel(a) + a.name.split('.').pop().toLowerCase();
+            const typeB = getFileTypeLabel(b) + b.name.split('.').pop().toLowerCase();
+            const byType = typeA.localeCompare(typeB, 'zh-CN');
+            return byType ? byType * direction : byName;
+        }
+        default:
+            return byName * direction;
+    }
+}
+
+/**
+ * 获取列表中显示的类型名称
+ * @param {Object} item - 文件对象或文件夹节点
+ * @returns {string} 类型名称
+ */
+function getFileTypeLabel(item) {
+    if (item.folders) return '文件夹';
+    if (item.kind && item.kind !== 'file') return ENTRY_KIND_LABELS[item.kind] || item.kind;
+    return FILE_CATEGORIES[getFileCategory(item)];
+}
+
+/**
+ * 切换文件列表的排序方式：再次点击同一列时切换升序和降序
+ * @param {string} key - 'name'、'size'、'type'或'date'
+ */
+function sortFileList(key) {
+    fileSortOrder = fileSortOrder.key === key ?
+        { key, descending: !fileSortOrder.descending } :
+        // 按时间和大小排序时默认最新、最大的在前
+        { key, descending: key === 'date' || key === 'size' };
+    
+    elements.sortHeaders.forEach(header => {
+        const active = header.dataset.sort === fileSortOrder.key;
+        header.classList.toggle('sorted', active);
+        header.classList.toggle('descending', active && fileSortOrder.descending);
+        header.setAttribute('aria-sort', active ? (fileSortOrder.descending ? 'descending' : 'ascending') : 'none');
+    });
+    
+    if (Object.keys(extractedFiles).length > 0) {
+        displayFiles();
+    }
+}
+
+/**
+ * 创建可折叠的文件夹项元素，子项在首次展开时才渲染
+ * @param {Object} folder - 文件夹节点
+ * @param {number} depth - 层级深度
+ * @returns {HTMLElement} 文件夹项元素（含子项容器）
+ */
+function createFolderItem(folder, depth) {
+    const group = document.createElement('div');
+    group.className = 'folder-group';
+    
+    const folderItem = document.createElement('div');
+    folderItem.className = 'file-item folder-item';
+    folderItem.style.setProperty('--depth', depth);
+    
+    const countText = folder.fileCount ? `${folder.fileCount}个文件` : '空文件夹';
+    folderItem.innerHTML = `
+        <div class="file-name">
+            <i class="fas fa-chevron-right folder-toggle"></i>
+            <i class="fas fa-folder"></i>
+            <span title="${escapeHtml(folder.path)}">${escapeHtml(folder.name)}</span>
+            <small class="folder-count">${countText}</small>
+        </div>
+        <div class="file-size">${formatFileSize(folder.totalSize)}</div>
+        <div class="file-type">文件夹</div>
+        <div class="file-date">${formatDateTime(folder.entry ? folder.entry.lastModified : null)}</div>
+        <div class="file-action">
+            <button class="download-btn" title="将此文件夹打包为ZIP下载">
+                <i class="fas fa-download"></i> 下载
+            </button>
+        </div>
+    `;
+    folderItem.dataset.path = folder.path;
+    if (folder.entry) {
+        addDetailsToggle(folderItem, folder.entry);
+    }
+    const folderEntries = collectFolderEntries(folder);
+    folderItem.querySelector('.file-name').prepend(createSelectCheckbox(folderEntries, folder.name));
+    if (editMode) {
+        addEditActions(folderItem, folder.path, folderEntries);
+    }
+    
+    const children = document.createElement('div');
+    children.className = 'folder-children';
+    children.hidden = true;
+    
+    folderItem.addEventListener('click', (e) => {
+        if (e.target.closest('button, input')) return;
+        if (!children.hasChildNodes()) {
+            renderTreeChildren(folder, children, depth + 1);
+        }
+        children.hidden = !children.hidden;
+        folderItem.classList.toggle('expanded', !children.hidden);
+    });
+    folderItem.querySelector('.download-btn').addEventListener('click', () => downloadFolder(folder));
+    
+    group.append(folderItem, children);
+    return group;
 }
 
 /**
  * 创建文件项元素
  * @param {Object} file - 文件对象
- * @returns {HTMLElement} 文件项元素
+ * @param {number} [depth=0] - 在文件夹树中的层级深度
+ * @param {boolean} [showPath=false] - 显示完整路径而不只是文件名（平铺的搜索结果）
+ * @returns {HTMLElement} 文件项元素
+ */
+function createFileItem(file, depth = 0, showPath = false) {
+    const fileItem = document.createElement('div');
+    fileItem.className = 'file-item';
+    fileItem.style.setProperty('--depth', depth);
+    
+    const fileIcon = file.kind && file.kind !== 'file' ? getEntryKindIcon(file.kind) : getFileIcon(file.name);
+    
+    // 如果是图片压缩结果，显示压缩信息
+    let sizeDisplay = formatFileSize(file.size);
+    if (file.originalSize && file.compressionRatio) {
+        sizeDisplay = `${formatFileSize(file.size)} <small style="color: var(--secondary-color);">(-${file.compressionRatio}%)</small>`;
+    }
+    
+    // 加密的压缩结果显示锁形标记
+    const encryptionBadge = file.encryption ?
+        `<i class="fas fa-lock file-lock" title="已使用${file.encryption}加密"></i>` : '';
+    
+    // 损坏的条目显示警告标记，内容缺失或只恢复了一部分
+    const damagedBadge = file.damaged ?
+        `<i class="fas fa-exclamation-triangle file-damaged" title="${escapeHtml((file.content ? '已损坏，只恢复了部分内容：' : '已损坏：') + file.damaged.message)}"></i>` : '';
+    
+    // 链接显示指向的目标
+    const linkTarget = file.linkTarget ?
+        `<small class="file-link-target" title="${escapeHtml(file.linkTarget)}">→ ${escapeHtml(file.linkTarget)}</small>` : '';
+    
+    // 压缩包可以直接打开，在当前页面浏览其中的文件；扩展名不认识时先隐藏，读取文件头确认后再显示
+    const openAction = file.content && currentMode === 'extract' ? `
+            <button class="open-btn" title="打开这个压缩包"${getArchiveFormat(file.name) ? '' : ' hidden'}>
+                <i class="fas fa-folder-open"></i> 打开
+            </button>` : '';
+    
+    // 图片压缩结果可以和原图对比
+    const compareAction = file.original ? `
+            <button class="compare-btn" title="对比原图和压缩后的图片，可调整压缩质量">
+                <i class="fas fa-columns"></i> 对比
+            </button>` : '';
+    
+    // 符号链接、设备等特殊条目没有内容，不能预览和下载
+    const actions = file.content ? `${openAction}${compareAction}
+            <button class="preview-btn" title="在浏览器中预览">
+                <i class="fas fa-eye"></i> 预览
+            </button>
+            <button class="download-btn">
+                <i class="fas fa-download"></i> 下载
+            </button>` : '';
+    
+    fileItem.innerHTML = `
+        <div class="file-name">
+            <i class="${fileIcon}"></i>
+            <span title="${escapeHtml(file.path)}">${escapeHtml(showPath ? file.path : file.name)}</span>
+            ${linkTarget}
+            ${encryptionBadge}
+            ${damagedBadge}
+        </div>
+        <div class="file-size">${sizeDisplay}</div>
+        <div class="file-type">${escapeHtml(getFileTypeLabel(file))}</div>
+        <div class="file-date">${formatDateTime(file.lastModified)}</div>
+        <div class="file-action">${actions}
+        </div>
+    `;
+    if (file.content) {
+        fileItem.querySelector('.preview-btn').addEventListener('click', () => previewFile(file));
+        fileItem.querySelector('.download-btn').addEventListener('click', () => downloadFile(file));
+        const openBtn = fileItem.querySelector('.open-btn');
+        openBtn?.addEventListener('click', () => openNestedArchive(file));
+        if (openBtn?.hidden) {
+            isArchiveContent(file.content).then(isArchive => { openBtn.hidden = !isArchive; });
+        }
+        fileItem.querySelector('.compare-btn')?.addEventListener('click', () => openCompare(file));
+    }
+    fileItem.dataset.path = getTreePath(file.path);
+    if (file.kind) {
+        addDetailsToggle(fileItem, file);
+    }
+    fileItem.querySelector('.file-name').prepend(createSelectCheckbox([file], file.name));
+    if (editMode) {
+        addEditActions(fileItem, fileItem.dataset.path, [file]);
+    }
+    
+    return fileItem;
+}
+
+/**
+ * 根据文件头魔数判断内容是否为压缩包（如没有扩展名或扩展名为.jar、.apk、.docx的压缩包）
+ * @param {Blob} content - 文件内容
+ * @returns {Promise<boolean>} 是否为能打开的压缩包
+ */
+function isArchiveContent(content) {
+    if (!sniffedArchives.has(content)) {
+        sniffedArchives.set(content, content.slice(0, SNIFF_HEADER_SIZE).arrayBuffer().then(
+            buffer => sniffArchiveFormat(new Uint8Array(buffer)) !== null,
+            () => false
+        ));
+    }
+    return sniffedArchives.get(content);
+}
+
+/**
+ * 创建选择复选框，勾选状态与selectedEntries同步
+ * @param {Array<Object>} entries - 复选框代表的条目（文件夹为其下所有条目）
+ * @param {string} label - 用于无障碍标签的名称
+ * @returns {HTMLInputElement} 复选框
+ */
+function createSelectCheckbox(entries, label) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'file-select';
+    checkbox.setAttribute('aria-label', `选择 ${label}`);
+    checkboxEntries.set(checkbox, entries);
+    syncCheckbox(checkbox);
+    
+    checkbox.addEventListener('change', () => {
+        entries.forEach(entry => checkbox.checked ? selectedEntries.add(entry) : selectedEntries.delete(entry));
+        updateSelectionState();
+    });
+    return checkbox;
+}
+
+/**
+ * 根据选择情况设置复选框：全部选中、部分选中（文件夹）或未选中
+ * @param {HTMLInputElement} checkbox - 复选框
+ */
+function syncCheckbox(checkbox) {
+    const entries = checkboxEntries.get(checkbox);
+    const count = entries.filter(entry => selectedEntries.has(entry)).length;
+    checkbox.checked = count > 0 && count === entries.length;
+    checkbox.indeterminate = count > 0 && count < entries.length;
+}
+
+/**
+ * 收集文件夹下的所有条目（包括子文件夹和目录条目本身）
+ * @param {Object} folder - buildFileTree生成的文件夹节点
+ * @returns {Array<Object>} 条目列表
+ */
+function collectFolderEntries(folder) {
+    const entries = folder.entry ? [folder.entry, ...folder.files] : [...folder.files];
+    folder.folders.forEach(child => entries.push(...collectFolderEntries(child)));
+    return entries;
+}
+
+/**
+ * 刷新已渲染的复选框、已选数量和"下载选中"按钮
+ */
+function updateSelectionState() {
+    const { fileList, selectionCount, downloadSelectedBtn } = elements;
+    fileList.querySelectorAll('.file-select').forEach(syncCheckbox);
+    
+    const files = [...selectedEntries].filter(entry => !entry.dir);
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    selectionCount.textContent = files.length ? `已选择${files.length}个文件（${formatFileSize(totalSize)}）` : '';
+    downloadSelectedBtn.disabled = files.length === 0;
+}
+
+/**
+ * 全选或全不选（有筛选条件时全选只选中匹配的文件）
+ * @param {boolean} selected - 是否选中
+ */
+function setAllSelected(selected) {
+    if (!selected) {
+        selectedEntries = new Set();
+    } else {
+        (getFilteredFiles() || Object.values(extractedFiles)).forEach(entry => selectedEntries.add(entry));
+    }
+    updateSelectionState();
+}
+
+/**
+ * 按通配符规则选择文件（在已有的选择上追加）
+ */
+function selectByPattern() {
+    const pattern = elements.selectPattern.value.trim();
+    if (!pattern) return;
+    
+    // 与文件夹树一致，忽略路径开头的"./"和"/"
+    const regex = globToRegExp(pattern);
+    const matches = Object.values(extractedFiles).filter(entry =>
+        !entry.dir && regex.test(entry.path.replace(/^(\.?\/)+/, ''))
+    );
+    if (matches.length === 0) {
+        showError(`没有与"${pattern}"匹配的文件`);
+        return;
+    }
+    
+    matches.forEach(entry => selectedEntries.add(entry));
+    updateSelectionState();
+}
+
+/**
+ * 为文件项添加"详情"按钮，点击后在下方展开条目的元数据
+ * @param {HTMLElement} item - 文件或文件夹项元素
+ * @param {Object} entry - 解压得到的条目
+ */
+function addDetailsToggle(item, entry) {
+    const button = document.createElement('button');
+    button.className = 'details-btn';
+    button.title = '详细信息';
+    button.setAttribute('aria-expanded', 'false');
+    button.innerHTML = '<i class="fas fa-info-circle"></i>';
+    item.querySelector('.file-action').prepend(button);
+    
+    let details = null;
+    button.addEventListener('click', () => {
+        if (!details) {
+            details = createDetailsPanel(entry);
+            details.style.setProperty('--depth', item.style.getPropertyValue('--depth'));
+            item.after(details);
+        } else {
+            details.hidden = !details.hidden;
+        }
+        button.setAttribute('aria-expanded', String(!details.hidden));
+    });
+}
+
+/**
+ * 创建条目详情面板：类型、链接目标、权限、所有者和修改时间
+ * @param {Object} entry - 解压得到的条目
+ * @returns {HTMLElement} 详情面板
+ */
+function createDetailsPanel(entry) {
+    const rows = [['类型', ENTRY_KIND_LABELS[entry.kind] || entry.kind]];
+    if (entry.linkTarget) rows.push(['链接目标', entry.linkTarget]);
+    if (entry.mode !== null) rows.push(['权限', formatPermissions(entry.mode, entry.kind)]);
+    if (entry.owner) rows.push(['所有者', entry.owner]);
+    if (entry.lastModified !== null) rows.push(['修改时间', formatDateTime(entry.lastModified, true)]);
+    if (entry.compression) rows.push(['压缩方式', entry.compression === 'store' ? '存储（不压缩）' : 'Deflate']);
+    if (entry.damaged) rows.push(['损坏', `${entry.damaged.message}（${entry.damaged.code}）`]);
+    
+    const panel = document.createElement('dl');
+    panel.className = 'file-details';
+    panel.innerHTML = rows.map(([label, value]) =>
+        `<div><dt>${label}</dt><dd>${escapeHtml(value)}</dd></div>`
+    ).join('');
+    return panel;
+}
+
+/**
+ * 打开文件预览（所有内容均在本地读取，不会上传）
+ * @param {Object} file - 文件对象
+ */
+async function previewFile(file) {
+    const { previewPopup, previewTitle, previewEncoding, previewNote, previewBody } = elements;
+    closePreview();
+    
+    previewState = { file, bytes: null, truncated: false, objectUrl: null };
+    previewTitle.textContent = file.path;
+    previewTitle.title = file.path;
+    previewEncoding.hidden = true;
+    previewNote.textContent = '';
+    previewBody.innerHTML = '';
+    previewPopup.style.display = 'flex';
+    
+    try {
+        const mimeType = getMimeType(file.path);
+        const mediaType = getMediaPreviewType(mimeType);
+        if (mediaType) {
+            renderMediaPreview(file, mimeType, mediaType);
+            return;
+        }
+        
+        const state = previewState;
+        const bytes = new Uint8Array(await file.content.slice(0, PREVIEW_TEXT_LIMIT).arrayBuffer());
+        // 读取期间预览已被关闭或切换到其他文件
+        if (previewState !== state) return;
+        
+        state.bytes = bytes;
+        state.truncated = file.size > bytes.length;
+        
+        if (isBinaryData(bytes)) {
+            renderHexPreview();
+        } else {
+            const { encoding } = detectTextEncoding(bytes, state.truncated);
+            previewEncoding.value = encoding;
+            previewEncoding.hidden = false;
+            renderTextPreview(encoding);
+        }
+    } catch (error) {
+        console.error('预览失败:', error);
+        previewBody.textContent = '预览失败: ' + error.message;
+    }
+}
+
+/**
+ * 关闭预览并释放对象URL
+ */
+function closePreview() {
+    if (!previewState) return;
+    
+    if (previewState.objectUrl) {
+        URL.revokeObjectURL(previewState.objectUrl);
+    }
+    previewState = null;
+    elements.previewBody.innerHTML = '';
+    elements.previewPopup.style.display = 'none';
+}
+
+/**
+ * 打开图片压缩前后的对比视图
+ * 原图和压缩后的图片叠放在同一个容器中，缩放和平移自然同步；分割线左边显示原图，右边显示压缩后的图片
+ * @param {Object} file - 图片压缩结果（original为原图，quality、options为压缩参数）
+ */
+function openCompare(file) {
+    const { comparePopup, compareTitle, compareQuality, compareQualityValue, compareOriginal, compareCompressed } = elements;
+    closeCompare();
+    
+    compareState = {
+        file,
+        zoom: 1,
+        x: 0,
+        y: 0,
+        split: 0.5,
+        originalUrl: URL.createObjectURL(file.original),
+        compressedUrl: URL.createObjectURL(file.content),
+        version: 0,
+        timer: null,
+        changed: false,
+        // 输出PNG时toBlob忽略质量参数，调整质量不会改变结果
+        lossless: getImageOutputFormat(file.original.type, file.options.format) === 'image/png'
+    };
+    compareTitle.textContent = file.name;
+    compareTitle.title = file.name;
+    compareQuality.value = Math.round(file.quality * 100);
+    compareQualityValue.textContent = compareQuality.value;
+    compareQuality.disabled = compareState.lossless;
+    comparePopup.style.display = 'flex';
+    
+    // 原图加载后缩放到适合窗口（见fitCompare）
+    compareOriginal.src = compareState.originalUrl;
+    compareCompressed.src = compareState.compressedUrl;
+    updateCompareNote();
+}
+
+/**
+ * 关闭对比视图并释放对象URL，重新压缩过时刷新结果列表
+ */
+function closeCompare() {
+    if (!compareState) return;
+    
+    const { originalUrl, compressedUrl, timer, changed } = compareState;
+    clearTimeout(timer);
+    URL.revokeObjectURL(originalUrl);
+    URL.revokeObjectURL(compressedUrl);
+    compareState = null;
+    elements.compareOriginal.removeAttribute('src');
+    elements.compareCompressed.removeAttribute('src');
+    elements.comparePopup.style.display = 'none';
+    
+    if (changed) {
+        updateImageCompressInfo();
+        displayFiles();
+    }
+}
+
+/**
+ * 按当前的缩放、平移和分割位置更新对比视图
+ */
+function renderCompare() {
+    const { compareBody, compareStage, compareCompressed, compareDivider, compareZoom } = elements;
+    const { zoom, x, y, split } = compareState;
+    const splitX = compareBody.clientWidth * split;
+    const pixelRatio = window.devicePixelRatio || 1;
+    
+    compareStage.style.transform = `translate(${x}px, ${y}px) scale(${zoom})`;
+    // 分割线固定在视图中，换算为图片坐标后裁掉压缩后图片在分割线左边的部分
+    compareCompressed.style.clipPath = `inset(0 0 0 ${Math.max(0, (splitX - x) / zoom)}px)`;
+    // 放大到2倍以上时显示清晰的像素，方便查看压缩痕迹
+    compareStage.classList.toggle('pixelated', zoom * pixelRatio >= 2);
+    compareDivider.style.left = splitX + 'px';
+    compareDivider.setAttribute('aria-valuenow', Math.round(split * 100));
+    compareZoom.textContent = Math.round(zoom * pixelRatio * 100) + '%';
+}
+
+/**
+ * 把原图缩放到适合窗口的大小（小图不放大）并居中
+ */
+function fitCompare() {
+    const { compareBody, compareStage, compareOriginal } = elements;
+    const { naturalWidth: width, naturalHeight: height } = compareOriginal;
+    if (!compareState || !width) return;
+    
+    // 压缩后的图片可能被缩小过，按原图尺寸显示才能逐像素对比
+    compareStage.style.width = width + 'px';
+    compareStage.style.height = height + 'px';
+    const zoom = Math.min(compareBody.clientWidth / width, compareBody.clientHeight / height, 1);
+    Object.assign(compareState, {
+        zoom,
+        x: (compareBody.clientWidth - width * zoom) / 2,
+        y: (compareBody.clientHeight - height * zoom) / 2
+    });
+    renderCompare();
+    updateCompareNote();
+}
+
+/**
+ * 以某一点为中心缩放对比视图，该点下的图片内容保持不动
+ * @param {number} zoom - 新的缩放比例（1为一个图片像素对应一个CSS像素）
+ * @param {number} [centerX] - 中心点相对于视图的横坐标，默认为视图中心
+ * @param {number} [centerY] - 中心点相对于视图的纵坐标，默认为视图中心
+ */
+function zoomCompare(zoom, centerX = elements.compareBody.clientWidth / 2, centerY = elements.compareBody.clientHeight / 2) {
+    const state = compareState;
+    zoom = Math.min(Math.max(zoom, 0.02), 32);
+    state.x = centerX - (centerX - state.x) * zoom / state.zoom;
+    state.y = centerY - (centerY - state.y) * zoom / state.zoom;
+    state.zoom = zoom;
+    renderCompare();
+}
+
+/**
+ * 滚轮缩放对比视图
+ */
+function handleCompareWheel(e) {
+    if (!compareState) return;
+    e.preventDefault();
+    const rect = elements.compareBody.getBoundingClientRect();
+    zoomCompare(compareState.zoom * Math.pow(1.2, -Math.sign(e.deltaY)), e.clientX - rect.left, e.clientY - rect.top);
+}
+
+/**
+ * 双击在适合窗口和1:1像素之间切换
+ */
+function handleCompareDoubleClick(e) {
+    if (!compareState || e.target === elements.compareDivider) return;
+    const actualZoom = 1 / (window.devicePixelRatio || 1);
+    if (Math.abs(compareState.zoom - actualZoom) < 1e-6) {
+        fitCompare();
+    } else {
+        const rect = elements.compareBody.getBoundingClientRect();
+        zoomCompare(actualZoom, e.clientX - rect.left, e.clientY - rect.top);
+    }
+}
+
+/**
+ * 拖动分割线改变分割位置，拖动其他地方平移图片
+ */
+function handleComparePointerDown(e) {
+    if (!compareState || e.button !== 0) return;
+    const { compareBody, compareDivider } = elements;
+    const state = compareState;
+    const draggingSplit = e.target === compareDivider;
+    const rect = compareBody.getBoundingClientRect();
+    const offsetX = e.clientX - state.x;
+    const offsetY = e.clientY - state.y;
+    
+    compareBody.setPointerCapture(e.pointerId);
+    compareBody.classList.add(draggingSplit ? 'dragging-split' : 'panning');
+    
+    const handleMove = (event) => {
+        if (compareState !== state) return;
+        if (draggingSplit) {
+            state.split = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+        } else {
+            state.x = event.clientX - offsetX;
+            state.y = event.clientY - offsetY;
+        }
+        renderCompare();
+    };
+    const handleEnd = () => {
+        compareBody.classList.remove('dragging-split', 'panning');
+        compareBody.removeEventListener('pointermove', handleMove);
+        compareBody.removeEventListener('pointerup', handleEnd);
+        compareBody.removeEventListener('pointercancel', handleEnd);
+    };
+    compareBody.addEventListener('pointermove', handleMove);
+    compareBody.addEventListener('pointerup', handleEnd);
+    compareBody.addEventListener('pointercancel', handleEnd);
+}
+
+/**
+ * 按对比视图中的质量重新压缩图片，替换结果列表中的文件
+ */
+async function recompressCompareImage() {
+    const state = compareState;
+    const { file } = state;
+    const quality = parseInt(elements.compareQuality.value) / 100;
+    const version = ++state.version;
+    elements.compareNote.textContent = '正在重新压缩...';
+    
+    try {
+        const blob = await runImageTask(file.original, quality, file.options);
+        // 压缩期间对比已关闭，或滑块又移动过（只显示最后一次的结果）
+        if (compareState !== state || version !== state.version) return;
+        
+        Object.assign(file, {
+            content: blob,
+            size: blob.size,
+            type: blob.type,
+            quality,
+            compressionRatio: ((file.originalSize - blob.size) / file.originalSize * 100).toFixed(1)
+        });
+        state.changed = true;
+        URL.revokeObjectURL(state.compressedUrl);
+        state.compressedUrl = URL.createObjectURL(blob);
+        elements.compareCompressed.src = state.compressedUrl;
+        updateCompareNote();
+    } catch (error) {
+        if (compareState !== state || version !== state.version) return;
+        console.error('重新压缩失败:', error);
+        elements.compareNote.textContent = '重新压缩失败: ' + error.message;
+    }
+}
+
+/**
+ * 显示原图和压缩后图片的大小、尺寸和压缩率
+ */
+function updateCompareNote() {
+    if (!compareState) return;
+    const { compareOriginal, compareCompressed, compareNote } = elements;
+    const { file, lossless } = compareState;
+    const describe = (size, img) => formatFileSize(size) + (img.naturalWidth ? `，${img.naturalWidth}×${img.naturalHeight}` : '');
+    compareNote.textContent = `原图 ${describe(file.originalSize, compareOriginal)} → 压缩后 ${describe(file.size, compareCompressed)}（减小${file.compressionRatio}%）。` +
+        (lossless ? 'PNG是无损格式，压缩质量对它不起作用，可转换为JPEG、WebP或AVIF后再调整。' : '') +
+        '滚轮缩放，拖动平移，双击切换适合窗口和1:1像素';
+}
+
+/**
+ * 根据MIME类型判断可以用浏览器直接展示的媒体类型
+ * @param {string} mimeType - MIME类型
+ * @returns {string|null} 'image'、'pdf'、'audio'、'video'，不支持时返回null
+ */
+function getMediaPreviewType(mimeType) {
+    if (mimeType === 'application/pdf') return 'pdf';
+    
+    const category = mimeType.split('/')[0];
+    return ['image', 'audio', 'video'].includes(category) ? category : null;
+}
+
+/**
+ * 渲染图片、PDF、音频和视频预览
+ * @param {Object} file - 文件对象
+ * @param {string} mimeType - MIME类型
+ * @param {string} mediaType - getMediaPreviewType返回的媒体类型
  */
-function createFileItem(file) {
-    const fileItem = document.createElement('div');
-    fileItem.className = 'file-item';
+function renderMediaPreview(file, mimeType, mediaType) {
+    // 解压得到的Blob没有类型，需要带上MIME类型浏览器才能正确展示（如SVG、PDF）
+    const typedBlob = file.content.slice(0, file.content.size, mimeType);
+    const objectUrl = URL.createObjectURL(typedBlob);
+    previewState.objectUrl = objectUrl;
     
-    const fileIcon = getFileIcon(file.name);
+    const tagNames = { image: 'img', pdf: 'iframe', audio: 'audio', video: 'video' };
+    const media = document.createElement(tagNames[mediaType]);
+    media.className = `preview-media preview-${mediaType}`;
+    media.src = objectUrl;
+    if (mediaType === 'audio' || mediaType === 'video') {
+        media.controls = true;
+    }
+    if (mediaType === 'image') {
+        media.alt = file.name;
+    }
+    media.onerror = () => {
+        elements.previewNote.textContent = '浏览器无法播放或显示此文件，请下载后查看';
+    };
     
-    // 如果是图片压缩结果，显示压缩信息
-    let sizeDisplay = formatFileSize(file.size);
-    if (file.originalSize && file.compressionRatio) {
-        sizeDisplay = `${formatFileSize(file.size)} <small style="color: var(--secondary-color);">(-${file.compressionRatio}%)</small>`;
+    elements.previewBody.appendChild(media);
+}
+
+/**
+ * 判断数据是否为二进制（含有NUL字节，UTF-16文本除外）
+ * @param {Uint8Array} bytes - 文件开头的数据
+ * @returns {boolean} 是否为二进制
+ */
+function isBinaryData(bytes) {
+    const hasUtf16Bom = (bytes[0] === 0xFF && bytes[1] === 0xFE) || (bytes[0] === 0xFE && bytes[1] === 0xFF);
+    return !hasUtf16Bom && bytes.subarray(0, 8192).includes(0);
+}
+
+/**
+ * 按指定编码渲染文本预览，支持语法高亮
+ * @param {string} encoding - 文本编码
+ */
+function renderTextPreview(encoding) {
+    if (!previewState || !previewState.bytes) return;
+    
+    const { file, bytes, truncated } = previewState;
+    const { previewBody, previewNote } = elements;
+    const text = new TextDecoder(encoding).decode(bytes, { stream: truncated });
+    
+    const code = document.createElement('code');
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    const canHighlight = typeof hljs !== 'undefined' && hljs.getLanguage(extension) && bytes.length <= PREVIEW_HIGHLIGHT_LIMIT;
+    
+    if (canHighlight) {
+        code.innerHTML = hljs.highlight(text, { language: extension, ignoreIllegals: true }).value;
+        code.className = 'hljs';
+    } else {
+        code.textContent = text;
     }
     
-    fileItem.innerHTML = `
-        <div class="file-name">
-            <i class="${fileIcon}"></i>
-            <span title="${file.path}">${file.path}</span>
-        </div>
-        <div class="file-size">${sizeDisplay}</div>
-        <div class="file-action">
-            <button onclick="downloadFile(extractedFiles['${file.path}'])">
-                <i class="fas fa-download"></i> 下载
-            </button>
-        </div>
-    `;
+    const pre = document.createElement('pre');
+    pre.className = 'preview-text';
+    pre.appendChild(code);
+    previewBody.innerHTML = '';
+    previewBody.appendChild(pre);
     
-    return fileItem;
+    previewNote.textContent = truncated ? `文件较大，仅显示前${formatFileSize(PREVIEW_TEXT_LIMIT)}` : '';
+}
+
+/**
+ * 渲染十六进制预览（偏移量、十六进制字节和可打印字符）
+ */
+function renderHexPreview() {
+    const { file, bytes } = previewState;
+    const { previewBody, previewNote } = elements;
+    const length = Math.min(bytes.length, PREVIEW_HEX_LIMIT);
+    const lines = [];
+    
+    for (let offset = 0; offset < length; offset += 16) {
+        const row = bytes.subarray(offset, Math.min(offset + 16, length));
+        const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0')).join(' ');
+        const ascii = Array.from(row, byte => (byte >= 0x20 && byte < 0x7F) ? String.fromCharCode(byte) : '.').join('');
+        lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47, ' ')}  ${ascii}`);
+    }
+    
+    const pre = document.createElement('pre');
+    pre.className = 'preview-text preview-hex';
+    pre.textContent = lines.join('\n');
+    previewBody.innerHTML = '';
+    previewBody.appendChild(pre);
+    
+    previewNote.textContent = file.size > length ?
+        `二进制文件，仅显示前${formatFileSize(PREVIEW_HEX_LIMIT)}` : '二进制文件';
 }
 
 /**
@@ -923,13 +2610,33 @@ function getFileIcon(fileName) {
         
         // 压缩文件
         'zip': 'fas fa-file-archive',
+        '7z': 'fas fa-file-archive',
         'tar': 'fas fa-file-archive',
-        'gz': 'fas fa-file-archive'
+        'gz': 'fas fa-file-archive',
+        'bz2': 'fas fa-file-archive',
+        'xz': 'fas fa-file-archive',
+        'zst': 'fas fa-file-archive'
     };
     
     return iconMap[extension] || 'fas fa-file';
 }
 
+/**
+ * 获取特殊条目类型的图标类
+ * @param {string} kind - 条目类型
+ * @returns {string} 图标类名
+ */
+function getEntryKindIcon(kind) {
+    const iconMap = {
+        symlink: 'fas fa-link',
+        hardlink: 'fas fa-link',
+        'character-device': 'fas fa-microchip',
+        'block-device': 'fas fa-hdd',
+        fifo: 'fas fa-stream'
+    };
+    return iconMap[kind] || 'fas fa-file';
+}
+
 /**
  * 下载单个文件
  * @param {Object} file - 要下载的文件对象
@@ -945,26 +2652,55 @@ function downloadFile(file) {
     URL.revokeObjectURL(url);
 }
 
+/**
+ * 将文件夹打包为ZIP下载
+ * @param {Object} folder - buildFileTree生成的文件夹节点
+ */
+async function downloadFolder(folder) {
+    try {
+        const zip = new JSZip();
+        
+        // 以文件夹本身作为ZIP的顶层目录，空子文件夹同样保留
+        const addFolder = (node, prefix) => {
+            const folderPath = prefix + node.name + '/';
+            zip.folder(folderPath);
+            node.files.forEach(file => file.content && zip.file(folderPath + file.name, file.content));
+            node.folders.forEach(child => addFolder(child, folderPath));
+        };
+        addFolder(folder, '');
+        
+        const zipBlob = await zip.generateAsync({ type: 'blob' });
+        downloadFile({ name: folder.name + '.zip', content: zipBlob });
+        
+    } catch (error) {
+        console.error('创建ZIP失败:', error);
+        showError('创建ZIP失败: ' + error.message, error);
+    }
+}
+
 /**
  * 下载所有文件（创建一个ZIP）
  */
 async function downloadAllFiles() {
     try {
-        // 如果只有一个文件，直接下载
-        const fileCount = Object.keys(extractedFiles).length;
-        if (fileCount === 1) {
-            const file = extractedFiles[Object.keys(extractedFiles)[0]];
-            downloadFile(file);
+        // 如果只有一个文件（且没有目录），直接下载
+        const paths = Object.keys(extractedFiles);
+        if (paths.length === 1 && !extractedFiles[paths[0]].dir) {
+            downloadFile(extractedFiles[paths[0]]);
             return;
         }
         
         // 创建新的ZIP文件
         const zip = new JSZip();
         
-        // 添加所有文件到ZIP
+        // 添加所有文件到ZIP（目录单独添加，以保留空文件夹）
         for (const path in extractedFiles) {
             const file = extractedFiles[path];
-            zip.file(path, file.content);
+            if (file.dir) {
+                zip.folder(path);
+            } else if (file.content) {
+                zip.file(path, file.content);
+            }
         }
         
         // 生成ZIP文件
@@ -972,7 +2708,7 @@ async function downloadAllFiles() {
         
         // 创建下载链接
         const zipName = currentFile ? 
-            currentFile.name.replace(/\.[^/.]+$/, '') + '_extracted.zip' :
+            getArchiveBaseName(currentFile.name) + '_extracted.zip' :
             'files.zip';
         const url = URL.createObjectURL(zipBlob);
         const a = document.createElement('a');
@@ -985,10 +2721,241 @@ async function downloadAllFiles() {
         
     } catch (error) {
         console.error('创建ZIP失败:', error);
-        showError('创建ZIP失败: ' + error.message);
+        showError('创建ZIP失败: ' + error.message, error);
+    }
+}
+
+/**
+ * 把所有文件写入用户选择的本地文件夹（File System Access API），按路径重建文件夹结构
+ * 遇到同名文件时询问覆盖、跳过还是保留两者；浏览器不支持时退回打包为ZIP下载
+ */
+async function extractToFolder() {
+    if (!window.showDirectoryPicker) {
+        downloadAllFiles();
+        return;
+    }
+    
+    let root;
+    try {
+        root = await window.showDirectoryPicker({ mode: 'readwrite' });
+    } catch (error) {
+        // 取消了选择
+        if (error.name === 'AbortError') return;
+        console.error('打开文件夹失败:', error);
+        showError('打开文件夹失败: ' + error.message, error);
+        return;
+    }
+    
+    const { processingSection, resultSection, extractFolderStatus } = elements;
+    // 符号链接、设备等没有内容的特殊条目无法写入
+    const entries = Object.values(extractedFiles).filter(entry => entry.dir || entry.content);
+    const directories = new Map([['', root]]);
+    // 文件夹路径 -> 其中已有的名称（小写，Windows和macOS的文件名不区分大小写）
+    const existingNames = new Map();
+    const failures = [];
+    let written = 0, skipped = 0, renamed = 0, cancelled = false;
+    // 勾选"之后的同名文件都这样处理"后记住的操作
+    let conflictAction = null;
+    
+    showProcessingUI(`正在写入文件夹"${root.name}"...`);
+    for (let i = 0; i < entries.length && !cancelled; i++) {
+        const entry = entries[i];
+        const path = getTreePath(entry.path);
+        try {
+            if (entry.dir) {
+                if (path) await getLocalDirectory(directories, path);
+                continue;
+            }
+            
+            const folderPath = path.slice(0, path.lastIndexOf('/') + 1);
+            const directory = await getLocalDirectory(directories, folderPath);
+            if (!existingNames.has(folderPath)) {
+                existingNames.set(folderPath, await listLocalNames(directory));
+            }
+            const names = existingNames.get(folderPath);
+            let name = path.slice(folderPath.length);
+            
+            if (names.has(name.toLowerCase())) {
+                let action = conflictAction;
+                if (!action) {
+                    const choice = await requestConflictChoice(path);
+                    if (!choice) {
+                        cancelled = true;
+                        continue;
+                    }
+                    action = choice.action;
+                    if (choice.applyToAll) conflictAction = action;
+                }
+                if (action === 'skip') {
+                    skipped++;
+                    continue;
+                }
+                if (action === 'rename') {
+                    name = getUniqueFileName(name, names);
+                    renamed++;
+                }
+            }
+            
+            await writeLocalFile(directory, name, entry.content);
+            names.add(name.toLowerCase());
+            written++;
+        } catch (error) {
+            failures.push({ path: entry.path, code: 'WRITE_FAILED', message: error.message });
+        } finally {
+            updateProgress(Math.floor(((i + 1) / entries.length) * 100));
+        }
+    }
+    
+    processingSection.style.display = 'none';
+    resultSection.style.display = 'block';
+    extractFolderStatus.textContent = [
+        `${cancelled ? '已停止，' : ''}已写入${written}个文件到"${root.name}"`,
+        renamed ? `其中${renamed}个已重命名` : '',
+        skipped ? `跳过${skipped}个同名文件` : ''
+    ].filter(Boolean).join('，');
+    
+    if (failures.length) {
+        showError(`${failures.length}个文件写入失败，其余文件已写入"${root.name}"`,
+            Object.assign(createArchiveError('PARTIAL_FAILURE', `${failures.length}个文件写入失败`), { failures }));
+    }
+}
+
+/**
+ * 获取（必要时逐级创建）本地文件夹中的子文件夹
+ * @param {Map<string, FileSystemDirectoryHandle>} directories - 已打开的文件夹：路径（以/结尾，根目录为空字符串）-> 句柄
+ * @param {string} path - 文件夹路径
+ * @returns {Promise<FileSystemDirectoryHandle>} 文件夹句柄
+ */
+async function getLocalDirectory(directories, path) {
+    if (!directories.has(path)) {
+        const slash = path.lastIndexOf('/', path.length - 2);
+        const parent = await getLocalDirectory(directories, path.slice(0, slash + 1));
+        directories.set(path, await parent.getDirectoryHandle(path.slice(slash + 1, -1), { create: true }));
+    }
+    return directories.get(path);
+}
+
+/**
+ * 列出本地文件夹中已有的文件和文件夹名称
+ * @param {FileSystemDirectoryHandle} directory - 文件夹句柄
+ * @returns {Promise<Set<string>>} 小写的名称
+ */
+async function listLocalNames(directory) {
+    const names = new Set();
+    for await (const name of directory.keys()) {
+        names.add(name.toLowerCase());
+    }
+    return names;
+}
+
+/**
+ * 把内容写入本地文件夹中的文件，已有的文件会被覆盖
+ * @param {FileSystemDirectoryHandle} directory - 文件夹句柄
+ * @param {string} name - 文件名
+ * @param {Blob} content - 文件内容
+ */
+async function writeLocalFile(directory, name, content) {
+    const handle = await directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    try {
+        await writable.write(content);
+        await writable.close();
+    } catch (error) {
+        // 放弃写入，保留原来的文件
+        await writable.abort();
+        throw error;
+    }
+}
+
+/**
+ * 弹出同名文件的处理方式选择框
+ * @param {string} path - 冲突的文件路径
+ * @returns {Promise<{action: string, applyToAll: boolean}|null>} action为'overwrite'、'skip'或'rename'，停止时返回null
+ */
+function requestConflictChoice(path) {
+    const { conflictPopup, conflictMessage, conflictApplyAll, conflictButtons } = elements;
+    conflictMessage.textContent = `目标文件夹中已经有"${path}"\n要覆盖它、跳过这个文件，还是保留两者（新文件自动重命名）？`;
+    conflictApplyAll.checked = false;
+    conflictPopup.style.display = 'flex';
+    
+    return new Promise(resolve => {
+        const handleClick = (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            conflictPopup.style.display = 'none';
+            conflictButtons.removeEventListener('click', handleClick);
+            const { action } = button.dataset;
+            resolve(action === 'cancel' ? null : { action, applyToAll: conflictApplyAll.checked });
+        };
+        conflictButtons.addEventListener('click', handleClick);
+    });
+}
+
+/**
+ * 下载勾选的文件：只有一个文件时直接下载，否则打包为ZIP
+ * 可以保留文件夹结构，或把所有文件放在压缩包根目录
+ */
+async function downloadSelectedFiles() {
+    // 按解压结果的顺序打包
+    const entries = Object.values(extractedFiles).filter(entry => selectedEntries.has(entry));
+    const files = entries.filter(entry => !entry.dir && entry.content);
+    if (files.length === 0) {
+        showError('请先勾选要下载的文件');
+        return;
+    }
+    if (files.length === 1 && entries.length === 1) {
+        downloadFile(files[0]);
+        return;
+    }
+    
+    try {
+        const zip = new JSZip();
+        
+        if (elements.keepPaths.checked) {
+            // 勾选的目录单独添加，以保留空文件夹
+            entries.forEach(entry => {
+                if (entry.dir) {
+                    zip.folder(entry.path);
+                } else if (entry.content) {
+                    zip.file(entry.path, entry.content);
+                }
+            });
+        } else {
+            const usedNames = new Set();
+            files.forEach(file => zip.file(getUniqueFileName(file.name, usedNames), file.content));
+        }
+        
+        const zipBlob = await zip.generateAsync({ type: 'blob' });
+        const zipName = currentFile ?
+            getArchiveBaseName(currentFile.name) + '_selected.zip' :
+            'selected.zip';
+        downloadFile({ name: zipName, content: zipBlob });
+        
+    } catch (error) {
+        console.error('创建ZIP失败:', error);
+        showError('创建ZIP失败: ' + error.message, error);
     }
 }
 
+/**
+ * 生成不重复的文件名，重名时在扩展名前加序号，如"a (2).txt"
+ * 不区分大小写比较，避免在Windows上解压时互相覆盖
+ * @param {string} name - 原文件名
+ * @param {Set<string>} usedNames - 已使用的文件名（小写），新名称会加入其中
+ * @returns {string} 不重复的文件名
+ */
+function getUniqueFileName(name, usedNames) {
+    const dot = name.lastIndexOf('.');
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    
+    let uniqueName = name;
+    for (let i = 2; usedNames.has(uniqueName.toLowerCase()); i++) {
+        uniqueName = `${base} (${i})${extension}`;
+    }
+    usedNames.add(uniqueName.toLowerCase());
+    return uniqueName;
+}
+
 /**
  * 更新进度条
  * @param {number} percent - 进度百分比（0-100）
@@ -1001,14 +2968,81 @@ function updateProgress(percent) {
 
 /**
  * 显示错误弹窗
+ * 传入处理错误时可以展开查看错误类型、定位信息和失败的文件，并复制诊断报告
  * @param {string} message - 错误消息
+ * @param {Error} [error] - 处理错误（code、details，部分失败时failures为[{ path, code, message }]）
  */
-function showError(message) {
-    const { errorMessage, errorPopup } = elements;
+function showError(message, error = null) {
+    const { errorMessage, errorPopup, errorDetails, errorDetailList, errorFailures } = elements;
     errorMessage.textContent = message;
+    errorDetails.hidden = !error;
+    errorDetails.open = false;
+    errorDetailList.innerHTML = '';
+    errorFailures.innerHTML = '';
+    lastErrorReport = '';
+    
+    if (error) {
+        const archiveError = toArchiveError(error);
+        const failures = error.failures || [];
+        const rows = [['错误代码', `${archiveError.code}（${ERROR_CODES[archiveError.code]}）`]];
+        Object.entries(archiveError.details).forEach(([key, value]) => {
+            rows.push([ERROR_DETAIL_LABELS[key] || key, String(value)]);
+        });
+        
+        errorDetailList.innerHTML = rows.map(([label, value]) =>
+            `<div><dt>${label}</dt><dd>${escapeHtml(value)}</dd></div>`
+        ).join('');
+        errorFailures.innerHTML = failures.map(failure =>
+            `<li><span title="${escapeHtml(failure.path)}">${escapeHtml(failure.path)}</span> <small>${escapeHtml(failure.code)}：${escapeHtml(failure.message)}</small></li>`
+        ).join('');
+        lastErrorReport = createErrorReport(message, rows, failures);
+    }
     errorPopup.style.display = 'flex';
 }
 
+/**
+ * 生成诊断报告文本，方便反馈问题
+ * @param {string} message - 错误消息
+ * @param {Array<Array<string>>} rows - 技术细节（名称、值）
+ * @param {Array<Object>} failures - 失败的文件
+ * @returns {string} 诊断报告
+ */
+function createErrorReport(message, rows, failures) {
+    const lines = [
+        '在线解压缩工具诊断报告',
+        `时间: ${new Date().toISOString()}`,
+        `浏览器: ${navigator.userAgent}`,
+        `模式: ${currentMode}`,
+        currentFile ? `文件: ${currentFile.name}（${currentFile.size}字节，${elements.fileFormat.textContent || '未知格式'}）` : null,
+        `错误: ${message}`,
+        ...rows.map(([label, value]) => `${label}: ${value}`)
+    ];
+    if (failures.length) {
+        lines.push(`失败的文件（${failures.length}个）:`);
+        failures.forEach(failure => lines.push(`- ${failure.path} [${failure.code}] ${failure.message}`));
+    }
+    return lines.filter(line => line !== null).join('\n');
+}
+
+/**
+ * 复制诊断报告到剪贴板，不支持剪贴板API时使用execCommand
+ */
+async function copyErrorReport() {
+    const { errorCopy } = elements;
+    try {
+        await navigator.clipboard.writeText(lastErrorReport);
+    } catch (error) {
+        const textarea = document.createElement('textarea');
+        textarea.value = lastErrorReport;
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textarea);
+    }
+    errorCopy.textContent = '已复制';
+    setTimeout(() => errorCopy.textContent = '复制诊断报告', 2000);
+}
+
 /**
  * 重置界面到初始状态
  */
@@ -1021,6 +3055,60 @@ function resetInterface() {
     compressFilesInput && (compressFilesInput.value = '');
     compressFileInput && (compressFileInput.value = '');
     imageCompressInput && (imageCompressInput.value = '');
+    archiveStack = [];
+    renderArchiveBreadcrumb();
+}
+
+/**
+ * 转义HTML特殊字符（文件名来自压缩包，不能直接插入innerHTML）
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * 格式化修改时间
+ * @param {number|null|undefined} timestamp - 毫秒时间戳
+ * @param {boolean} [withSeconds=false] - 是否显示秒
+ * @returns {string} 格式化后的时间，没有时间时返回"-"
+ */
+function formatDateTime(timestamp, withSeconds = false) {
+    if (timestamp === null || timestamp === undefined || isNaN(timestamp)) return '-';
+    
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    const time = `${pad(date.getHours())}:${pad(date.getMinutes())}` + (withSeconds ? `:${pad(date.getSeconds())}` : '');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${time}`;
+}
+
+/**
+ * 格式化UNIX权限（与ls -l相同的形式，附带八进制值）
+ * @param {number} mode - 权限位
+ * @param {string} kind - 条目类型
+ * @returns {string} 如"drwxr-xr-x (0755)"
+ */
+function formatPermissions(mode, kind) {
+    const typeChars = { directory: 'd', symlink: 'l', 'character-device': 'c', 'block-device': 'b', fifo: 'p' };
+    const chars = (typeChars[kind] || '-') + 'rwxrwxrwx'.replace(/./g, (char, i) => (mode & (0o400 >> i)) ? char : '-');
+    const result = chars.split('');
+    
+    // setuid、setgid和粘滞位占用对应的执行位：有执行权限时为小写，否则为大写
+    const special = [[0o4000, 3, 's'], [0o2000, 6, 's'], [0o1000, 9, 't']];
+    for (const [bit, index, char] of special) {
+        if (mode & bit) {
+            result[index] = result[index] === 'x' ? char : char.toUpperCase();
+        }
+    }
+    
+    return `${result.join('')} (${(mode & 0o7777).toString(8).padStart(4, '0')})`;
 }
 
 /**
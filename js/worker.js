@@ -0,0 +1,76 @@
+/**
+ * 后台处理线程：在Web Worker中执行解压、压缩和图片压缩，避免大文件卡住页面
+ *
+ * @author ArsnYeon
+ * @website https://yasuo.zip/
+ * @source https://github.com/arsnyeon/online-unzip-tool
+ * @license MIT License
+ *
+ * 消息协议：
+ * - 主线程 → Worker：{ id, type: 'task', task, payload }
+ * - 主线程 → Worker：{ id, type: 'password-response', password }
+ * - Worker → 主线程：{ type: 'ready' }（依赖脚本加载完成，之后的出错只影响当前任务）
+ * - Worker → 主线程：{ id, type: 'progress', percent }
+ * - Worker → 主线程：{ id, type: 'password-request', message }
+ * - Worker → 主线程：{ id, type: 'result', result }
+ * - Worker → 主线程：{ id, type: 'error', message, code, details }（见processing.js中的createArchiveError）
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/pako/2.1.0/pako.min.js',
+    'zip-crypto.js',
+    'decompressors.js',
+    'processing.js'
+);
+
+self.postMessage({ type: 'ready' });
+
+// 等待主线程回复的密码请求：任务id -> resolve
+const pendingPasswords = new Map();
+
+self.onmessage = function(event) {
+    const message = event.data;
+
+    if (message.type === 'password-response') {
+        const resolve = pendingPasswords.get(message.id);
+        pendingPasswords.delete(message.id);
+        if (resolve) resolve(message.password);
+    } else if (message.type === 'task') {
+        runTask(message);
+    }
+};
+
+/**
+ * 执行一个任务并把进度和结果发回主线程
+ * @param {Object} message - 任务消息（id、task、payload）
+ */
+async function runTask({ id, task, payload }) {
+    let lastPercent = -1;
+    const context = {
+        // 只在百分比变化时发送，减少消息数量
+        onProgress(percent) {
+            if (percent === lastPercent) return;
+            lastPercent = percent;
+            self.postMessage({ id, type: 'progress', percent });
+        },
+        requestPassword(message) {
+            return new Promise(resolve => {
+                pendingPasswords.set(id, resolve);
+                self.postMessage({ id, type: 'password-request', message });
+            });
+        }
+    };
+
+    try {
+        const handler = TASK_HANDLERS[task];
+        if (!handler) {
+            throw new Error(`未知的任务类型：${task}`);
+        }
+        const result = await handler(payload, context);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        const { message, code, details } = toArchiveError(error);
+        self.postMessage({ id, type: 'error', message, code, details });
+    }
+}
@@ -0,0 +1,391 @@
+/**
+ * ZIP加密算法实现
+ *
+ * @author ArsnYeon
+ * @website https://yasuo.zip/
+ * @source https://github.com/arsnyeon/online-unzip-tool
+ * @license MIT License
+ *
+ * 实现功能：
+ * 1. CRC32校验
+ * 2. 传统ZipCrypto加密与解密
+ * 3. WinZip AES-128/192/256加密与解密（AE-1/AE-2）
+ *
+ * 所有运算均在浏览器本地完成，密码和文件内容不会离开本机。
+ */
+
+// CRC32查找表（多项式0xEDB88320）
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[i] = c;
+    }
+    return table;
+})();
+
+/**
+ * 计算CRC32校验值
+ * @param {Uint8Array} data - 数据
+ * @param {number} [crc=0] - 上一段数据的CRC32（用于分段计算）
+ * @returns {number} 无符号CRC32
+ */
+function crc32(data, crc = 0) {
+    crc = ~crc;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * 将密码编码为字节
+ * @param {string} password - 密码
+ * @returns {Uint8Array} UTF-8字节
+ */
+function encodePassword(password) {
+    return new TextEncoder().encode(password);
+}
+
+/* ---------- 传统ZipCrypto ---------- */
+
+// ZipCrypto加密头长度
+const ZIP_CRYPTO_HEADER_SIZE = 12;
+
+/**
+ * 用一个明文字节更新ZipCrypto的三个密钥
+ * @param {Uint32Array} keys - 密钥状态
+ * @param {number} byte - 明文字节
+ */
+function updateZipCryptoKeys(keys, byte) {
+    keys[0] = CRC32_TABLE[(keys[0] ^ byte) & 0xFF] ^ (keys[0] >>> 8);
+    keys[1] = Math.imul(keys[1] + (keys[0] & 0xFF), 134775813) + 1;
+    keys[2] = CRC32_TABLE[(keys[2] ^ (keys[1] >>> 24)) & 0xFF] ^ (keys[2] >>> 8);
+}
+
+/**
+ * 根据密码初始化ZipCrypto密钥
+ * @param {Uint8Array} passwordBytes - 密码字节
+ * @returns {Uint32Array} 密钥状态
+ */
+function createZipCryptoKeys(passwordBytes) {
+    const keys = new Uint32Array([0x12345678, 0x23456789, 0x34567890]);
+    for (const byte of passwordBytes) {
+        updateZipCryptoKeys(keys, byte);
+    }
+    return keys;
+}
+
+/**
+ * 原地解密ZipCrypto数据
+ * @param {Uint32Array} keys - 密钥状态
+ * @param {Uint8Array} data - 密文，解密后被覆盖为明文
+ */
+function zipCryptoDecryptInPlace(keys, data) {
+    for (let i = 0; i < data.length; i++) {
+        const temp = (keys[2] | 2) & 0xFFFF;
+        const plain = data[i] ^ ((Math.imul(temp, temp ^ 1) >>> 8) & 0xFF);
+        data[i] = plain;
+        updateZipCryptoKeys(keys, plain);
+    }
+}
+
+/**
+ * 原地加密ZipCrypto数据
+ * @param {Uint32Array} keys - 密钥状态
+ * @param {Uint8Array} data - 明文，加密后被覆盖为密文
+ */
+function zipCryptoEncryptInPlace(keys, data) {
+    for (let i = 0; i < data.length; i++) {
+        const temp = (keys[2] | 2) & 0xFFFF;
+        const plain = data[i];
+        data[i] = plain ^ ((Math.imul(temp, temp ^ 1) >>> 8) & 0xFF);
+        updateZipCryptoKeys(keys, plain);
+    }
+}
+
+/**
+ * 使用ZipCrypto加密条目数据
+ * @param {Uint8Array} data - 压缩后的数据
+ * @param {Uint8Array} passwordBytes - 密码字节
+ * @param {number} checkByte - 写入加密头最后一个字节的校验值（通常为CRC的高位字节）
+ * @returns {Uint8Array} 12字节加密头 + 密文
+ */
+function encryptZipCrypto(data, passwordBytes, checkByte) {
+    const output = new Uint8Array(ZIP_CRYPTO_HEADER_SIZE + data.length);
+    crypto.getRandomValues(output.subarray(0, ZIP_CRYPTO_HEADER_SIZE - 1));
+    output[ZIP_CRYPTO_HEADER_SIZE - 1] = checkByte;
+    output.set(data, ZIP_CRYPTO_HEADER_SIZE);
+
+    zipCryptoEncryptInPlace(createZipCryptoKeys(passwordBytes), output);
+    return output;
+}
+
+/**
+ * 解密ZipCrypto加密的条目数据
+ * @param {Uint8Array} data - 条目的原始数据（含12字节加密头）
+ * @param {Uint8Array} passwordBytes - 密码字节
+ * @param {number} checkByte - 加密头最后一个字节的期望值（CRC或修改时间的高位字节）
+ * @returns {Uint8Array|null} 解密后的压缩数据，密码错误时返回null
+ */
+function decryptZipCrypto(data, passwordBytes, checkByte) {
+    if (data.length < ZIP_CRYPTO_HEADER_SIZE) {
+        throw new Error('加密数据不完整');
+    }
+
+    const keys = createZipCryptoKeys(passwordBytes);
+    const header = data.slice(0, ZIP_CRYPTO_HEADER_SIZE);
+    zipCryptoDecryptInPlace(keys, header);
+    if (header[ZIP_CRYPTO_HEADER_SIZE - 1] !== checkByte) {
+        return null;
+    }
+
+    const payload = data.slice(ZIP_CRYPTO_HEADER_SIZE);
+    zipCryptoDecryptInPlace(keys, payload);
+    return payload;
+}
+
+/* ---------- AES ---------- */
+
+// AES的S盒与加密查找表（只需要加密方向，CTR模式解密同样使用加密运算）
+const AES_TABLES = (() => {
+    const sbox = new Uint8Array(256);
+    const xtime = new Uint8Array(256);
+    const log = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+        xtime[i] = (i << 1) ^ ((i >> 7) * 0x11B);
+        log[xtime[i] ^ i] = i;
+    }
+
+    // 依次遍历GF(2^8)中的元素及其逆元，生成S盒
+    for (let x = 0, xInv = 0; !sbox[x]; x ^= xtime[x] || 1, xInv = log[xInv] || 1) {
+        let s = xInv ^ (xInv << 1) ^ (xInv << 2) ^ (xInv << 3) ^ (xInv << 4);
+        s = (s >> 8) ^ (s & 0xFF) ^ 0x63;
+        sbox[x] = s;
+    }
+
+    const te0 = new Uint32Array(256);
+    const te1 = new Uint32Array(256);
+    const te2 = new Uint32Array(256);
+    const te3 = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        const s = sbox[i];
+        const t = ((xtime[s] << 24) | (s << 16) | (s << 8) | (xtime[s] ^ s)) >>> 0;
+        te0[i] = t;
+        te1[i] = ((t >>> 8) | (t << 24)) >>> 0;
+        te2[i] = ((t >>> 16) | (t << 16)) >>> 0;
+        te3[i] = ((t >>> 24) | (t << 8)) >>> 0;
+    }
+
+    return { sbox, xtime, te0, te1, te2, te3 };
+})();
+
+/**
+ * 扩展AES密钥
+ * @param {Uint8Array} key - 16/24/32字节的密钥
+ * @returns {Uint32Array} 轮密钥
+ */
+function expandAesKey(key) {
+    const { sbox, xtime } = AES_TABLES;
+    const keyWords = key.length / 4;
+    const rounds = keyWords + 6;
+    const roundKeys = new Uint32Array(4 * (rounds + 1));
+
+    for (let i = 0; i < keyWords; i++) {
+        roundKeys[i] = (key[4 * i] << 24) | (key[4 * i + 1] << 16) | (key[4 * i + 2] << 8) | key[4 * i + 3];
+    }
+
+    let rcon = 1;
+    for (let i = keyWords; i < roundKeys.length; i++) {
+        let t = roundKeys[i - 1];
+        if (i % keyWords === 0) {
+            t = (sbox[(t >>> 16) & 0xFF] << 24) | (sbox[(t >>> 8) & 0xFF] << 16) | (sbox[t & 0xFF] << 8) | sbox[t >>> 24];
+            t ^= rcon << 24;
+            rcon = xtime[rcon];
+        } else if (keyWords > 6 && i % keyWords === 4) {
+            t = (sbox[t >>> 24] << 24) | (sbox[(t >>> 16) & 0xFF] << 16) | (sbox[(t >>> 8) & 0xFF] << 8) | sbox[t & 0xFF];
+        }
+        roundKeys[i] = roundKeys[i - keyWords] ^ t;
+    }
+
+    return roundKeys;
+}
+
+/**
+ * 加密一个16字节的AES块
+ * @param {Uint32Array} roundKeys - 轮密钥
+ * @param {Uint8Array} input - 明文块
+ * @param {Uint8Array} output - 输出的密文块
+ */
+function encryptAesBlock(roundKeys, input, output) {
+    const { sbox, te0, te1, te2, te3 } = AES_TABLES;
+    const rounds = roundKeys.length / 4 - 1;
+
+    let s0 = ((input[0] << 24) | (input[1] << 16) | (input[2] << 8) | input[3]) ^ roundKeys[0];
+    let s1 = ((input[4] << 24) | (input[5] << 16) | (input[6] << 8) | input[7]) ^ roundKeys[1];
+    let s2 = ((input[8] << 24) | (input[9] << 16) | (input[10] << 8) | input[11]) ^ roundKeys[2];
+    let s3 = ((input[12] << 24) | (input[13] << 16) | (input[14] << 8) | input[15]) ^ roundKeys[3];
+
+    let k = 4;
+    for (let round = 1; round < rounds; round++, k += 4) {
+        const t0 = te0[s0 >>> 24] ^ te1[(s1 >>> 16) & 0xFF] ^ te2[(s2 >>> 8) & 0xFF] ^ te3[s3 & 0xFF] ^ roundKeys[k];
+        const t1 = te0[s1 >>> 24] ^ te1[(s2 >>> 16) & 0xFF] ^ te2[(s3 >>> 8) & 0xFF] ^ te3[s0 & 0xFF] ^ roundKeys[k + 1];
+        const t2 = te0[s2 >>> 24] ^ te1[(s3 >>> 16) & 0xFF] ^ te2[(s0 >>> 8) & 0xFF] ^ te3[s1 & 0xFF] ^ roundKeys[k + 2];
+        const t3 = te0[s3 >>> 24] ^ te1[(s0 >>> 16) & 0xFF] ^ te2[(s1 >>> 8) & 0xFF] ^ te3[s2 & 0xFF] ^ roundKeys[k + 3];
+        s0 = t0; s1 = t1; s2 = t2; s3 = t3;
+    }
+
+    // 最后一轮没有列混合
+    const state = [s0, s1, s2, s3];
+    for (let i = 0; i < 4; i++) {
+        const word = ((sbox[state[i] >>> 24] << 24) |
+            (sbox[(state[(i + 1) % 4] >>> 16) & 0xFF] << 16) |
+            (sbox[(state[(i + 2) % 4] >>> 8) & 0xFF] << 8) |
+            sbox[state[(i + 3) % 4] & 0xFF]) ^ roundKeys[k + i];
+        output[4 * i] = word >>> 24;
+        output[4 * i + 1] = (word >>> 16) & 0xFF;
+        output[4 * i + 2] = (word >>> 8) & 0xFF;
+        output[4 * i + 3] = word & 0xFF;
+    }
+}
+
+/**
+ * WinZip AES使用的CTR模式（计数器从1开始，小端序递增）
+ * 加密和解密是同一个运算
+ * @param {Uint32Array} roundKeys - 轮密钥
+ * @param {Uint8Array} data - 输入数据
+ * @returns {Uint8Array} 输出数据
+ */
+function winZipAesCtr(roundKeys, data) {
+    const output = new Uint8Array(data.length);
+    const counter = new Uint8Array(16);
+    const keystream = new Uint8Array(16);
+
+    for (let offset = 0; offset < data.length; offset += 16) {
+        // 小端序计数器加一（字节溢出时向高位进位）
+        for (let i = 0; i < 16; i++) {
+            counter[i] = (counter[i] + 1) & 0xFF;
+            if (counter[i] !== 0) break;
+        }
+        encryptAesBlock(roundKeys, counter, keystream);
+
+        const end = Math.min(offset + 16, data.length);
+        for (let i = offset; i < end; i++) {
+            output[i] = data[i] ^ keystream[i - offset];
+        }
+    }
+
+    return output;
+}
+
+// WinZip AES强度对应的密钥长度与盐值长度（字节）
+const WINZIP_AES_STRENGTHS = {
+    1: { keyLength: 16, saltLength: 8 },
+    2: { keyLength: 24, saltLength: 12 },
+    3: { keyLength: 32, saltLength: 16 }
+};
+
+// 密码校验值和认证码的长度
+const WINZIP_AES_VERIFIER_SIZE = 2;
+const WINZIP_AES_AUTH_CODE_SIZE = 10;
+
+/**
+ * 通过PBKDF2-HMAC-SHA1派生WinZip AES的密钥
+ * @param {Uint8Array} passwordBytes - 密码字节
+ * @param {Uint8Array} salt - 盐值
+ * @param {number} keyLength - AES密钥长度
+ * @returns {Promise<{encryptionKey: Uint8Array, authenticationKey: Uint8Array, verifier: Uint8Array}>} 派生结果
+ */
+async function deriveWinZipAesKeys(passwordBytes, salt, keyLength) {
+    const baseKey = await crypto.subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt, iterations: 1000, hash: 'SHA-1' },
+        baseKey,
+        (2 * keyLength + WINZIP_AES_VERIFIER_SIZE) * 8
+    );
+    const derived = new Uint8Array(bits);
+
+    return {
+        encryptionKey: derived.subarray(0, keyLength),
+        authenticationKey: derived.subarray(keyLength, 2 * keyLength),
+        verifier: derived.subarray(2 * keyLength)
+    };
+}
+
+/**
+ * 计算HMAC-SHA1
+ * @param {Uint8Array} key - 密钥
+ * @param {Uint8Array} data - 数据
+ * @returns {Promise<Uint8Array>} 20字节的HMAC值
+ */
+async function hmacSha1(key, data) {
+    const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, data));
+}
+
+/**
+ * 解密WinZip AES加密的条目数据
+ * 数据结构：盐值 + 2字节密码校验值 + 密文 + 10字节认证码
+ * @param {Uint8Array} data - 条目的原始数据
+ * @param {Uint8Array} passwordBytes - 密码字节
+ * @param {number} strength - 加密强度（1=AES-128，2=AES-192，3=AES-256）
+ * @returns {Promise<Uint8Array|null>} 解密后的压缩数据，密码错误时返回null
+ */
+async function decryptWinZipAes(data, passwordBytes, strength) {
+    const params = WINZIP_AES_STRENGTHS[strength];
+    if (!params) {
+        throw new Error(`不支持的AES加密强度（${strength}）`);
+    }
+
+    const { keyLength, saltLength } = params;
+    const headerSize = saltLength + WINZIP_AES_VERIFIER_SIZE;
+    if (data.length < headerSize + WINZIP_AES_AUTH_CODE_SIZE) {
+        throw new Error('加密数据不完整');
+    }
+
+    const salt = data.subarray(0, saltLength);
+    const storedVerifier = data.subarray(saltLength, headerSize);
+    const encrypted = data.subarray(headerSize, data.length - WINZIP_AES_AUTH_CODE_SIZE);
+    const authCode = data.subarray(data.length - WINZIP_AES_AUTH_CODE_SIZE);
+
+    const { encryptionKey, authenticationKey, verifier } = await deriveWinZipAesKeys(passwordBytes, salt, keyLength);
+    if (verifier[0] !== storedVerifier[0] || verifier[1] !== storedVerifier[1]) {
+        return null;
+    }
+
+    // 认证码是对密文计算的HMAC-SHA1的前10字节
+    const mac = await hmacSha1(authenticationKey, encrypted);
+    for (let i = 0; i < WINZIP_AES_AUTH_CODE_SIZE; i++) {
+        if (mac[i] !== authCode[i]) {
+            throw new Error('AES数据认证失败，文件可能已损坏');
+        }
+    }
+
+    return winZipAesCtr(expandAesKey(encryptionKey), encrypted);
+}
+
+/**
+ * 使用WinZip AES加密条目数据
+ * @param {Uint8Array} data - 压缩后的数据
+ * @param {Uint8Array} passwordBytes - 密码字节
+ * @param {number} strength - 加密强度（1=AES-128，2=AES-192，3=AES-256）
+ * @returns {Promise<Uint8Array>} 盐值 + 密码校验值 + 密文 + 认证码
+ */
+async function encryptWinZipAes(data, passwordBytes, strength) {
+    const { keyLength, saltLength } = WINZIP_AES_STRENGTHS[strength];
+    const salt = crypto.getRandomValues(new Uint8Array(saltLength));
+    const { encryptionKey, authenticationKey, verifier } = await deriveWinZipAesKeys(passwordBytes, salt, keyLength);
+
+    const encrypted = winZipAesCtr(expandAesKey(encryptionKey), data);
+    const mac = await hmacSha1(authenticationKey, encrypted);
+
+    const output = new Uint8Array(saltLength + WINZIP_AES_VERIFIER_SIZE + encrypted.length + WINZIP_AES_AUTH_CODE_SIZE);
+    output.set(salt, 0);
+    output.set(verifier, saltLength);
+    output.set(encrypted, saltLength + WINZIP_AES_VERIFIER_SIZE);
+    output.set(mac.subarray(0, WINZIP_AES_AUTH_CODE_SIZE), output.length - WINZIP_AES_AUTH_CODE_SIZE);
+    return output;
+}